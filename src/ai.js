@@ -2,50 +2,227 @@
  * AI module for the Privacy Policy Extension
  * 
  * Responsibilities:
- * - Build provider-specific chat completion requests (xAI default, OpenAI optional)
- * - Enforce strict JSON response shape { privacy_score, score_explanation, summary }
+ * - Build provider-specific chat completion requests (xAI default; OpenAI, Anthropic,
+ *   local Ollama and OpenAI-compatible gateways optional)
+ * - Enforce strict JSON response shape { privacy_score, score_explanation, summary, categories, findings }
+ * - Derive the overall privacy_score deterministically from per-category sub-scores
+ * - Verify that each finding's supporting quote actually appears in the policy text
  * - Parse loosely-structured outputs defensively (handles fenced code, arrays, wrappers)
+ * - Split long policies into section-aligned chunks and merge partial analyses (map-reduce)
+ * - Stream completions (SSE / NDJSON) and surface the partial Markdown summary as it arrives
  * - Provide sane defaults and robust timeouts
+ * - Retry transient failures (429/5xx/network) with exponential backoff honoring Retry-After
+ * - Classify failures into stable error codes (`err.code`) the UI can localize
+ * - Validate output against a declared schema and ask the model to reformat once when it does not comply
+ * - Answer follow-up questions about a policy, sending only the relevant sections of long policies
+ * - Optionally query several models and merge their analyses (consensus mode), reporting
+ *   how far their scores diverge
+ * - Explain what changed between two versions of a policy and whether it got worse
  * 
  * Notes for maintainers:
  * - To add a provider, extend buildProviderRequest and update options mapping.
+ * - Prompt text lives in prompts.js (user-editable instructions + fixed output contract).
  * - Keep messages compact; token cost scales with policy length.
+ * - Token counts are estimated from character length; keep `maxInputTokens` well below
+ *   the smallest context window among supported models.
  */
 
-import { getApiKey, getAIOptions } from "./storage.js";
+import { getApiKey, getProviderKey, getAIOptions } from "./storage.js";
+import { computeCost } from "./pricing.js";
+import {
+  PRIVACY_CATEGORIES,
+  buildSystemPrompt,
+  buildChunkSystemPrompt,
+  buildReduceSystemPrompt,
+  buildConsensusSystemPrompt,
+  buildQuestionSystemPrompt,
+  buildChangesSystemPrompt,
+  resolvePromptTemplate,
+} from "./prompts.js";
+import { formatHeuristicHints } from "./heuristics.js";
+import { diffTexts, formatDiffForPrompt } from "./diff.js";
 
-function buildProviderRequest(provider, apiKey, { model, temperature, maxTokens, rest, lang, text, sourceDomain }) {
-  const messages = [
-    {
-      role: "system",
-      content: `You are a privacy and data protection expert. Analyze the following privacy policy and provide:
+export { PRIVACY_CATEGORIES };
 
-1. A privacy abuse score from 0 to 10 where:
-   - 0-2: Excellent privacy practices, minimal data collection, strong user rights
-   - 3-4: Good privacy practices with some concerns
-   - 5-6: Moderate privacy concerns, some problematic practices
-   - 7-8: Significant privacy issues, excessive data collection
-   - 9-10: Highly abusive practices, extensive data collection, weak user rights
+// Rough average for Latin-script text across supported tokenizers
+const CHARS_PER_TOKEN = 4;
+// Policies above this estimate are summarized chunk by chunk
+const DEFAULT_MAX_INPUT_TOKENS = 12000;
+const OLLAMA_DEFAULT_URL = "http://localhost:11434";
+// Providers that may run without an API key
+const KEYLESS_PROVIDERS = ["custom", "ollama"];
+// Weights of the category sub-scores in the overall score
+const CATEGORY_WEIGHTS = {
+  collection: 1.5,
+  sharing: 2,
+  retention: 1,
+  user_rights: 1.5,
+  security: 1,
+  children: 1,
+  tracking: 1.5,
+  jurisdiction: 0.5,
+};
 
-2. A clear and concise summary in ${lang} highlighting:
-   - What personal data is collected and how
-   - How that data is used
-   - If it is shared with third parties and with whom
-   - Any relevant risks or warnings for the user
-   - What rights the user has over their data and how to exercise them
-   - Any other important or unusual aspects
+// Retry policy for transient provider failures
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 60000;
+// Status codes worth retrying (529: Anthropic "overloaded")
+const RETRYABLE_STATUS = [429, 500, 502, 503, 504, 529];
 
-IMPORTANT: Respond ONLY with a valid JSON object in this exact format:
-{
-  "privacy_score": <number from 0 to 10>,
-  "score_explanation": "<brief explanation of the score>",
-  "summary": "<markdown formatted summary>"
-}
+// Reformat attempts when the output does not match the declared schema
+const DEFAULT_MAX_REPAIRS = 1;
+
+// Finding severities requested from the model; anything else is read as "medium"
+const FINDING_SEVERITIES = ["high", "medium", "low"];
 
-The privacy_score must be a number between 0 and 10. The score_explanation must be an extremely brief, title-style phrase in ${lang} (max 8 words, no trailing period). The summary should use Markdown formatting with headings, lists, and bold text to emphasize the most relevant information.`,
+// Output contract for the full and per-chunk analysis (JSON Schema subset, see validateSchema)
+const SUMMARY_SCHEMA = {
+  type: "object",
+  required: ["privacy_score", "score_explanation", "summary", "categories"],
+  properties: {
+    privacy_score: { type: "number", minimum: 0, maximum: 10 },
+    score_explanation: { type: "string" },
+    summary: { type: "string" },
+    categories: {
+      type: "object",
+      required: PRIVACY_CATEGORIES,
+      properties: Object.fromEntries(
+        PRIVACY_CATEGORIES.map((c) => [
+          c,
+          {
+            type: "object",
+            required: ["score", "note"],
+            properties: {
+              score: { type: ["number", "null"], minimum: 0, maximum: 10 },
+              note: { type: "string" },
+            },
+          },
+        ]),
+      ),
     },
-    { role: "user", content: `Source domain: ${sourceDomain || "unknown"}\n\nPolicy text:\n\n${text}` },
-  ];
+    findings: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["claim", "quote"],
+        properties: {
+          claim: { type: "string" },
+          quote: { type: "string" },
+          severity: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+// Output contract for the merge step
+const REDUCE_SCHEMA = {
+  type: "object",
+  required: ["privacy_score", "score_explanation", "summary"],
+  properties: {
+    privacy_score: { type: "number", minimum: 0, maximum: 10 },
+    score_explanation: { type: "string" },
+    summary: { type: "string" },
+  },
+};
+
+// Previous Q&A messages sent along with a new question
+const MAX_QA_HISTORY_MESSAGES = 8;
+// Section size used to pick the parts of a long policy relevant to a question
+const QA_SECTION_TOKENS = 1500;
+
+// Verdicts of a version comparison; anything else is read as "mixed"
+const CHANGE_VERDICTS = ["worse", "better", "mixed", "neutral"];
+
+// Findings kept after merging chunk results
+const MAX_FINDINGS = 12;
+// Share of a quote's word trigrams that must appear in the policy to count as verified
+const QUOTE_MATCH_THRESHOLD = 0.8;
+// Share of the shorter quote's trigrams two models must share to cite the same passage
+const QUOTE_OVERLAP_THRESHOLD = 0.5;
+// Largest score spread (max - min across models) still rated "high" / "medium" agreement
+const CONSENSUS_SPREAD_HIGH = 1;
+const CONSENSUS_SPREAD_MEDIUM = 3;
+
+function buildProviderRequest(
+  provider,
+  apiKey,
+  { model, temperature, maxTokens, rest, messages, baseUrl, authHeader, stream = false, json = true },
+) {
+  if (provider === "custom") {
+    // Any server speaking the OpenAI chat-completions protocol (vLLM, LiteLLM, Ollama /v1, ...)
+    const headers = {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+    };
+    if (apiKey) {
+      const name = authHeader || "Authorization";
+      headers[name] = name.toLowerCase() === "authorization" ? `Bearer ${apiKey}` : apiKey;
+    }
+    return {
+      url: `${String(baseUrl || "").replace(/\/+$/, "")}/chat/completions`,
+      headers,
+      body: JSON.stringify({
+        model,
+        temperature,
+        max_tokens: maxTokens,
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+        ...(stream ? { stream: true } : {}),
+        ...rest,
+        messages,
+      }),
+    };
+  }
+
+  if (provider === "ollama") {
+    // Native Ollama chat API; policy text never leaves the machine
+    return {
+      url: `${String(baseUrl || OLLAMA_DEFAULT_URL).replace(/\/+$/, "")}/api/chat`,
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+      },
+      body: JSON.stringify({
+        model,
+        stream,
+        ...(json ? { format: "json" } : {}),
+        options: { temperature, num_predict: maxTokens },
+        ...rest,
+        messages,
+      }),
+    };
+  }
+
+  if (provider === "anthropic") {
+    // Messages API: system prompt is a top-level field, not a message
+    const system = messages
+      .filter((m) => m.role === "system")
+      .map((m) => m.content)
+      .join("\n\n");
+    return {
+      url: "https://api.anthropic.com/v1/messages",
+      headers: {
+        "Content-Type": "application/json",
+        Accept: "application/json",
+        "x-api-key": apiKey,
+        "anthropic-version": "2023-06-01",
+        // Required for calls that carry an Origin header (extension contexts)
+        "anthropic-dangerous-direct-browser-access": "true",
+      },
+      body: JSON.stringify({
+        model,
+        // Anthropic accepts 0-1; the options page allows up to 2
+        temperature: Math.min(temperature, 1),
+        max_tokens: maxTokens,
+        ...(stream ? { stream: true } : {}),
+        ...rest,
+        // Only sent when there is a system prompt
+        ...(system ? { system } : {}),
+        messages: messages.filter((m) => m.role !== "system"),
+      }),
+    };
+  }
 
   if (provider === "openai") {
     return {
@@ -59,7 +236,9 @@ The privacy_score must be a number between 0 and 10. The score_explanation must
         model,
         temperature,
         max_tokens: maxTokens,
-        response_format: { type: "json_object" },
+        ...(json ? { response_format: { type: "json_object" } } : {}),
+        // Usage is only reported in a final chunk when asked for
+        ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
         ...rest,
         messages,
       }),
@@ -78,52 +257,881 @@ The privacy_score must be a number between 0 and 10. The score_explanation must
       model,
       temperature,
       max_tokens: maxTokens,
-      response_format: { type: "json_object" },
+      ...(json ? { response_format: { type: "json_object" } } : {}),
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {}),
       ...rest,
       messages,
     }),
   };
 }
 
+// Utilities for parsing
+function stripCodeFences(text) {
+  if (typeof text !== "string") return text;
+  let t = text.trim();
+  if (t.startsWith("```") && t.endsWith("```")) {
+    t = t.replace(/^```[a-zA-Z]*\n?/, "").replace(/```$/, "").trim();
+  }
+  return t;
+}
+
+// Some providers (xAI, reasoning models) return content as an array of segments
+function joinContentSegments(segments) {
+  return segments
+    .map((seg) => {
+      if (typeof seg === "string") return seg;
+      if (seg && typeof seg === "object") {
+        if (typeof seg.text === "string") return seg.text;
+        if (typeof seg.content === "string") return seg.content;
+      }
+      return "";
+    })
+    .join("");
+}
+
+// Try to robustly parse JSON from the model output first
+function tryParseJsonFromContent(content) {
+  if (Array.isArray(content)) {
+    return tryParseJsonFromContent(joinContentSegments(content));
+  }
+
+  if (content && typeof content === "object") {
+    // Some SDKs wrap again: { content: "{...}" } or { text: "{...}" }
+    const inner = typeof content.content === "string"
+      ? content.content
+      : typeof content.text === "string"
+        ? content.text
+        : null;
+    if (inner) {
+      return tryParseJsonFromContent(inner);
+    }
+    return content;
+  }
+
+  if (typeof content !== "string") return null;
+  const text = stripCodeFences(content);
+  try {
+    return JSON.parse(text);
+  } catch {}
+  const firstBrace = text.indexOf("{");
+  const lastBrace = text.lastIndexOf("}");
+  if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
+    const candidate = text.slice(firstBrace, lastBrace + 1);
+    try {
+      return JSON.parse(candidate);
+    } catch {}
+  }
+  return null;
+}
+
+function clampScore(score) {
+  if (Number.isNaN(score)) return 5;
+  return Math.max(0, Math.min(10, Math.round(score)));
+}
+
+function extractFromUnstructured(content) {
+  const text = stripCodeFences(typeof content === "string" ? content : "");
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+
+  // Score detection (EN/ES)
+  const scorePatterns = [
+    /\bprivacy\s*(?:abuse\s*)?score\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
+    /\bscore\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
+    /\bpuntuaci[oó]n\s*(?:de\s*privacidad)?\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
+    /\bpuntaje\s*(?:de\s*privacidad)?\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
+    /\b(\d{1,2})\s*\/\s*10\b/,
+  ];
+  let detectedScore = undefined;
+  let scoreLineIndex = -1;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    for (const re of scorePatterns) {
+      const m = line.match(re);
+      if (m) {
+        const n = parseInt(m[1], 10);
+        if (!Number.isNaN(n)) {
+          detectedScore = clampScore(n);
+          scoreLineIndex = i;
+          break;
+        }
+      }
+    }
+    if (detectedScore !== undefined) break;
+  }
+
+  // Explanation: prefer text after the score on same line or the next line
+  let explanation = "";
+  if (scoreLineIndex !== -1) {
+    const after = lines[scoreLineIndex].replace(/^[^:\-]+[:\-]?\s*/, "");
+    const afterNumber = after.replace(/^(\d{1,2})(?:\s*\/\s*10)?\s*/, "").trim();
+    if (afterNumber && /[a-zA-Z\u00C0-\u017F]/.test(afterNumber)) {
+      explanation = afterNumber;
+    } else if (lines[scoreLineIndex + 1]) {
+      const next = lines[scoreLineIndex + 1];
+      if (/(explana|explica|porque|motivo|reason|because|justif)/i.test(next)) {
+        explanation = next;
+      }
+    }
+  }
+
+  // Summary detection: capture section under Summary/Resumen heading if present
+  const headingIdx = lines.findIndex((l) => /^(summary|resumen)\b[:\-]?/i.test(l));
+  let summaryText = "";
+  if (headingIdx !== -1) {
+    const section = [];
+    for (let i = headingIdx + 1; i < lines.length; i += 1) {
+      const l = lines[i];
+      if (/^#{1,6}\s+/.test(l) || /^(score|puntuaci[oó]n|puntaje)\b/i.test(l) || /^(rights|derechos)\b/i.test(l)) {
+        break;
+      }
+      section.push(lines[i]);
+    }
+    summaryText = section.join("\n").trim();
+  }
+  if (!summaryText) {
+    // Fallback: remove the score line and return remaining text
+    const body = lines.filter((_, idx) => idx !== scoreLineIndex).join("\n").trim();
+    summaryText = body || text;
+  }
+
+  const finalScore = detectedScore !== undefined ? detectedScore : 5;
+  const finalExplanation = explanation || (detectedScore !== undefined ? "Detected score from response." : "No explicit score provided; using neutral score.");
+  return {
+    privacy_score: finalScore,
+    score_explanation: finalExplanation,
+    summary: summaryText,
+  };
+}
+
+function typeOfJson(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
 /**
- * Analyzes a privacy policy text and generates a comprehensive summary
- * 
- * @param {string} text - The privacy policy text to analyze
- * @param {string} lang - The language code for the summary (default: "en")
- * @param {Object} options - Additional AI options to override defaults
- * @returns {Promise<Object>} Object containing privacy_score, score_explanation, and summary
- * @throws {Error} If API key is missing, request fails, or response is invalid
+ * Validates a value against the JSON Schema subset used by the output contracts
+ * (type, required, properties, items, minimum, maximum)
+ * @param {*} value - Parsed model output
+ * @param {Object} schema - Schema to check against
+ * @param {string} [path] - JSON path used in error messages
+ * @returns {Array<string>} Human-readable violations; empty when valid
  */
-export async function summarizePolicy(text, lang = "en", options = {}) {
-  // Validate API key is available
-  const apiKey = await getApiKey();
-  if (!apiKey) throw new Error("API key not set");
-  
-  // Get stored AI options and merge with provided options
-  const stored = await getAIOptions();
-  const {
-    provider = "xai",
-    model = "grok-3-mini",
-    temperature = 0.2,
-    maxTokens = 1024,
-    timeout = 30000,
-    ...rest
-  } = { ...stored, ...options };
-  
-  // Set up request timeout
+function validateSchema(value, schema, path = "$") {
+  const types = [].concat(schema.type || []);
+  const actual = typeOfJson(value);
+  if (types.length > 0 && !types.includes(actual)) {
+    return [`${path} must be ${types.join(" or ")}, got ${actual}`];
+  }
+
+  const errors = [];
+  if (actual === "number") {
+    if (Number.isNaN(value)) errors.push(`${path} must be a number`);
+    if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum}`);
+  }
+  if (actual === "object") {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (key in value) errors.push(...validateSchema(value[key], sub, `${path}.${key}`));
+    }
+  }
+  if (actual === "array" && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+function buildRepairPrompt(schema, errors) {
+  return `Your previous answer could not be used: ${errors.slice(0, 10).join("; ")}.
+
+Reformat your previous answer so it is a single valid JSON object matching this JSON Schema. Keep the content and language of your answer; do not analyze the policy again and do not add commentary or code fences.
+
+${JSON.stringify(schema)}`;
+}
+
+/**
+ * Coerces the model's category block into { [category]: { score, note } }
+ * @param {Object} raw - Categories object as returned by the model
+ * @returns {Object} One entry per PRIVACY_CATEGORIES item; score is null when not addressed
+ */
+function normalizeCategories(raw) {
+  const categories = {};
+  for (const key of PRIVACY_CATEGORIES) {
+    const entry = raw && typeof raw === "object" ? raw[key] : undefined;
+    // Accept both { score, note } and a bare number
+    const rawScore = entry && typeof entry === "object" ? entry.score : entry;
+    const n = rawScore === null || rawScore === undefined || rawScore === "" ? NaN : Number(rawScore);
+    categories[key] = {
+      score: Number.isNaN(n) ? null : clampScore(n),
+      note: entry && typeof entry === "object" ? String(entry.note ?? "").trim() : "",
+    };
+  }
+  return categories;
+}
+
+/**
+ * Computes the overall privacy score as the weighted mean of addressed categories
+ * @param {Object} categories - Normalized categories
+ * @returns {number|null} Rounded 0-10 score, or null if no category was scored
+ */
+export function deriveOverallScore(categories) {
+  let total = 0;
+  let weight = 0;
+  for (const key of PRIVACY_CATEGORIES) {
+    const score = categories?.[key]?.score;
+    if (typeof score !== "number") continue;
+    total += score * CATEGORY_WEIGHTS[key];
+    weight += CATEGORY_WEIGHTS[key];
+  }
+  return weight > 0 ? clampScore(total / weight) : null;
+}
+
+/**
+ * Merges chunk-level categories: the worst addressed sub-score wins, since one
+ * abusive clause is not offset by sections that never mention the topic
+ * @param {Array<Object>} partials - Normalized partial analyses
+ * @returns {Object} Normalized categories
+ */
+function mergeCategories(partials) {
+  const categories = {};
+  for (const key of PRIVACY_CATEGORIES) {
+    let worst = { score: null, note: "" };
+    for (const p of partials) {
+      const entry = p.categories?.[key];
+      if (typeof entry?.score === "number" && (worst.score === null || entry.score > worst.score)) {
+        worst = entry;
+      }
+    }
+    categories[key] = { ...worst };
+  }
+  return categories;
+}
+
+function normalizeSummary(parsed) {
+  // If still wrapped
+  if (parsed && typeof parsed === "object" && parsed.content && typeof parsed.content === "string") {
+    const inner = tryParseJsonFromContent(parsed.content);
+    if (inner) parsed = inner;
+  }
+
+  // If parsed is an array of segments, try again
+  if (Array.isArray(parsed)) {
+    parsed = tryParseJsonFromContent(parsed) || extractFromUnstructured(String(parsed));
+  }
+
+  let score = parsed?.privacy_score;
+  // Accept numeric strings
+  if (typeof score === "string") {
+    const n = Number(score);
+    if (!Number.isNaN(n)) score = n;
+  }
+  if (typeof score !== "number") {
+    // As a last resort, try to find score inside a nested field
+    const maybe = tryParseJsonFromContent(parsed?.summary || parsed?.text || "");
+    if (maybe && typeof maybe.privacy_score === "number") score = maybe.privacy_score;
+  }
+  score = clampScore(Number(score));
+
+  let explanation = String(parsed?.score_explanation ?? "");
+  // Enforce ultra-brief, title-style explanation: trim, remove trailing period, cap words
+  explanation = explanation.trim().replace(/[\.\s]+$/g, "");
+  const words = explanation.split(/\s+/).filter(Boolean);
+  if (words.length > 8) explanation = words.slice(0, 8).join(" ");
+  explanation = explanation.replace(/\.$/, "");
+  const summary = String(parsed?.summary ?? "");
+  const findings = (Array.isArray(parsed?.findings) ? parsed.findings : [])
+    .map((f) => ({
+      claim: String(f?.claim ?? "").trim(),
+      quote: String(f?.quote ?? "").trim(),
+      // Older prompt templates did not ask for a severity
+      severity: FINDING_SEVERITIES.includes(f?.severity) ? f.severity : "medium",
+    }))
+    .filter((f) => f.claim);
+  const categories = normalizeCategories(parsed?.categories);
+  // Prefer the deterministic score; the model's own number is only a fallback
+  const derived = deriveOverallScore(categories);
+  if (derived !== null) score = derived;
+  const result = { privacy_score: score, score_explanation: explanation, summary, categories, findings };
+
+  if (
+    typeof result.score_explanation !== "string" ||
+    typeof result.summary !== "string"
+  ) {
+    throw new Error("Missing required fields in response");
+  }
+  if (result.privacy_score < 0 || result.privacy_score > 10) {
+    throw new Error("privacy_score out of range (must be 0-10)");
+  }
+
+  return result;
+}
+
+/**
+ * Returns the raw assistant content from a provider response body
+ * @param {string} provider - Provider id
+ * @param {Object} data - Parsed JSON response from the provider
+ * @returns {*} Assistant content (string, segment array or object)
+ */
+function extractResponseContent(provider, data) {
+  if (provider === "anthropic") {
+    // Messages API returns content blocks: [{ type: "text", text }, ...]
+    return (data.content || [])
+      .filter((block) => block?.type === "text")
+      .map((block) => block.text)
+      .join("");
+  }
+  if (provider === "ollama") {
+    return data.message?.content;
+  }
+  return data.choices?.[0]?.message?.content;
+}
+
+/**
+ * Picks the assistant content to parse from a provider response body
+ * @param {string} provider - Provider id
+ * @param {Object} data - Parsed JSON response from the provider
+ * @returns {*} Assistant content (string, segment array or object)
+ */
+function selectResponseContent(provider, data) {
+  const rawContent = extractResponseContent(provider, data);
+  if (tryParseJsonFromContent(rawContent)) return rawContent;
+  // Some providers also place JSON inside top-level data fields – attempt those
+  const altContent =
+    data.choices?.[0]?.message?.reasoning_content ||
+    data.choices?.[0]?.message?.tool_content ||
+    data.choices?.[0]?.message?.content_text ||
+    null;
+  return altContent && tryParseJsonFromContent(altContent) ? altContent : rawContent;
+}
+
+/**
+ * Decodes model output into a normalized summary
+ * @param {*} content - Assistant content
+ * @param {Object} schema - Expected output contract
+ * @returns {{ result: Object|null, errors: Array<string> }} `result` is null when the
+ *   output is not JSON at all; `errors` lists schema violations
+ */
+function decodeSummary(content, schema) {
+  const parsed = tryParseJsonFromContent(content);
+  if (!parsed || typeof parsed !== "object") {
+    return { result: null, errors: ["the response is not a JSON object"] };
+  }
+  return { result: normalizeSummary(parsed), errors: validateSchema(parsed, schema) };
+}
+
+/**
+ * Reads token usage from a response body or streamed event
+ * @param {string} provider - Provider id
+ * @param {Object} data - Parsed response body, SSE payload or NDJSON line
+ * @returns {{inputTokens?: number, outputTokens?: number}|null} Counts present in `data`
+ */
+function extractUsage(provider, data) {
+  if (provider === "ollama") {
+    // Only the final (done) message carries counts
+    if (typeof data?.prompt_eval_count !== "number" && typeof data?.eval_count !== "number") return null;
+    return { inputTokens: data.prompt_eval_count, outputTokens: data.eval_count };
+  }
+  if (provider === "anthropic") {
+    // Streams report input in message_start and cumulative output in message_delta
+    const usage = data?.usage || data?.message?.usage;
+    if (!usage) return null;
+    return { inputTokens: usage.input_tokens, outputTokens: usage.output_tokens };
+  }
+  if (!data?.usage) return null;
+  return { inputTokens: data.usage.prompt_tokens, outputTokens: data.usage.completion_tokens };
+}
+
+/**
+ * Returns the text carried by one streamed event, or "" if it carries none
+ * @param {string} provider - Provider id
+ * @param {Object} event - Parsed SSE data payload or NDJSON line
+ * @returns {string} Text delta
+ */
+function extractStreamDelta(provider, event) {
+  if (provider === "anthropic") {
+    return event.type === "content_block_delta" && event.delta?.type === "text_delta" ? event.delta.text : "";
+  }
+  if (provider === "ollama") {
+    return event.message?.content || "";
+  }
+  return event.choices?.[0]?.delta?.content || "";
+}
+
+/**
+ * Decodes the (possibly unterminated) value of a string field from partial JSON.
+ * Used to show the Markdown summary while the JSON object is still streaming.
+ * @param {string} buffer - JSON text received so far
+ * @param {string} key - Field name to read
+ * @returns {string|null} Decoded value so far, or null if the field has not started
+ */
+function extractPartialJsonString(buffer, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(buffer);
+  if (!match) return null;
+  const escapes = { n: "\n", t: "\t", r: "\r", b: "\b", f: "\f", '"': '"', "\\": "\\", "/": "/" };
+  let out = "";
+  for (let i = match.index + match[0].length; i < buffer.length; i += 1) {
+    const ch = buffer[i];
+    if (ch === '"') break;
+    if (ch !== "\\") {
+      out += ch;
+      continue;
+    }
+    const next = buffer[i + 1];
+    // Escape split across network chunks: wait for the rest
+    if (next === undefined) break;
+    if (next === "u") {
+      const hex = buffer.slice(i + 2, i + 6);
+      if (hex.length < 4) break;
+      out += String.fromCharCode(parseInt(hex, 16));
+      i += 5;
+    } else {
+      out += escapes[next] ?? next;
+      i += 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Reads a streamed completion, reporting the partial summary Markdown as it grows
+ * @param {string} provider - Provider id
+ * @param {Response} response - Fetch response with a streaming body
+ * @param {Function} onDelta - Called with the partial Markdown summary
+ * @param {Function} onActivity - Called on every received chunk (idle timeout reset)
+ * @returns {Promise<{content: string, usage: Object}>} Full assistant content and token usage
+ */
+async function readCompletionStream(provider, response, onDelta, onActivity) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let pending = "";
+  let content = "";
+  let lastPartial = "";
+  const usage = {};
+
+  const handleLine = (line) => {
+    // SSE frames carry "data: {...}"; Ollama sends bare NDJSON lines
+    const payload = line.startsWith("data:") ? line.slice(5).trim() : line.trim();
+    if (!payload || payload === "[DONE]" || line.startsWith("event:")) return;
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return;
+    }
+    content += extractStreamDelta(provider, event);
+    for (const [key, value] of Object.entries(extractUsage(provider, event) || {})) {
+      if (typeof value === "number") usage[key] = value;
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    onActivity();
+    pending += decoder.decode(value, { stream: true });
+    const lines = pending.split("\n");
+    pending = lines.pop();
+    lines.forEach(handleLine);
+
+    const trimmed = stripCodeFences(content.trimStart());
+    // Models that ignore the JSON instruction stream plain Markdown
+    const partial = trimmed.startsWith("{") ? extractPartialJsonString(trimmed, "summary") : trimmed;
+    if (partial && partial !== lastPartial) {
+      lastPartial = partial;
+      onDelta(partial);
+    }
+  }
+  if (pending) handleLine(pending);
+  return { content, usage };
+}
+
+/**
+ * Lowercases and strips quotes, punctuation and extra whitespace for fuzzy matching
+ * @param {string} text - Text to normalize
+ * @returns {string} Space-separated words
+ */
+function normalizeForMatch(text) {
+  return String(text || "")
+    .normalize("NFKC")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Collects the word trigrams of a normalized text
+ * @param {string} normalized - Output of normalizeForMatch
+ * @returns {Set<string>} Space-joined word triples
+ */
+function wordTrigrams(normalized) {
+  const words = normalized.split(" ");
+  const trigrams = new Set();
+  for (let i = 0; i + 2 < words.length; i += 1) {
+    trigrams.add(`${words[i]} ${words[i + 1]} ${words[i + 2]}`);
+  }
+  return trigrams;
+}
+
+/**
+ * Checks whether a quote is backed by the policy text. Exact after normalization,
+ * or most of its word trigrams present (tolerates ellipses and small model slips).
+ * @param {string} quote - Quote claimed by the model
+ * @param {string} haystack - Normalized policy text
+ * @param {Set<string>} trigrams - Word trigrams of the normalized policy text
+ * @returns {boolean} True if the quote can be found in the policy
+ */
+function isQuoteSupported(quote, haystack, trigrams) {
+  const needle = normalizeForMatch(quote);
+  if (!needle) return false;
+  if (haystack.includes(needle)) return true;
+  const words = needle.split(" ");
+  if (words.length < 4) return false;
+  let hits = 0;
+  for (let i = 0; i + 2 < words.length; i += 1) {
+    if (trigrams.has(`${words[i]} ${words[i + 1]} ${words[i + 2]}`)) hits += 1;
+  }
+  return hits / (words.length - 2) >= QUOTE_MATCH_THRESHOLD;
+}
+
+/**
+ * Marks each finding as verified when its quote appears in the policy text
+ * @param {Array<Object>} findings - [{ claim, quote }]
+ * @param {string} text - Policy text that was analyzed
+ * @returns {Array<Object>} [{ claim, quote, verified }]
+ */
+function verifyFindings(findings, text) {
+  const haystack = normalizeForMatch(text);
+  const trigrams = wordTrigrams(haystack);
+  return findings.map((f) => ({ ...f, verified: isQuoteSupported(f.quote, haystack, trigrams) }));
+}
+
+/**
+ * Attributes findings to the document their quote comes from, for summaries of a policy
+ * combined with its sub-policies
+ * @param {Array<Object>} findings - [{ claim, quote, ... }]
+ * @param {Array<{url: string, text: string}>} documents - Documents that were combined
+ * @returns {Array<Object>} Findings with `source` (URL of the first document supporting the
+ *   quote); findings without a supported quote are returned unchanged
+ */
+export function attributeFindings(findings, documents) {
+  const indexed = documents.map(({ url, text }) => {
+    const haystack = normalizeForMatch(text);
+    return { url, haystack, trigrams: wordTrigrams(haystack) };
+  });
+  return (findings || []).map((f) => {
+    const match = indexed.find(({ haystack, trigrams }) => isQuoteSupported(f.quote, haystack, trigrams));
+    return match ? { ...f, source: match.url } : f;
+  });
+}
+
+/**
+ * Combines findings from several partial analyses, dropping repeated quotes
+ * @param {Array<Object>} findings - Findings in document order
+ * @returns {Array<Object>} At most MAX_FINDINGS unique findings
+ */
+function mergeFindings(findings) {
+  const seen = new Set();
+  const merged = [];
+  for (const f of findings) {
+    const key = normalizeForMatch(f.quote) || normalizeForMatch(f.claim);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    merged.push(f);
+  }
+  return merged.slice(0, MAX_FINDINGS);
+}
+
+/**
+ * Estimates the number of tokens a text will consume
+ * @param {string} text - The text to measure
+ * @returns {number} Approximate token count
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || "").length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Heuristic heading detection for distilled policy text (markup is gone by now)
+ * @param {string} line - A single trimmed line
+ * @returns {boolean} True if the line looks like a section heading
+ */
+function isHeadingLine(line) {
+  if (!line || line.length > 120) return false;
+  if (/^#{1,6}\s+\S/.test(line)) return true;
+  // "3. Sharing", "4.2 Retention", "IV. Your rights"
+  if (/^(\d+(\.\d+)*\.?|[IVXLC]+\.)\s+\S/.test(line) && !/[.;,]$/.test(line)) return true;
+  // "HOW WE USE YOUR DATA"
+  const letters = line.replace(/[^A-Za-zÀ-ſ]/g, "");
+  if (letters.length >= 4 && letters === letters.toUpperCase()) return true;
+  // Short title-like line without terminal punctuation
+  const words = line.split(/\s+/);
+  return words.length <= 8 && /^[A-ZÀ-Ý¿¡]/.test(line) && !/[.:;,!?]$/.test(line);
+}
+
+/**
+ * Splits text into sections, each starting at a detected heading
+ * @param {string} text - Distilled policy text
+ * @returns {string[]} Sections in document order
+ */
+function splitIntoSections(text) {
+  const sections = [];
+  let current = [];
+  for (const line of String(text).split("\n")) {
+    if (isHeadingLine(line.trim()) && current.length > 0) {
+      sections.push(current.join("\n"));
+      current = [];
+    }
+    current.push(line);
+  }
+  if (current.length > 0) sections.push(current.join("\n"));
+  return sections;
+}
+
+/**
+ * Hard-splits an oversized section on paragraph, then character boundaries
+ * @param {string} section - Section text exceeding the budget
+ * @param {number} maxChars - Character budget per piece
+ * @returns {string[]} Pieces that fit the budget
+ */
+function splitOversizedSection(section, maxChars) {
+  const pieces = [];
+  let current = "";
+  for (const paragraph of section.split("\n")) {
+    if (paragraph.length > maxChars) {
+      if (current) pieces.push(current);
+      current = "";
+      for (let i = 0; i < paragraph.length; i += maxChars) {
+        pieces.push(paragraph.slice(i, i + maxChars));
+      }
+      continue;
+    }
+    if (current && current.length + paragraph.length + 1 > maxChars) {
+      pieces.push(current);
+      current = "";
+    }
+    current = current ? `${current}\n${paragraph}` : paragraph;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Packs policy sections into chunks that fit a token budget.
+ * Chunks break on section headings whenever possible so each partial
+ * analysis sees whole clauses.
+ * @param {string} text - Distilled policy text
+ * @param {number} maxTokens - Token budget per chunk
+ * @returns {string[]} Chunks in document order
+ */
+export function chunkPolicyText(text, maxTokens = DEFAULT_MAX_INPUT_TOKENS) {
+  const maxChars = Math.max(1, maxTokens * CHARS_PER_TOKEN);
+  const chunks = [];
+  let current = "";
+  for (const section of splitIntoSections(text)) {
+    const pieces = section.length > maxChars ? splitOversizedSection(section, maxChars) : [section];
+    for (const piece of pieces) {
+      if (current && current.length + piece.length + 1 > maxChars) {
+        chunks.push(current);
+        current = "";
+      }
+      current = current ? `${current}\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * Creates an Error carrying a stable code for the UI
+ * @param {string} code - One of NO_API_KEY, INVALID_CONFIG, INVALID_KEY, QUOTA_EXCEEDED,
+ *   RATE_LIMITED, MODEL_NOT_FOUND, CONTEXT_TOO_LONG, TIMEOUT, NETWORK, PROVIDER_ERROR
+ * @param {string} message - Developer-facing message
+ * @param {Object} [extra] - Additional properties (status, retryable, retryAfterMs)
+ * @returns {Error} The error
+ */
+function createAIError(code, message, extra = {}) {
+  const err = new Error(message);
+  err.code = code;
+  Object.assign(err, extra);
+  return err;
+}
+
+/**
+ * Parses a Retry-After header (delta seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Maps a failed provider response to an error code. Providers word these
+ * differently, so the body text is matched loosely.
+ * @param {number} status - HTTP status
+ * @param {string} bodyText - Response body
+ * @param {string|null} retryAfter - Retry-After header value
+ * @returns {Error} Classified error
+ */
+function classifyHttpError(status, bodyText, retryAfter) {
+  const body = String(bodyText || "");
+  const message = `HTTP error ${status}: ${body}`;
+  const extra = { status, retryAfterMs: parseRetryAfter(retryAfter) };
+
+  if (/context[_ ]length|maximum context|too many tokens|prompt is too long|input is too long|reduce the length/i.test(body) || status === 413) {
+    return createAIError("CONTEXT_TOO_LONG", message, extra);
+  }
+  if (/model[_ ]not[_ ]found|model .*(does not exist|not found)|unknown model|invalid model/i.test(body)) {
+    return createAIError("MODEL_NOT_FOUND", message, extra);
+  }
+  if (status === 401 || status === 403 || /invalid[_ ]api[_ ]key|incorrect api key|authentication/i.test(body)) {
+    return createAIError("INVALID_KEY", message, extra);
+  }
+  if (status === 402 || /insufficient_quota|quota|billing|credit balance|exceeded your current/i.test(body)) {
+    return createAIError("QUOTA_EXCEEDED", message, extra);
+  }
+  if (status === 429) {
+    return createAIError("RATE_LIMITED", message, { ...extra, retryable: true });
+  }
+  if (status === 404) {
+    return createAIError("MODEL_NOT_FOUND", message, extra);
+  }
+  return createAIError("PROVIDER_ERROR", message, { ...extra, retryable: RETRYABLE_STATUS.includes(status) });
+}
+
+/**
+ * Exponential backoff with jitter; a server-provided Retry-After wins
+ * @param {number} attempt - Zero-based retry number
+ * @param {number|null} retryAfterMs - Server hint
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(attempt, retryAfterMs) {
+  if (typeof retryAfterMs === "number") return Math.min(retryAfterMs, RETRY_MAX_DELAY_MS);
+  const base = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(base + Math.random() * base * 0.25, RETRY_MAX_DELAY_MS);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Requests a summary and repairs output that breaks the schema. When the model
+ * still does not comply, the summary is rebuilt heuristically and marked
+ * `confidence: "low"` so the UI does not present a guessed score as fact.
+ * @param {Object} settings - Resolved request settings (incl. maxRepairs, onRepair)
+ * @param {Array<Object>} messages - Chat messages to send
+ * @param {Object} [callOptions]
+ * @param {Function} [callOptions.onDelta] - Streams the first response
+ * @param {Object} [callOptions.schema] - Output contract (default SUMMARY_SCHEMA)
+ * @returns {Promise<Object>} Normalized summary object with `confidence`
+ */
+async function requestSummary(settings, messages, { onDelta, schema = SUMMARY_SCHEMA } = {}) {
+  const { maxRepairs = DEFAULT_MAX_REPAIRS, onRepair } = settings;
+  let content = await requestAndRecord(settings, messages, { onDelta });
+  let { result, errors } = decodeSummary(content, schema);
+
+  for (let repair = 0; errors.length > 0 && repair < maxRepairs; repair += 1) {
+    if (typeof onRepair === "function") onRepair({ attempt: repair + 1, errors });
+    const previous = typeof content === "string" ? content : JSON.stringify(content);
+    const reply = await requestAndRecord(settings, [
+      ...messages,
+      { role: "assistant", content: previous },
+      { role: "user", content: buildRepairPrompt(schema, errors) },
+    ]);
+    const next = decodeSummary(reply, schema);
+    // Keep the earlier answer if the repair made things worse (no result or more errors)
+    if (!result || (next.result && next.errors.length <= errors.length)) {
+      content = reply;
+      ({ result, errors } = next);
+    }
+  }
+
+  if (!result) {
+    const text = Array.isArray(content) ? joinContentSegments(content) : content;
+    return { ...normalizeSummary(extractFromUnstructured(text)), confidence: "low" };
+  }
+  return { ...result, confidence: errors.length > 0 ? "low" : "high" };
+}
+
+/**
+ * Sends one request and adds its token usage to `settings.usage`, if tracked
+ * @returns {Promise<*>} Raw assistant content
+ */
+async function requestAndRecord(settings, messages, callOptions) {
+  const { content, usage } = await requestWithRetries(settings, messages, callOptions);
+  if (settings.usage) {
+    settings.usage.inputTokens += usage.inputTokens || 0;
+    settings.usage.outputTokens += usage.outputTokens || 0;
+    settings.usage.requests += 1;
+  }
+  return content;
+}
+
+/**
+ * Sends one chat completion request, retrying transient failures
+ * @param {Object} settings - Resolved request settings (incl. maxRetries, onRetry)
+ * @param {Array<Object>} messages - Chat messages to send
+ * @param {Object} [callOptions] - Passed through to attemptCompletion
+ * @returns {Promise<{content: *, usage: Object}>} Raw assistant content and usage
+ */
+async function requestWithRetries(settings, messages, callOptions = {}) {
+  const { maxRetries = DEFAULT_MAX_RETRIES, onRetry } = settings;
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await attemptCompletion(settings, messages, callOptions);
+    } catch (err) {
+      if (!err.retryable || attempt >= maxRetries) throw err;
+      const delayMs = getRetryDelay(attempt, err.retryAfterMs);
+      if (typeof onRetry === "function") {
+        onRetry({ attempt: attempt + 1, maxRetries, delayMs, code: err.code });
+      }
+      await sleep(delayMs);
+    }
+  }
+}
+
+/**
+ * Sends a single chat completion request and returns the assistant content
+ * @param {Object} settings - Resolved provider, key, model and timeout settings
+ * @param {Array<Object>} messages - Chat messages to send
+ * @param {Object} [callOptions]
+ * @param {Function} [callOptions.onDelta] - Streams the response and reports partial Markdown
+ * @param {boolean} [callOptions.json] - Ask the provider for a JSON object (default true)
+ * @returns {Promise<{content: *, usage: Object}>} Raw assistant content (decoded by
+ *   requestSummary) and the token usage reported by the provider
+ */
+async function attemptCompletion(settings, messages, { onDelta, json = true } = {}) {
+  const { provider, apiKey, model, temperature, maxTokens, timeout, rest, baseUrl, authHeader } = settings;
+  const stream = typeof onDelta === "function";
+
+  // Set up request timeout; while streaming it acts as an idle timeout
   const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-  
+  let timeoutId = setTimeout(() => controller.abort(), timeout);
+  const resetTimeout = () => {
+    clearTimeout(timeoutId);
+    timeoutId = setTimeout(() => controller.abort(), timeout);
+  };
+
   try {
     // Build provider-specific request
-  const { url, headers, body } = buildProviderRequest(provider, apiKey, {
+    const { url, headers, body } = buildProviderRequest(provider, apiKey, {
       model,
       temperature,
       maxTokens,
       rest,
-      lang,
-      text,
-      sourceDomain: options.sourceDomain,
+      messages,
+      baseUrl,
+      authHeader,
+      stream,
+      json,
     });
 
     const response = await fetch(url, {
@@ -132,220 +1140,687 @@ export async function summarizePolicy(text, lang = "en", options = {}) {
       body,
       signal: controller.signal,
     });
-    
-    clearTimeout(timeoutId);
-    
+
     // Handle HTTP errors
     if (!response.ok) {
+      clearTimeout(timeoutId);
       const errorText = await response.text();
-      throw new Error(`HTTP error ${response.status}: ${errorText}`);
+      throw classifyHttpError(response.status, errorText, response.headers.get("retry-after"));
     }
-    
-    // Parse response and validate structure
-    const data = await response.json();
-    const rawContent = data.choices?.[0]?.message?.content;
-
-    // Utilities for parsing
-    function stripCodeFences(text) {
-      if (typeof text !== "string") return text;
-      let t = text.trim();
-      if (t.startsWith("```") && t.endsWith("```")) {
-        t = t.replace(/^```[a-zA-Z]*\n?/, "").replace(/```$/, "").trim();
-      }
-      return t;
+
+    // Some gateways ignore `stream`; fall back to the regular JSON body
+    const contentType = response.headers.get("content-type") || "";
+    if (stream && response.body && !contentType.includes("application/json")) {
+      const result = await readCompletionStream(provider, response, onDelta, resetTimeout);
+      clearTimeout(timeoutId);
+      return result;
     }
 
-    // Try to robustly parse JSON from the model output first
-    function tryParseJsonFromContent(content) {
-      // Some providers (xAI, reasoning models) return content as an array of segments
-      if (Array.isArray(content)) {
-        const joined = content
-          .map((seg) => {
-            if (typeof seg === "string") return seg;
-            if (seg && typeof seg === "object") {
-              if (typeof seg.text === "string") return seg.text;
-              if (typeof seg.content === "string") return seg.content;
-            }
-            return "";
-          })
-          .join("");
-        return tryParseJsonFromContent(joined);
-      }
+    const data = await response.json();
+    clearTimeout(timeoutId);
+    return { content: selectResponseContent(provider, data), usage: extractUsage(provider, data) || {} };
+  } catch (err) {
+    clearTimeout(timeoutId);
+    if (err.name === "AbortError") {
+      throw createAIError("TIMEOUT", "Request timed out");
+    }
+    // fetch() rejects with TypeError when the connection itself fails
+    if (err instanceof TypeError && !err.code) {
+      throw createAIError("NETWORK", `Network error: ${err.message}`, { retryable: true });
+    }
+    throw err;
+  }
+}
 
-      if (content && typeof content === "object") {
-        // Some SDKs wrap again: { content: "{...}" } or { text: "{...}" }
-        const inner = typeof content.content === "string"
-          ? content.content
-          : typeof content.text === "string"
-            ? content.text
-            : null;
-        if (inner) {
-          return tryParseJsonFromContent(inner);
-        }
-        return content;
-      }
+/**
+ * Merges partial analyses into one, reducing in groups when the combined
+ * partials would not fit a single request
+ * @param {Object} settings - Resolved request settings
+ * @param {Array<Object>} partials - Normalized partial analyses in document order
+ * @param {Object} context - { lang, sourceDomain, maxInputTokens }
+ * @param {boolean} [truncate] - Shorten every partial to an equal share of the budget so all
+ *   of them fit one final merge request
+ * @returns {Promise<Object>} Normalized merged analysis
+ */
+async function reducePartials(settings, partials, context, truncate = false) {
+  const { lang, sourceDomain, maxInputTokens, onDelta } = context;
+  const maxChars = Math.max(1, Math.floor(maxInputTokens / partials.length) * CHARS_PER_TOKEN);
+  const formatted = partials.map((p, i) => {
+    const entry = `## Part ${i + 1}\nScore: ${p.privacy_score}/10 (${p.score_explanation})\n\n${p.summary}`;
+    return truncate && entry.length > maxChars ? `${entry.slice(0, maxChars - 1)}…` : entry;
+  });
 
-      if (typeof content !== "string") return null;
-      const text = stripCodeFences(content);
-      try {
-        return JSON.parse(text);
-      } catch {}
-      const firstBrace = text.indexOf("{");
-      const lastBrace = text.lastIndexOf("}");
-      if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-        const candidate = text.slice(firstBrace, lastBrace + 1);
-        try {
-          return JSON.parse(candidate);
-        } catch {}
-      }
-      return null;
+  // Group partials so each merge request stays within budget
+  const groups = [];
+  let current = [];
+  let currentTokens = 0;
+  for (const entry of formatted) {
+    const tokens = estimateTokens(entry);
+    if (current.length > 0 && currentTokens + tokens > maxInputTokens) {
+      groups.push(current);
+      current = [];
+      currentTokens = 0;
     }
+    current.push(entry);
+    currentTokens += tokens;
+  }
+  if (current.length > 0) groups.push(current);
 
-    function clampScore(score) {
-      if (Number.isNaN(score)) return 5;
-      return Math.max(0, Math.min(10, Math.round(score)));
-    }
+  const merged = [];
+  for (const group of groups) {
+    merged.push(
+      await requestSummary(
+        settings,
+        [
+          { role: "system", content: buildReduceSystemPrompt(lang) },
+          {
+            role: "user",
+            content: `Source domain: ${sourceDomain || "unknown"}\n\nPartial analyses:\n\n${group.join("\n\n")}`,
+          },
+        ],
+        // Only the final merge is worth streaming to the user
+        { onDelta: groups.length === 1 ? onDelta : undefined, schema: REDUCE_SCHEMA },
+      ),
+    );
+  }
 
-    function extractFromUnstructured(content) {
-      const text = stripCodeFences(typeof content === "string" ? content : "");
-      const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
-
-      // Score detection (EN/ES)
-      const scorePatterns = [
-        /\bprivacy\s*(?:abuse\s*)?score\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
-        /\bscore\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
-        /\bpuntuaci[oó]n\s*(?:de\s*privacidad)?\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
-        /\bpuntaje\s*(?:de\s*privacidad)?\b\s*[:\-]?\s*(\d{1,2})(?:\s*\/\s*10)?/i,
-        /\b(\d{1,2})\s*\/\s*10\b/,
-      ];
-      let detectedScore = undefined;
-      let scoreLineIndex = -1;
-      for (let i = 0; i < lines.length; i += 1) {
-        const line = lines[i];
-        for (const re of scorePatterns) {
-          const m = line.match(re);
-          if (m) {
-            const n = parseInt(m[1], 10);
-            if (!Number.isNaN(n)) {
-              detectedScore = clampScore(n);
-              scoreLineIndex = i;
-              break;
-            }
-          }
-        }
-        if (detectedScore !== undefined) break;
-      }
+  if (merged.length === 1) return merged[0];
+  // A round that cannot shrink the list would loop forever; dropping groups would leave parts
+  // of the policy out of the summary, so the last merge takes all of them, shortened
+  return reducePartials(settings, merged, context, merged.length >= partials.length);
+}
 
-      // Explanation: prefer text after the score on same line or the next line
-      let explanation = "";
-      if (scoreLineIndex !== -1) {
-        const after = lines[scoreLineIndex].replace(/^[^:\-]+[:\-]?\s*/, "");
-        const afterNumber = after.replace(/^(\d{1,2})(?:\s*\/\s*10)?\s*/, "").trim();
-        if (afterNumber && /[a-zA-Z\u00C0-\u017F]/.test(afterNumber)) {
-          explanation = afterNumber;
-        } else if (lines[scoreLineIndex + 1]) {
-          const next = lines[scoreLineIndex + 1];
-          if (/(explana|explica|porque|motivo|reason|because|justif)/i.test(next)) {
-            explanation = next;
-          }
-        }
-      }
+/**
+ * Merges stored AI options with call options and validates the provider setup
+ * @param {Object} options - Call options overriding the stored ones
+ * @returns {Promise<Object>} { settings, maxInputTokens, sourceDomain, onProgress, onDelta }
+ * @throws {Error} NO_API_KEY or INVALID_CONFIG
+ */
+async function resolveSettings(options) {
+  const stored = await getAIOptions();
+  const {
+    provider = "xai",
+    model = "grok-3-mini",
+    temperature = 0.2,
+    maxTokens = 2048,
+    timeout = 30000,
+    maxInputTokens = DEFAULT_MAX_INPUT_TOKENS,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    maxRepairs = DEFAULT_MAX_REPAIRS,
+    baseUrl,
+    authHeader,
+    sourceDomain,
+    onProgress,
+    onDelta,
+    consensusMember = false,
+    ...rest
+  } = { ...stored, ...options };
 
-      // Summary detection: capture section under Summary/Resumen heading if present
-      const headingIdx = lines.findIndex((l) => /^(summary|resumen)\b[:\-]?/i.test(l));
-      let summaryText = "";
-      if (headingIdx !== -1) {
-        const section = [];
-        for (let i = headingIdx + 1; i < lines.length; i += 1) {
-          const l = lines[i];
-          if (/^#{1,6}\s+/.test(l) || /^(score|puntuaci[oó]n|puntaje)\b/i.test(l) || /^(rights|derechos)\b/i.test(l)) {
-            break;
-          }
-          section.push(lines[i]);
-        }
-        summaryText = section.join("\n").trim();
-      }
-      if (!summaryText) {
-        // Fallback: remove the score line and return remaining text
-        const body = lines.filter((_, idx) => idx !== scoreLineIndex).join("\n").trim();
-        summaryText = body || text;
-      }
+  // Validate API key is available (self-hosted gateways may not need one). Consensus
+  // members use the key entered for their provider on the options page; on the configured
+  // provider they fall back to its main key.
+  const isMainProvider = provider === (stored.provider || "xai");
+  const memberKey = consensusMember || !isMainProvider ? await getProviderKey(provider) : "";
+  const apiKey = memberKey || (isMainProvider ? await getApiKey() : "");
+  if (!apiKey && !KEYLESS_PROVIDERS.includes(provider)) throw createAIError("NO_API_KEY", "API key not set");
+  if (provider === "custom" && !baseUrl) throw createAIError("INVALID_CONFIG", "Base URL not set");
 
-      const finalScore = detectedScore !== undefined ? detectedScore : 5;
-      const finalExplanation = explanation || (detectedScore !== undefined ? "Detected score from response." : "No explicit score provided; using neutral score.");
-      return {
-        privacy_score: finalScore,
-        score_explanation: finalExplanation,
-        summary: summaryText,
-      };
-    }
+  const settings = {
+    provider,
+    apiKey,
+    model,
+    temperature,
+    maxTokens,
+    timeout,
+    rest,
+    baseUrl,
+    authHeader,
+    maxRetries,
+    maxRepairs,
+    usage: { inputTokens: 0, outputTokens: 0, requests: 0 },
+  };
+  return { settings, maxInputTokens, sourceDomain, onProgress, onDelta };
+}
 
-    let parsed = tryParseJsonFromContent(rawContent);
-    if (!parsed) {
-      // Some providers also place JSON inside top-level data fields – attempt those
-      const altContent =
-        data.choices?.[0]?.message?.reasoning_content ||
-        data.choices?.[0]?.message?.tool_content ||
-        data.choices?.[0]?.message?.content_text ||
-        null;
-      if (altContent) parsed = tryParseJsonFromContent(altContent);
-    }
-    if (!parsed) {
-      parsed = extractFromUnstructured(rawContent);
-    }
+/**
+ * Checks whether the configured provider can be called (API key or endpoint present)
+ * @param {Object} [options] - AI options overriding the stored ones
+ * @returns {Promise<boolean>} False when a summary would fail with NO_API_KEY or INVALID_CONFIG
+ */
+export async function isProviderConfigured(options = {}) {
+  try {
+    await resolveSettings(options);
+    return true;
+  } catch (err) {
+    if (err.code === "NO_API_KEY" || err.code === "INVALID_CONFIG") return false;
+    throw err;
+  }
+}
 
-    // Normalize and validate required fields
-    const norm = (() => {
-      // If still wrapped
-      if (parsed && typeof parsed === "object" && parsed.content && typeof parsed.content === "string") {
-        const inner = tryParseJsonFromContent(parsed.content);
-        if (inner) parsed = inner;
-      }
+/**
+ * Returns the usage recorded on `settings` with provider, model and cost
+ * @param {Object} settings - Resolved request settings
+ * @returns {Object} { provider, model, inputTokens, outputTokens, requests, cost }
+ */
+function reportUsage(settings) {
+  const { provider, model, usage } = settings;
+  return { provider, model, ...usage, cost: computeCost(provider, model, usage) };
+}
 
-      // If parsed is an array of segments, try again
-      if (Array.isArray(parsed)) {
-        parsed = tryParseJsonFromContent(parsed) || extractFromUnstructured(String(parsed));
-      }
+/**
+ * Analyzes a privacy policy text and generates a comprehensive summary.
+ * Policies longer than `maxInputTokens` are split by section headings, analyzed
+ * chunk by chunk and merged into the same result shape.
+ * 
+ * @param {string} text - The privacy policy text to analyze
+ * @param {string} lang - The language code for the summary (default: "en")
+ * @param {Object} options - Additional AI options to override defaults
+ * @param {string} [options.sourceDomain] - Domain the policy was fetched from
+ * @param {Function} [options.onProgress] - Called with { step, current, total } while chunking
+ * @param {Function} [options.onDelta] - When set, the final request is streamed and this is
+ *   called with the partial Markdown summary as it arrives
+ * @param {Array<{provider: string, model: string}>} [options.consensus] - Extra models to
+ *   query besides the configured one; see summarizeWithConsensus
+ * @param {Array<Object>} [options.hints] - Flags from the rule-based pre-analysis
+ *   (heuristics.js), sent along with the text they were found in
+ * @returns {Promise<Object>} Object containing privacy_score (derived from categories),
+ *   score_explanation, summary, categories ({ score, note } per category) and findings
+ *   ({ claim, quote, severity, verified }); `confidence` is "low" when the model output had to be
+ *   repaired heuristically; `usage` holds the actual token counts and cost of all requests;
+ *   `promptVersion` identifies the prompt template used
+ * @throws {Error} If API key is missing, request fails, or response is invalid; `err.code`
+ *   classifies the failure (see createAIError)
+ */
+export async function summarizePolicy(text, lang = "en", options = {}) {
+  const { consensus, hints = [], ...aiOptions } = options;
+  if (Array.isArray(consensus) && consensus.length > 0) {
+    return summarizeWithConsensus(text, lang, { ...aiOptions, hints }, consensus);
+  }
 
-      let score = parsed?.privacy_score;
-      // Accept numeric strings
-      if (typeof score === "string") {
-        const n = Number(score);
-        if (!Number.isNaN(n)) score = n;
-      }
-      if (typeof score !== "number") {
-        // As a last resort, try to find score inside a nested field
-        const maybe = tryParseJsonFromContent(parsed?.summary || parsed?.text || "");
-        if (maybe && typeof maybe.privacy_score === "number") score = maybe.privacy_score;
-      }
-      score = clampScore(Number(score));
-
-      let explanation = String(parsed?.score_explanation ?? "");
-      // Enforce ultra-brief, title-style explanation: trim, remove trailing period, cap words
-      explanation = explanation.trim().replace(/[\.\s]+$/g, "");
-      const words = explanation.split(/\s+/).filter(Boolean);
-      if (words.length > 8) explanation = words.slice(0, 8).join(" ");
-      explanation = explanation.replace(/\.$/, "");
-      const summary = String(parsed?.summary ?? "");
-      return { privacy_score: score, score_explanation: explanation, summary };
-    })();
-
-    if (
-      typeof norm.score_explanation !== "string" ||
-      typeof norm.summary !== "string"
-    ) {
-      throw new Error("Missing required fields in response");
-    }
-    if (norm.privacy_score < 0 || norm.privacy_score > 10) {
-      throw new Error("privacy_score out of range (must be 0-10)");
+  const { settings, maxInputTokens, sourceDomain, onProgress, onDelta } = await resolveSettings(aiOptions);
+  const { maxRepairs } = settings;
+
+  const report = (progress) => {
+    if (typeof onProgress === "function") onProgress(progress);
+  };
+  settings.onRetry = ({ attempt, maxRetries: total, code }) => report({ step: "retrying", current: attempt, total, code });
+  settings.onRepair = ({ attempt }) => report({ step: "repairing", current: attempt, total: maxRepairs });
+
+  const { template, version: promptVersion } = await resolvePromptTemplate();
+  const vars = { lang, sourceDomain: sourceDomain || "unknown" };
+  const withUsage = (result) => ({
+    ...result,
+    promptVersion,
+    usage: reportUsage(settings),
+  });
+
+  const chunks = estimateTokens(text) > maxInputTokens ? chunkPolicyText(text, maxInputTokens) : [text];
+
+  // Hints are only sent with the text they quote
+  const hintsFor = (part) => {
+    const flat = part.replace(/\s+/g, " ");
+    const block = formatHeuristicHints(hints.filter((h) => flat.includes(h.quote.replace(/…$/, ""))));
+    return block ? `\n\n${block}` : "";
+  };
+
+  if (chunks.length === 1) {
+    const result = await requestSummary(settings, [
+      { role: "system", content: buildSystemPrompt(template, vars) },
+      {
+        role: "user",
+        content: `Source domain: ${sourceDomain || "unknown"}\n\nPolicy text:\n\n${text}${hintsFor(text)}`,
+      },
+    ], { onDelta });
+    return withUsage({ ...result, findings: verifyFindings(result.findings, text) });
+  }
+
+  // Map: analyze each chunk independently
+  const partials = [];
+  for (let i = 0; i < chunks.length; i += 1) {
+    report({ step: "analyzing_chunk", current: i + 1, total: chunks.length });
+    partials.push(
+      await requestSummary(settings, [
+        { role: "system", content: buildChunkSystemPrompt(template, vars, i + 1, chunks.length) },
+        {
+          role: "user",
+          content: `Source domain: ${sourceDomain || "unknown"}\n\nPolicy text (part ${i + 1} of ${chunks.length}):\n\n${chunks[i]}${hintsFor(chunks[i])}`,
+        },
+      ]),
+    );
+  }
+
+  // Reduce: merge partial analyses into the final result
+  report({ step: "merging_chunks", current: chunks.length, total: chunks.length });
+  const merged = await reducePartials(settings, partials, { lang, sourceDomain, maxInputTokens, onDelta });
+  // Findings and categories come from the chunks, where the model saw the text itself
+  const findings = mergeFindings(partials.flatMap((p) => p.findings));
+  const categories = mergeCategories(partials);
+  const derived = deriveOverallScore(categories);
+  return withUsage({
+    ...merged,
+    privacy_score: derived ?? merged.privacy_score,
+    categories,
+    findings: verifyFindings(findings, text),
+    // One guessed part makes the whole result a guess
+    confidence: [merged, ...partials].some((p) => p.confidence === "low") ? "low" : "high",
+  });
+}
+
+/**
+ * Lists the models queried in consensus mode: the configured one first, then the extra
+ * members in order, skipping repeats
+ * @param {Object} options - Call options overriding the stored ones
+ * @param {Array<{provider: string, model: string}>} members - Extra models
+ * @returns {Promise<Array<Object>>} Option overrides per model ({ provider, model, ... });
+ *   members carry `consensusMember: true` so they use their own API key
+ */
+async function resolveConsensusModels(options, members) {
+  const stored = await getAIOptions();
+  const { provider = "xai", model = "grok-3-mini" } = { ...stored, ...options };
+  const seen = new Set([`${provider}/${model}`]);
+  const models = [{ provider, model }];
+  for (const member of members) {
+    const key = `${member.provider}/${member.model}`;
+    if (!member.provider || !member.model || seen.has(key)) continue;
+    seen.add(key);
+    // Base URL and auth header belong to the configured provider; others use their defaults
+    models.push(
+      member.provider === provider
+        ? { provider: member.provider, model: member.model, consensusMember: true }
+        : {
+            provider: member.provider,
+            model: member.model,
+            consensusMember: true,
+            baseUrl: undefined,
+            authHeader: undefined,
+          },
+    );
+  }
+  return models;
+}
+
+/**
+ * Rates how closely the models' overall scores agree
+ * @param {number} spread - Highest minus lowest score
+ * @returns {string} "high", "medium" or "low"
+ */
+function describeAgreement(spread) {
+  if (spread <= CONSENSUS_SPREAD_HIGH) return "high";
+  if (spread <= CONSENSUS_SPREAD_MEDIUM) return "medium";
+  return "low";
+}
+
+/**
+ * Averages category sub-scores across models. Unlike chunks, every model read the whole
+ * policy, so no single opinion should dominate.
+ * @param {Array<Object>} results - Normalized analyses, one per model
+ * @returns {Object} Normalized categories
+ */
+function averageCategories(results) {
+  const categories = {};
+  for (const key of PRIVACY_CATEGORIES) {
+    const scored = results.map((r) => r.categories?.[key]).filter((e) => typeof e?.score === "number");
+    if (scored.length === 0) {
+      categories[key] = { score: null, note: "" };
+      continue;
     }
+    const mean = scored.reduce((sum, e) => sum + e.score, 0) / scored.length;
+    // Keep the note of the model closest to the mean
+    const closest = scored.reduce((best, e) => (Math.abs(e.score - mean) < Math.abs(best.score - mean) ? e : best));
+    categories[key] = { score: clampScore(mean), note: closest.note };
+  }
+  return categories;
+}
 
-    return norm;
-  } catch (err) {
-    clearTimeout(timeoutId);
-    if (err.name === "AbortError") {
-      throw new Error("Request timed out");
+/**
+ * Checks whether two normalized quotes cite the same passage
+ * @param {string} a - Normalized quote
+ * @param {string} b - Normalized quote
+ * @returns {boolean} True if one contains the other or they share most trigrams
+ */
+function quotesOverlap(a, b) {
+  if (a.includes(b) || b.includes(a)) return true;
+  const [smaller, larger] = [wordTrigrams(a), wordTrigrams(b)].sort((x, y) => x.size - y.size);
+  if (smaller.size === 0) return false;
+  let hits = 0;
+  for (const gram of smaller) if (larger.has(gram)) hits += 1;
+  return hits / smaller.size >= QUOTE_OVERLAP_THRESHOLD;
+}
+
+/**
+ * Combines findings from several models, counting how many of them cited each passage;
+ * findings backed by more models come first
+ * @param {Array<Object>} results - Normalized analyses, one per model
+ * @returns {Array<Object>} [{ claim, quote, verified, supportedBy }]
+ */
+function mergeConsensusFindings(results) {
+  const quotesPerModel = results.map((r) => (r.findings || []).map((f) => normalizeForMatch(f.quote)).filter(Boolean));
+  const counted = results.flatMap((r) =>
+    (r.findings || []).map((f) => {
+      const quote = normalizeForMatch(f.quote);
+      const supportedBy = quote ? quotesPerModel.filter((quotes) => quotes.some((q) => quotesOverlap(q, quote))).length : 1;
+      return { ...f, supportedBy };
+    }),
+  );
+  // Array.prototype.sort is stable, so model order breaks ties
+  return mergeFindings(counted.sort((a, b) => b.supportedBy - a.supportedBy));
+}
+
+/**
+ * Adds up usage reports from several providers
+ * @param {Array<Object>} usages - Results of reportUsage
+ * @returns {Object} { provider: "consensus", model, inputTokens, outputTokens, requests, cost };
+ *   cost is null when any model's pricing is unknown
+ */
+function sumUsage(usages) {
+  return {
+    provider: "consensus",
+    model: [...new Set(usages.map((u) => `${u.provider}/${u.model}`))].join(", "),
+    inputTokens: usages.reduce((sum, u) => sum + (u.inputTokens || 0), 0),
+    outputTokens: usages.reduce((sum, u) => sum + (u.outputTokens || 0), 0),
+    requests: usages.reduce((sum, u) => sum + (u.requests || 0), 0),
+    cost: usages.some((u) => u.cost === null) ? null : usages.reduce((sum, u) => sum + (u.cost || 0), 0),
+  };
+}
+
+/**
+ * Analyzes a policy with several models and merges their analyses. Category sub-scores
+ * are averaged, findings are ranked by how many models cited the same passage, and the
+ * summaries are merged by the first model that answered. Models that fail are reported
+ * but do not abort the run.
+ * @param {string} text - The privacy policy text to analyze
+ * @param {string} lang - The language code for the summary
+ * @param {Object} options - AI options as in summarizePolicy (without `consensus`)
+ * @param {Array<{provider: string, model: string}>} members - Extra models to query
+ * @param {Function} [options.onProgress] - Called with { step: "consensus_model", current,
+ *   total, provider, model } per model, then with that model's own steps (see
+ *   summarizePolicy) tagged `consensusModel: { provider, model, current, total }`
+ * @returns {Promise<Object>} Same shape as summarizePolicy plus `consensus`: { runs, spread,
+ *   agreement, mergeUsage } where runs lists { provider, model, privacy_score, usage } or
+ *   { provider, model, error } per model and spread is null when only one model answered;
+ *   `usage` is the total over all models
+ * @throws {Error} The first model's error when no model answered
+ */
+async function summarizeWithConsensus(text, lang, options, members) {
+  const { onProgress, onDelta, hints, ...runOptions } = options;
+  const report = (progress) => {
+    if (typeof onProgress === "function") onProgress(progress);
+  };
+
+  const models = await resolveConsensusModels(runOptions, members);
+  const runs = [];
+  for (let i = 0; i < models.length; i += 1) {
+    const { provider, model } = models[i];
+    report({ step: "consensus_model", current: i + 1, total: models.length, provider, model });
+    // Chunk, retry and repair steps of this model, tagged so the UI can name it
+    const consensusModel = { provider, model, current: i + 1, total: models.length };
+    const onModelProgress = (progress) => report({ ...progress, consensusModel });
+    try {
+      const result = await summarizePolicy(text, lang, {
+        ...runOptions,
+        ...models[i],
+        hints,
+        onProgress: onModelProgress,
+      });
+      runs.push({ overrides: models[i], result });
+    } catch (err) {
+      runs.push({ overrides: models[i], error: err });
     }
-    throw err;
   }
+
+  const answered = runs.filter((r) => r.result);
+  if (answered.length === 0) throw runs[0].error;
+
+  const results = answered.map((r) => r.result);
+  const runSummaries = runs.map(({ overrides: { provider, model }, result, error }) =>
+    result
+      ? { provider, model, privacy_score: result.privacy_score, score_explanation: result.score_explanation, usage: result.usage }
+      : { provider, model, error: error.code || "FAILED" },
+  );
+  if (answered.length === 1) {
+    return { ...results[0], consensus: { runs: runSummaries, spread: null, agreement: null, mergeUsage: null } };
+  }
+
+  const scores = results.map((r) => r.privacy_score);
+  const spread = Math.max(...scores) - Math.min(...scores);
+
+  report({ step: "merging_models", current: models.length, total: models.length });
+  const { settings, sourceDomain } = await resolveSettings({ ...runOptions, ...answered[0].overrides });
+  const analyses = answered.map(
+    ({ overrides, result }) =>
+      `## ${overrides.provider} / ${overrides.model}\nScore: ${result.privacy_score}/10 (${result.score_explanation})\n\n${result.summary}`,
+  );
+  const merged = await requestSummary(
+    settings,
+    [
+      { role: "system", content: buildConsensusSystemPrompt(lang) },
+      {
+        role: "user",
+        content: `Source domain: ${sourceDomain || "unknown"}\n\nAnalyses:\n\n${analyses.join("\n\n")}`,
+      },
+    ],
+    { onDelta, schema: REDUCE_SCHEMA },
+  );
+  const mergeUsage = reportUsage(settings);
+
+  const categories = averageCategories(results);
+  const meanScore = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return {
+    ...merged,
+    privacy_score: deriveOverallScore(categories) ?? clampScore(meanScore),
+    categories,
+    findings: mergeConsensusFindings(results),
+    confidence: [merged, ...results].some((p) => p.confidence === "low") ? "low" : "high",
+    promptVersion: results[0].promptVersion,
+    usage: sumUsage([...results.map((r) => r.usage), mergeUsage]),
+    consensus: { runs: runSummaries, spread, agreement: describeAgreement(spread), mergeUsage },
+  };
+}
+
+/**
+ * Estimates the tokens and cost of summarizing a policy before anything is sent.
+ * Output is counted at `maxTokens` per request, so the cost is an upper bound.
+ * @param {string} text - The privacy policy text
+ * @param {string} [lang] - Summary language (affects prompt length only)
+ * @param {Object} [options] - AI options overriding the stored ones
+ * @param {Array<{provider: string, model: string}>} [options.consensus] - Extra models, as in
+ *   summarizePolicy; the estimate then covers every model plus the merge request
+ * @returns {Promise<Object>} { provider, model, chunks, requests, inputTokens, outputTokens,
+ *   cost } where cost is USD or null when the model's pricing is unknown; consensus
+ *   estimates add `models` (count) and `perModel` (one estimate per model)
+ */
+export async function estimateSummaryCost(text, lang = "en", options = {}) {
+  const { consensus, ...aiOptions } = options;
+  if (Array.isArray(consensus) && consensus.length > 0) {
+    return estimateConsensusCost(text, lang, aiOptions, consensus);
+  }
+
+  const stored = await getAIOptions();
+  const {
+    provider = "xai",
+    model = "grok-3-mini",
+    maxTokens = 2048,
+    maxInputTokens = DEFAULT_MAX_INPUT_TOKENS,
+  } = { ...stored, ...aiOptions };
+
+  const { template } = await resolvePromptTemplate();
+  const vars = { lang, sourceDomain: aiOptions.sourceDomain || "unknown" };
+  const chunks = estimateTokens(text) > maxInputTokens ? chunkPolicyText(text, maxInputTokens) : [text];
+  let inputTokens;
+  let requests;
+  if (chunks.length === 1) {
+    inputTokens = estimateTokens(buildSystemPrompt(template, vars)) + estimateTokens(text);
+    requests = 1;
+  } else {
+    inputTokens = chunks.reduce(
+      (sum, chunk, i) =>
+        sum + estimateTokens(buildChunkSystemPrompt(template, vars, i + 1, chunks.length)) + estimateTokens(chunk),
+      0,
+    );
+    // The merge request reads every partial analysis
+    inputTokens += estimateTokens(buildReduceSystemPrompt(lang)) + chunks.length * maxTokens;
+    requests = chunks.length + 1;
+  }
+  const outputTokens = requests * maxTokens;
+  return {
+    provider,
+    model,
+    chunks: chunks.length,
+    requests,
+    inputTokens,
+    outputTokens,
+    cost: computeCost(provider, model, { inputTokens, outputTokens }),
+  };
+}
+
+/**
+ * Estimates a consensus run: one summary per model plus the merge request
+ * @param {string} text - The privacy policy text
+ * @param {string} lang - Summary language
+ * @param {Object} options - AI options overriding the stored ones (without `consensus`)
+ * @param {Array<{provider: string, model: string}>} members - Extra models
+ * @returns {Promise<Object>} Combined estimate (see estimateSummaryCost)
+ */
+async function estimateConsensusCost(text, lang, options, members) {
+  const models = await resolveConsensusModels(options, members);
+  const perModel = [];
+  for (const overrides of models) {
+    perModel.push(await estimateSummaryCost(text, lang, { ...options, ...overrides }));
+  }
+  const [first] = perModel;
+  const { maxTokens = 2048 } = { ...(await getAIOptions()), ...options };
+  // The merge request reads one analysis per model and is sent to the first model
+  const mergeInput = estimateTokens(buildConsensusSystemPrompt(lang)) + models.length * maxTokens;
+  const mergeCost = computeCost(first.provider, first.model, { inputTokens: mergeInput, outputTokens: maxTokens });
+  const costs = [...perModel.map((e) => e.cost), mergeCost];
+  const total = (field) => perModel.reduce((sum, e) => sum + e[field], 0);
+  return {
+    provider: first.provider,
+    model: first.model,
+    models: models.length,
+    chunks: first.chunks,
+    requests: total("requests") + 1,
+    inputTokens: total("inputTokens") + mergeInput,
+    outputTokens: total("outputTokens") + maxTokens,
+    cost: costs.includes(null) ? null : costs.reduce((sum, cost) => sum + cost, 0),
+    perModel,
+  };
+}
+
+function questionTerms(text) {
+  const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  // Four-letter prefixes are a crude stem: "sell", "sells" and "selling" all match
+  return new Set(words.filter((w) => w.length >= 4).map((w) => w.slice(0, 4)));
+}
+
+/**
+ * Picks the policy sections that share the most terms with a question, in document order
+ * @param {string} text - Policy text
+ * @param {string} question - Question (and recent conversation) to match against
+ * @param {number} maxTokens - Budget for the selected sections
+ * @returns {string} Selected sections joined with an omission marker
+ */
+export function selectRelevantSections(text, question, maxTokens) {
+  const sections = chunkPolicyText(text, QA_SECTION_TOKENS);
+  const terms = questionTerms(question);
+  const ranked = sections
+    .map((section, index) => {
+      const sectionTerms = questionTerms(section);
+      let score = 0;
+      for (const term of terms) if (sectionTerms.has(term)) score += 1;
+      return { section, index, score };
+    })
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const picked = [];
+  let used = 0;
+  for (const entry of ranked) {
+    const tokens = estimateTokens(entry.section);
+    if (used + tokens > maxTokens) continue;
+    picked.push(entry);
+    used += tokens;
+  }
+  return picked
+    .sort((a, b) => a.index - b.index)
+    .map((p) => p.section)
+    .join("\n\n[...]\n\n");
+}
+
+/**
+ * Answers a follow-up question about a policy with the configured provider
+ * @param {string} policyText - Distilled policy text
+ * @param {string} question - The user's question
+ * @param {Object} [options] - AI options overriding the stored ones
+ * @param {Array<{role: string, content: string}>} [options.history] - Earlier turns, oldest first
+ * @param {string} [options.lang] - Answer language (default "en")
+ * @param {string} [options.sourceDomain] - Domain the policy belongs to
+ * @param {Function} [options.onDelta] - When set, the answer is streamed and this is called
+ *   with the partial Markdown
+ * @returns {Promise<{answer: string, usage: Object}>} Markdown answer and token usage
+ * @throws {Error} With `code` as in summarizePolicy
+ */
+export async function askPolicyQuestion(policyText, question, options = {}) {
+  const { history = [], lang = "en", ...aiOptions } = options;
+  const { settings, maxInputTokens, sourceDomain, onDelta } = await resolveSettings(aiOptions);
+
+  const recent = history.slice(-MAX_QA_HISTORY_MESSAGES).map(({ role, content }) => ({ role, content }));
+  // Match on the recent user turns too, so "and for how long?" still finds the topic
+  const matchText = [...recent.filter((m) => m.role === "user").map((m) => m.content), question].join(" ");
+  const context =
+    estimateTokens(policyText) > maxInputTokens
+      ? selectRelevantSections(policyText, matchText, maxInputTokens)
+      : policyText;
+
+  const content = await requestAndRecord(
+    settings,
+    [
+      { role: "system", content: buildQuestionSystemPrompt(lang, sourceDomain || "unknown", context) },
+      ...recent,
+      { role: "user", content: question },
+    ],
+    { json: false, onDelta },
+  );
+  const answer = Array.isArray(content) ? joinContentSegments(content) : String(content ?? "");
+  return { answer: answer.trim(), usage: reportUsage(settings) };
+}
+
+/**
+ * Explains the changes between two versions of a policy. Only the changed sentences (with
+ * one sentence of context) are sent, cut to `maxInputTokens`.
+ * @param {string} oldText - Earlier distilled text
+ * @param {string} newText - Later distilled text
+ * @param {Object} [options] - AI options; also { lang, sourceDomain, onDelta }
+ * @returns {Promise<Object>} { verdict: "worse"|"better"|"mixed"|"neutral"|"unchanged",
+ *   summary (Markdown), usage }; "unchanged" (no request sent, usage null) when the texts
+ *   have the same sentences
+ * @throws {Error} If API key is missing or the request fails; see createAIError
+ */
+export async function comparePolicyVersions(oldText, newText, options = {}) {
+  const { lang = "en", ...aiOptions } = options;
+  const { settings, maxInputTokens, sourceDomain, onDelta } = await resolveSettings(aiOptions);
+
+  const diff = formatDiffForPrompt(diffTexts(oldText, newText), maxInputTokens * CHARS_PER_TOKEN);
+  if (!diff) return { verdict: "unchanged", summary: "", usage: null };
+
+  const content = await requestAndRecord(
+    settings,
+    [
+      { role: "system", content: buildChangesSystemPrompt(lang, sourceDomain || "unknown") },
+      { role: "user", content: diff },
+    ],
+    { onDelta },
+  );
+  const parsed = tryParseJsonFromContent(content);
+  // A model that ignored the JSON instruction still answered in Markdown
+  const summary =
+    typeof parsed?.summary === "string"
+      ? parsed.summary
+      : Array.isArray(content)
+        ? joinContentSegments(content)
+        : String(content ?? "");
+  return {
+    verdict: CHANGE_VERDICTS.includes(parsed?.verdict) ? parsed.verdict : "mixed",
+    summary: summary.trim(),
+    usage: reportUsage(settings),
+  };
 }
@@ -3,25 +3,65 @@
  * 
  * Responsibilities:
  * - Detect potential privacy/terms/legal pages and set icon/badge state
- * - Bridge messages between popup/content and AI summarization
- * - Fetch, distill, and cache policy body text; avoid re-summarizing identical content
- * - Create context menu entry for quick summarization
+ * - Bridge messages between popup/content and AI summarization (one-shot or streamed over a port)
+ * - Fetch, distill, and cache policy text (HTML main content, PDF, plain text or Markdown);
+ *   avoid re-summarizing identical content
+ * - Run a rule-based pre-analysis (heuristics.js) before the AI; it is the whole result when no
+ *   provider is configured
+ * - Enforce monthly provider budgets and log the token usage of every summary (per model
+ *   in consensus mode)
+ * - Answer follow-up questions about a policy (Ask tab) from its cached text
+ * - Keep a version history per policy and explain the changes between two versions
+ * - Highlight a summary's findings on the policy page (via the content script)
+ * - Re-check watched policies on a schedule (`chrome.alarms`) and notify when they change
+ * - Create context menu entries for quick summarization (links, selected text, the page); they
+ *   run in the service worker with progress on the badge and the result in the side panel
  * 
  * Notes for maintainers:
- * - `extractBodyTextFromHTML` uses DOMParser to reduce token usage and stabilize hashes.
- * - For JS-heavy pages, `extractBodyTextByLoadingPage` opens a hidden tab to read rendered text.
+ * - `extractPolicyFromHTML` extracts the main content in the offscreen document (DOMParser is
+ *   unavailable in the service worker) to reduce token usage and stabilize hashes.
+ * - For JS-heavy pages, `extractPolicyByLoadingPage` renders the page in a sandboxed iframe in
+ *   the same document; src/frame-extractor.js, registered for the page's origin only while it
+ *   renders, posts the HTML back. No tabs are opened.
  * - Icon images are generated to ImageData when possible, falling back to path.
  */
 
-import { summarizePolicy } from "./ai.js";
+import {
+  summarizePolicy,
+  estimateSummaryCost,
+  askPolicyQuestion,
+  comparePolicyVersions,
+  attributeFindings,
+  isProviderConfigured,
+} from "./ai.js";
+import { analyzePolicyText } from "./heuristics.js";
+import { extractPdfText } from "./pdf.js";
+import { findSubPolicyLinks, combinePolicyDocuments } from "./subpolicies.js";
 import { lookupTosdr, getTosdrServiceDetails } from "./tosdr.js";
+import { t, resolveLanguage } from "./i18n.js";
 import {
   getSummary,
   saveSummary,
-  removeSummary,
   isDomainIgnored,
   getLanguage,
+  getAIOptions,
+  getCostSettings,
+  getConsensusSettings,
+  recordUsage,
+  savePolicyText,
+  getPolicyText,
+  getChat,
+  saveChat,
+  getWatchlist,
+  updateWatchedPolicy,
+  getWatchSettings,
+  addPolicyVersion,
+  getPolicyVersions,
+  saveVersionComparison,
+  TEXT_EXTRACTION_VERSION,
 } from "./storage.js";
+import { DEFAULT_COST_CONFIRM_THRESHOLD } from "./pricing.js";
+import { checkBudget } from "./budget.js";
 
 /**
  * Sets the extension icon state and badge for a specific tab
@@ -94,22 +134,122 @@ async function hashText(text) {
 // In-memory storage for policy links and page languages
 const policyLinks = new Map();
 const pageLangs = new Map();
+// Latest context-menu summary per tab, shown by the side panel (see summarizeInPanel)
+const panelRuns = new Map();
 const KEYWORDS = ["privacy", "terms", "legal"];
 
+// Offscreen document used for DOM parsing and iframe rendering (src/offscreen.js)
+const OFFSCREEN_PATH = "pages/offscreen.html";
+const OFFSCREEN_PARSE_TIMEOUT_MS = 5000;
+const OFFSCREEN_RENDER_TIMEOUT_MS = 15000;
+// Content script that reads the rendered page inside the offscreen iframe
+const FRAME_EXTRACTOR_PATH = "src/frame-extractor.js";
+let frameExtractorRuns = 0;
+let offscreenCreating = null;
+
 /**
- * Extrae texto plano del <body> usando solo APIs nativas (DOMParser + textContent).
- * @param {string} html
- * @returns {string}
+ * Creates the offscreen document unless it already exists
+ * @returns {Promise<boolean>} False when the offscreen API is unavailable (Chrome < 109)
  */
-function extractBodyTextFromHTML(html) {
-  if (typeof html !== "string" || html.length === 0) return "";
-  // eslint-disable-next-line no-undef
-  if (typeof DOMParser === "undefined") return html;
-  // eslint-disable-next-line no-undef
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(html, "text/html");
-  const text = doc?.body?.textContent || "";
-  return normalizeWhitespace(text);
+async function ensureOffscreenDocument() {
+  if (!chrome.offscreen?.createDocument) return false;
+  const documentUrl = chrome.runtime.getURL(OFFSCREEN_PATH);
+  if (chrome.runtime.getContexts) {
+    const contexts = await chrome.runtime.getContexts({
+      contextTypes: ["OFFSCREEN_DOCUMENT"],
+      documentUrls: [documentUrl],
+    });
+    if (contexts.length > 0) return true;
+  }
+  // Concurrent pipelines share one creation request
+  if (!offscreenCreating) {
+    offscreenCreating = chrome.offscreen
+      .createDocument({
+        url: OFFSCREEN_PATH,
+        reasons: ["DOM_PARSER", "IFRAME_SCRIPTING"],
+        justification: "Read the text of privacy policies, including pages rendered by JavaScript",
+      })
+      .catch((err) => {
+        // Only one offscreen document may exist; without getContexts this is how we learn of it
+        if (!/single offscreen/i.test(err?.message || "")) throw err;
+      })
+      .finally(() => {
+        offscreenCreating = null;
+      });
+  }
+  await offscreenCreating;
+  return true;
+}
+
+/**
+ * Sends a message to the offscreen document
+ * @param {Object} message - Message without `target`
+ * @param {number} timeoutMs - Time to wait for the response
+ * @returns {Promise<any>} The response; rejects on timeout
+ */
+function sendToOffscreen(message, timeoutMs) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`Offscreen ${message.type} timed out`)), timeoutMs);
+  });
+  return Promise.race([chrome.runtime.sendMessage({ ...message, target: "offscreen" }), timeout]).finally(() =>
+    clearTimeout(timer),
+  );
+}
+
+/**
+ * Removes markup with regular expressions; last resort when no offscreen document is available.
+ * Keeps headings and list items as Markdown, like the main-content extractor, but not its
+ * boilerplate removal.
+ * @param {string} html - Page source
+ * @returns {string} Approximate body text
+ */
+function stripHtmlTags(html) {
+  const entities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " " };
+  return html
+    .replace(/<(script|style|noscript|template|svg|title)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<h([1-6])\b[^>]*>/gi, (_, level) => `\n${"#".repeat(Number(level))} `)
+    .replace(/<li\b[^>]*>/gi, "\n- ")
+    .replace(/<\/?(p|div|section|article|li|ul|ol|h[1-6]|br|tr|table|header|footer)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " ")
+    .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => entities[name])
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)));
+}
+
+/**
+ * Lists the links of an HTML page with regular expressions (tag-stripping fallback)
+ * @param {string} html - Page source
+ * @returns {Array<{href: string, text: string}>} Raw href attributes and link texts
+ */
+function findHtmlLinks(html) {
+  return Array.from(html.matchAll(/<a\b[^>]*?\bhref\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi), (match) => ({
+    href: match[1].replace(/&amp;/g, "&"),
+    text: normalizeWhitespace(stripHtmlTags(match[2])).replace(/\n/g, " "),
+  }));
+}
+
+/**
+ * Extracts the policy text of fetched HTML: main content in the offscreen document, tag
+ * stripping when that is unavailable. Never returns markup.
+ * @param {string} html - Page source
+ * @returns {Promise<{text: string, title: string, links: Array<Object>}>} Normalized text,
+ *   page title and links (for sub-policy discovery)
+ */
+async function extractPolicyFromHTML(html) {
+  if (typeof html !== "string" || html.length === 0) return { text: "", title: "", links: [] };
+  try {
+    if (await ensureOffscreenDocument()) {
+      const response = await sendToOffscreen({ type: "OFFSCREEN_PARSE_HTML", html }, OFFSCREEN_PARSE_TIMEOUT_MS);
+      if (typeof response?.text === "string") {
+        return { text: normalizeWhitespace(response.text), title: response.title || "", links: response.links || [] };
+      }
+    }
+  } catch (err) {
+    console.warn("Offscreen parsing failed, stripping tags instead:", err);
+  }
+  const title = normalizeWhitespace(stripHtmlTags(html.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i)?.[1] || ""));
+  return { text: normalizeWhitespace(stripHtmlTags(html)), title, links: findHtmlLinks(html) };
 }
 
 function normalizeWhitespace(text) {
@@ -117,13 +257,69 @@ function normalizeWhitespace(text) {
 }
 
 /**
- * Loads a URL in an offscreen document to get fully rendered body text for JS-heavy pages.
- * Requires "offscreen" document permission and file in the extension to request this.
- * Falls back to empty string if not available.
- * @param {string} url
- * @returns {Promise<string>}
+ * Renders a page in the offscreen document's iframe. The frame extractor is registered for
+ * the page's origin only for the duration of the render, instead of running in every frame
+ * the user visits.
+ * @param {string} url - Policy URL
+ * @returns {Promise<Object>} Like extractPolicyFromHTML; empty text when the page could not
+ *   be framed
  */
-async function extractBodyTextByLoadingPage(url) {
+async function renderInOffscreenDocument(url) {
+  const id = `frame-extractor-${(frameExtractorRuns += 1)}`;
+  await chrome.scripting.registerContentScripts([
+    {
+      id,
+      js: [FRAME_EXTRACTOR_PATH],
+      matches: [`${new URL(url).origin}/*`],
+      allFrames: true,
+      runAt: "document_idle",
+      persistAcrossSessions: false,
+    },
+  ]);
+  try {
+    const response = await sendToOffscreen(
+      { type: "OFFSCREEN_RENDER_URL", url, timeoutMs: OFFSCREEN_RENDER_TIMEOUT_MS },
+      OFFSCREEN_RENDER_TIMEOUT_MS + 2000,
+    );
+    return {
+      text: normalizeWhitespace(response?.text || ""),
+      title: response?.title || "",
+      links: response?.links || [],
+    };
+  } finally {
+    await chrome.scripting.unregisterContentScripts({ ids: [id] }).catch(() => {});
+  }
+}
+
+/**
+ * Extracts a JS-heavy page after rendering it. The page is loaded in a sandboxed iframe
+ * inside the offscreen document; browsers without the offscreen API fall back to a hidden
+ * background tab. The fetched HTML's extraction is kept when rendering fails or yields less.
+ * @param {string} url - Policy URL
+ * @param {Object} fetched - extractPolicyFromHTML result for the fetched HTML
+ * @returns {Promise<{text: string, title: string, links: Array<Object>}>} Like
+ *   extractPolicyFromHTML
+ */
+async function extractPolicyByLoadingPage(url, fetched) {
+  let rendered;
+  try {
+    rendered = (await ensureOffscreenDocument())
+      ? await renderInOffscreenDocument(url)
+      : await extractPolicyFromTab(url);
+  } catch (err) {
+    console.warn("Rendering the policy failed, keeping the fetched text:", err);
+    return fetched;
+  }
+  // Pages that refuse framing render no text
+  return rendered.text.length > fetched.text.length ? rendered : fetched;
+}
+
+/**
+ * Legacy rendering path: loads the page in an inactive tab and extracts its rendered HTML
+ * @param {string} url - Policy URL
+ * @returns {Promise<Object>} Like extractPolicyFromHTML; empty text on failure
+ */
+async function extractPolicyFromTab(url) {
   let createdTabId;
   try {
     const tab = await chrome.tabs.create({ url, active: false });
@@ -132,12 +328,11 @@ async function extractBodyTextByLoadingPage(url) {
     await delay(1200);
     const [injection] = await chrome.scripting.executeScript({
       target: { tabId: createdTabId },
-      func: () => document.body?.innerText || document.body?.textContent || "",
+      func: () => document.documentElement.outerHTML,
     });
-    const text = injection?.result || "";
-    return normalizeWhitespace(text);
+    return await extractPolicyFromHTML(injection?.result || "");
   } catch (_) {
-    return "";
+    return { text: "", title: "", links: [] };
   } finally {
     if (createdTabId) {
       try { await chrome.tabs.remove(createdTabId); } catch (_) {}
@@ -191,17 +386,21 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
 chrome.tabs.onRemoved.addListener((tabId) => {
   policyLinks.delete(tabId);
   pageLangs.delete(tabId);
+  panelRuns.delete(tabId);
 });
 
 chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
   policyLinks.delete(removedTabId);
   pageLangs.delete(removedTabId);
+  panelRuns.delete(removedTabId);
   policyLinks.delete(addedTabId);
   pageLangs.delete(addedTabId);
+  panelRuns.delete(addedTabId);
 });
 
 /**
- * Creates context menu item for summarizing privacy policies
+ * Creates context menu items for summarizing privacy policies: a linked policy, the selected
+ * text (a clause or excerpt) and the current page
  * Triggered when the extension is installed
  */
 chrome.runtime.onInstalled.addListener(() => {
@@ -209,7 +408,20 @@ chrome.runtime.onInstalled.addListener(() => {
     id: "summarize-policy",
     title: "Policy TL;DR: Summarize privacy policy",
     contexts: ["link"],
+    targetUrlPatterns: ["http://*/*", "https://*/*"],
+  });
+  chrome.contextMenus.create({
+    id: "summarize-selection",
+    title: "Policy TL;DR: Summarize selected text",
+    contexts: ["selection"],
+  });
+  chrome.contextMenus.create({
+    id: "summarize-page",
+    title: "Policy TL;DR: Summarize this page",
+    contexts: ["page"],
   });
+  // Alarms do not survive extension updates
+  scheduleWatchAlarm();
 });
 
 // Notification helpers for missing API key
@@ -246,18 +458,804 @@ chrome.notifications?.onClicked.addListener((notificationId) => {
   }
 });
 
+// Context menu items and what they summarize
+const MENU_ITEM_SCOPES = {
+  "summarize-policy": "link",
+  "summarize-selection": "selection",
+  "summarize-page": "page",
+};
+
 /**
  * Handles context menu clicks for policy summarization
- * Allows users to right-click on links to summarize policies
+ * Allows users to right-click on links to summarize policies, and on a selection or the page
+ * to summarize what the tab shows. The popup is not involved: the result lands in the side panel.
  */
 chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === "summarize-policy" && info.linkUrl) {
-    chrome.runtime.sendMessage({
-      type: "SUMMARIZE_POLICY",
-      url: info.linkUrl,
-      tabId: tab?.id,
+  if (!MENU_ITEM_SCOPES[info.menuItemId] || !tab?.id) return;
+  // Opening the panel needs the click's user gesture, so it cannot wait for the result; the
+  // panel shows the progress until then. Chrome 114-115 have the sidePanel API without open().
+  if (typeof chrome.sidePanel?.open === "function") {
+    chrome.sidePanel
+      .open({ tabId: tab.id })
+      .catch((err) => console.warn("Background: Failed to open side panel", err));
+  }
+  summarizeInPanel(info, tab);
+});
+
+/**
+ * Shows a context-menu summary's state on the tab's badge: "…" (or chunk progress such as
+ * "2/5") while running, the privacy score when done, "ERR" on failure
+ * @param {number} tabId - Tab of the run
+ * @param {Object} run - See summarizeInPanel
+ */
+function setRunBadge(tabId, run) {
+  let text = "";
+  let color = "#6c757d";
+  if (run.status === "running") {
+    const { step, current, total } = run.progress || {};
+    text = step === "analyzing_chunk" && total ? `${current}/${total}` : "…";
+  } else if (run.status === "done") {
+    const score = run.summary?.privacy_score;
+    // Higher scores are worse
+    if (typeof score === "number") {
+      text = String(score);
+      color = score <= 4 ? "#28a745" : score <= 6 ? "#f0ad4e" : "#dc3545";
+    }
+  } else if (run.status === "error" && run.error !== "CANCELLED") {
+    text = "ERR";
+    color = "#dc3545";
+  }
+  chrome.action.setBadgeText({ tabId, text });
+  if (text) chrome.action.setBadgeBackgroundColor({ tabId, color });
+}
+
+/**
+ * Records a tab's context-menu summary, updates its badge and tells an open side panel
+ * @param {number} tabId - Tab the summary belongs to
+ * @param {Object} fields - Changes to the run (see summarizeInPanel)
+ */
+function updatePanelRun(tabId, fields) {
+  const run = { ...panelRuns.get(tabId), ...fields };
+  panelRuns.set(tabId, run);
+  setRunBadge(tabId, run);
+  // Rejects when no panel is open
+  chrome.runtime.sendMessage({ type: "PANEL_RUN_UPDATE", tabId, run }).catch(() => {});
+}
+
+/**
+ * Summarizes a linked policy, the selected text or the page of a tab for the side panel. Linked
+ * policies are fetched; the selection and the page are read through the content script, never
+ * refetched. Sub-policies of a previous summary are included again, none are offered, and there
+ * is no cost confirmation (budgets still apply).
+ * Progress and the result are kept per tab as { url, scope, status, progress?, summary?, error? }
+ * with scope "link", "selection" or "page" and status "running", "done" or "error".
+ * @param {Object} info - contextMenus.onClicked info
+ * @param {Object} tab - Tab the menu was opened in
+ */
+async function summarizeInPanel(info, tab) {
+  const tabId = tab.id;
+  const scope = MENU_ITEM_SCOPES[info.menuItemId];
+  const url = String((scope === "link" ? info.linkUrl : info.pageUrl || tab.url) || "").split("#")[0];
+  panelRuns.delete(tabId);
+  updatePanelRun(tabId, { url, scope, status: "running", progress: { step: "fetching_policy" } });
+  try {
+    let page;
+    if (scope === "selection") {
+      page = { url, title: tab.title || "", selection: info.selectionText || "" };
+    } else if (scope === "page") {
+      page = await chrome.tabs.sendMessage(tabId, { type: "GET_PAGE_CONTENT", wholePage: true }).catch(() => null);
+      if (!page) {
+        const err = new Error("The content script is not running in this tab");
+        err.code = "PAGE_UNAVAILABLE";
+        throw err;
+      }
+    }
+    const summary = await runSummarizePipeline(
+      { url, tabId, page },
+      { onProgress: (progress) => updatePanelRun(tabId, { progress }) },
+    );
+    updatePanelRun(tabId, { status: "done", summary });
+  } catch (err) {
+    updatePanelRun(tabId, { status: "error", error: await handleSummarizeError(err) });
+  }
+}
+
+// Content types read as text without HTML extraction
+const PLAIN_TEXT_TYPES = new Set(["text/plain", "text/markdown", "text/x-markdown"]);
+const HTML_TYPES = new Set(["text/html", "application/xhtml+xml"]);
+
+/**
+ * Decides how to read a fetched policy from its Content-Type and its first bytes
+ * @param {string|null} contentType - Content-Type header
+ * @param {Uint8Array} bytes - Response body
+ * @param {string} url - Policy URL (extension hint when the type is missing or generic)
+ * @returns {"pdf"|"html"|"text"|null} Kind of document, null when unsupported
+ */
+function detectDocumentKind(contentType, bytes, url) {
+  const mime = String(contentType || "").split(";")[0].trim().toLowerCase();
+  // Servers often label PDFs as application/octet-stream; the signature is reliable
+  if (new TextDecoder("latin1").decode(bytes.subarray(0, 1024)).includes("%PDF-")) return "pdf";
+  const head = new TextDecoder().decode(bytes.subarray(0, 512)).trimStart().toLowerCase();
+  const looksLikeHtml = head.startsWith("<!doctype html") || head.startsWith("<html");
+  if (HTML_TYPES.has(mime)) return "html";
+  if (PLAIN_TEXT_TYPES.has(mime)) return looksLikeHtml ? "html" : "text";
+  if (mime === "" || mime === "application/octet-stream") {
+    if (looksLikeHtml) return "html";
+    if (/\.(txt|md|markdown)$/i.test(new URL(url).pathname)) return "text";
+  }
+  return null;
+}
+
+/**
+ * Decodes a text response with the charset from its Content-Type (UTF-8 by default)
+ * @param {ArrayBuffer} data - Response body
+ * @param {string|null} contentType - Content-Type header
+ * @returns {string} Decoded text
+ */
+function decodeResponseText(data, contentType) {
+  const charset = String(contentType || "").match(/charset=["']?([\w-]+)/i)?.[1];
+  try {
+    return new TextDecoder(charset || "utf-8").decode(data);
+  } catch (_) {
+    // Unknown charset label
+    return new TextDecoder().decode(data);
+  }
+}
+
+/**
+ * Fetches a policy and distills its text: the main content of HTML pages (rendered offscreen
+ * when the static HTML has little text), the text of PDFs, plain text and Markdown as is
+ * @param {string} url - Policy URL
+ * @param {Function} [onProgress] - Called with { step }
+ * @returns {Promise<{text: string, title: string, links: Array<Object>}>} Distilled text, title
+ *   (file name for PDFs, empty for plain text) and links (HTML pages only)
+ * @throws {Error} With code "FETCH_FAILED" when the page cannot be downloaded,
+ *   "UNSUPPORTED_TYPE" for other content types and "PDF_NO_TEXT" for PDFs without
+ *   extractable text (scanned or encrypted)
+ */
+async function loadPolicyDocument(url, onProgress = () => {}) {
+  // Fetch the policy content
+  onProgress({ step: "fetching_policy" });
+  let data;
+  let contentType;
+  try {
+    const res = await fetch(url);
+    if (!res.ok) {
+      throw new Error(`HTTP ${res.status} when fetching policy`);
+    }
+    contentType = res.headers.get("content-type");
+    data = await res.arrayBuffer();
+  } catch (err) {
+    err.code = "FETCH_FAILED";
+    throw err;
+  }
+  onProgress({ step: "policy_fetched" });
+
+  const kind = detectDocumentKind(contentType, new Uint8Array(data), url);
+  if (kind === "pdf") {
+    const text = normalizeWhitespace(await extractPdfText(data));
+    if (!text) {
+      const err = new Error("The PDF has no extractable text");
+      err.code = "PDF_NO_TEXT";
+      throw err;
+    }
+    const rawName = new URL(url).pathname.split("/").pop() || "";
+    let fileName;
+    try {
+      fileName = decodeURIComponent(rawName);
+    } catch (_) {
+      // Malformed escape such as "%zz"
+      fileName = rawName;
+    }
+    return { text, title: fileName, links: [] };
+  }
+  if (kind === "text") {
+    return { text: normalizeWhitespace(decodeResponseText(data, contentType)), title: "", links: [] };
+  }
+  if (kind !== "html") {
+    const err = new Error(`Unsupported content type: ${contentType || "unknown"}`);
+    err.code = "UNSUPPORTED_TYPE";
+    throw err;
+  }
+
+  // Extract only the main content to minimize tokens and improve caching stability
+  let policy = await extractPolicyFromHTML(decodeResponseText(data, contentType));
+
+  // Fallback for dynamically rendered pages (SPA/JS-heavy): render them offscreen and read the DOM
+  if (!policy.text || policy.text.length < 200) {
+    policy = await extractPolicyByLoadingPage(url, policy);
+  }
+  return policy;
+}
+
+/**
+ * Loads the chosen sub-policies and joins them with the main policy. Summaries and watchlist
+ * checks both hash the result, so it must stay the same for unchanged documents.
+ * @param {string} url - Main policy URL
+ * @param {Object} policy - Main policy document (see loadPolicyDocument)
+ * @param {Array<Object>} selected - Sub-policies to include ([{ url, title }], see findSubPolicyLinks)
+ * @param {Function} [onProgress] - Called with { step, current, total } per sub-policy
+ * @returns {Promise<{documents: Array<Object>, text: string}>} Loaded documents
+ *   ([{ url, title, text }], main policy first) and the combined text (the main text alone
+ *   when no sub-policy could be loaded)
+ */
+async function addSubPolicies(url, policy, selected, onProgress = () => {}) {
+  const documents = [{ url, title: policy.title || new URL(url).hostname, text: policy.text }];
+  for (const [index, sub] of selected.entries()) {
+    onProgress({ step: "fetching_subpolicy", current: index + 1, total: selected.length });
+    try {
+      const { text, title } = await loadPolicyDocument(sub.url);
+      if (text) documents.push({ url: sub.url, title: sub.title || title, text });
+    } catch (err) {
+      // A missing sub-policy does not block the main summary
+      console.warn("Background: Failed to load sub-policy", sub.url, err);
+    }
+  }
+  return { documents, text: documents.length > 1 ? combinePolicyDocuments(documents) : policy.text };
+}
+
+/**
+ * Fetches a policy and distills its text (see loadPolicyDocument)
+ * @param {string} url - Policy URL
+ * @param {Function} [onProgress] - Called with { step }
+ * @returns {Promise<string>} Distilled text
+ */
+async function loadPolicyText(url, onProgress) {
+  return (await loadPolicyDocument(url, onProgress)).text;
+}
+
+/**
+ * Distills the content the content script read from the user's tab, as loadPolicyDocument
+ * does for fetched pages
+ * @param {Object} page - GET_PAGE_CONTENT response: { title, selection } or { title, html }
+ * @returns {Promise<{text: string, title: string, links: Array<Object>}>} Selected text as is, or
+ *   the main content of the rendered page
+ * @throws {Error} With code "PAGE_NO_TEXT" when there is no text to summarize
+ */
+async function readPageDocument(page) {
+  const policy = page.selection
+    ? { text: normalizeWhitespace(page.selection), title: "", links: [] }
+    : await extractPolicyFromHTML(String(page.html || ""));
+  if (!policy.text) {
+    const err = new Error("The page has no text to summarize");
+    err.code = "PAGE_NO_TEXT";
+    throw err;
+  }
+  return { ...policy, title: policy.title || String(page.title || "").trim() };
+}
+
+/**
+ * Answers a question about a policy using its cached text and the stored conversation
+ * @param {Object} request - { url, tabId, question }
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onDelta] - Called with the partial Markdown answer
+ * @returns {Promise<string>} Markdown answer
+ */
+async function runAskPipeline({ url, tabId, question }, { onDelta } = {}) {
+  let policyText = await getPolicyText(url);
+  if (!policyText) {
+    policyText = await loadPolicyText(url);
+    await savePolicyText(url, policyText);
+  }
+
+  const { provider = "xai" } = await getAIOptions();
+  await checkBudget(provider);
+
+  const domain = new URL(url).hostname;
+  const history = await getChat(url);
+  const { answer, usage } = await askPolicyQuestion(policyText, question, {
+    history,
+    lang: (await getLanguage()) || pageLangs.get(tabId) || "en",
+    sourceDomain: domain,
+    onDelta,
+  });
+
+  const date = Date.now();
+  await saveChat(url, [...history, { role: "user", content: question, date }, { role: "assistant", content: answer, date }]);
+  await recordUsage({ ...usage, domain, date });
+  return answer;
+}
+
+/**
+ * Explains the changes between two recorded versions of a policy; the result is cached on
+ * the later version
+ * @param {Object} request - { url, fromHash, toHash }
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onDelta] - Called with the partial Markdown explanation
+ * @returns {Promise<Object>} { verdict, summary, date }
+ * @throws {Error} With code "VERSION_NOT_FOUND" when either version is no longer stored
+ */
+async function runComparePipeline({ url, fromHash, toHash }, { onDelta } = {}) {
+  const versions = await getPolicyVersions(url);
+  const from = versions.find((v) => v.hash === fromHash);
+  const to = versions.find((v) => v.hash === toHash);
+  if (!from || !to) {
+    const err = new Error("Policy version not found");
+    err.code = "VERSION_NOT_FOUND";
+    throw err;
+  }
+  if (to.comparisons?.[fromHash]) return to.comparisons[fromHash];
+
+  const { provider = "xai" } = await getAIOptions();
+  await checkBudget(provider);
+
+  const domain = new URL(url).hostname;
+  const { verdict, summary, usage } = await comparePolicyVersions(from.text, to.text, {
+    lang: (await getLanguage()) || "en",
+    sourceDomain: domain,
+    onDelta,
+  });
+  const comparison = { verdict, summary, date: Date.now() };
+  if (usage) await recordUsage({ ...usage, domain, date: comparison.date });
+  await saveVersionComparison(url, fromHash, toHash, comparison);
+  return comparison;
+}
+
+/**
+ * Fetches, distills and summarizes a policy, reusing the cached summary when the
+ * distilled text has not changed
+ * @param {Object} request - { url, tabId, page? }; `page` is the content of the user's tab
+ *   (see readPageDocument), summarized instead of fetching `url`. Summaries of a selection
+ *   are neither cached nor recorded as versions.
+ * @param {Object} [callbacks]
+ * @param {Function} [callbacks.onProgress] - Called with { step, current?, total? }
+ * @param {Function} [callbacks.onDelta] - Called with partial Markdown while the model streams
+ * @param {Function} [callbacks.onEstimate] - Awaited with the cost estimate before the AI request; may
+ *   throw (code "CANCELLED") to stop the pipeline
+ * @param {Function} [callbacks.onHeuristics] - Called with the rule-based pre-analysis
+ *   { privacy_score, flags } before anything is sent to the AI
+ * @param {Function} [callbacks.onSubPolicies] - Awaited with the related policies found on the
+ *   page ([{ url, title, kind, included }]); resolves to the URLs to summarize along with it.
+ *   Without it, the sub-policies of the previous summary are included again.
+ * @returns {Promise<Object>} The summary object, or the pre-analysis with
+ *   `source: "heuristics"` when no AI provider is configured. Combined summaries carry
+ *   `sources` ([{ url, title }], main policy first) and a `source` URL per finding.
+ */
+async function runSummarizePipeline(
+  { url, tabId, page },
+  { onProgress = () => {}, onDelta, onEstimate, onHeuristics, onSubPolicies } = {},
+) {
+  let policy;
+  if (page) {
+    policy = await readPageDocument(page);
+    onProgress({ step: "policy_fetched" });
+  } else {
+    policy = await loadPolicyDocument(url, onProgress);
+  }
+  // A selection is a passage, not the policy: it must not replace the stored summary or text
+  const isSelection = Boolean(page?.selection);
+  const existing = isSelection ? null : await getSummary(url);
+
+  // Related policies (cookies, data processing, regional supplements) linked from the page
+  const candidates = findSubPolicyLinks(policy.links, url);
+  const previousSources = existing?.summary?.sources?.slice(1).map((source) => source.url);
+  let selectedUrls = previousSources || [];
+  if (onSubPolicies && candidates.length > 0) {
+    selectedUrls = await onSubPolicies(
+      // First time: everything is offered checked; afterwards the previous choice
+      candidates.map((c) => ({ ...c, included: previousSources ? previousSources.includes(c.url) : true })),
+    );
+  }
+  const selected = candidates.filter((c) => selectedUrls.includes(c.url));
+  const { documents, text: bodyText } = await addSubPolicies(url, policy, selected, onProgress);
+  const lang = (await getLanguage()) || pageLangs.get(tabId) || "en";
+
+  // Check if we already have a summary for this content (hash the text, not raw HTML)
+  const hash = await hashText(bodyText);
+  let summary = existing?.summary;
+
+  // Only generate new summary if content has changed. The stored summary, its hash and its
+  // text stay as they are until the new one exists: a missing key, an exhausted budget or a
+  // declined estimate must not leave the policy without a summary.
+  if (!existing || existing.hash !== hash) {
+    // Rule-based pre-analysis: shown right away and passed to the AI as hints
+    const heuristics = analyzePolicyText(bodyText);
+    if (onHeuristics) onHeuristics(heuristics);
+
+    // Without a usable provider the provisional result is all there is. It is not cached,
+    // so the first run after configuring a key produces a full summary.
+    if (!(await isProviderConfigured())) {
+      if (tabId) setIconState("default", tabId);
+      return { ...heuristics, source: "heuristics" };
+    }
+
+    // Consensus mode queries the configured model plus the extra members
+    const { enabled: consensusEnabled, members } = await getConsensusSettings();
+    const consensus = consensusEnabled ? members : [];
+
+    // Refuse before spending anything once this month's cap is used up
+    const { provider = "xai" } = await getAIOptions();
+    for (const p of new Set([provider, ...consensus.map((m) => m.provider)])) {
+      await checkBudget(p);
+    }
+
+    // Let the caller show the expected cost (and veto it) before anything is sent
+    if (onEstimate) {
+      await onEstimate(await estimateSummaryCost(bodyText, lang, { consensus }));
+    }
+
+    onProgress({ step: "sending_request" });
+
+    // Use AI summarization (not TOSDR); long policies report per-chunk progress
+    const { usage, promptVersion, ...result } = await summarizePolicy(bodyText, lang, {
+      sourceDomain: new URL(url).hostname,
+      consensus,
+      hints: heuristics.flags,
+      onProgress,
+      onDelta,
     });
+    summary =
+      documents.length > 1
+        ? {
+            ...result,
+            findings: attributeFindings(result.findings, documents),
+            sources: documents.map(({ url: sourceUrl, title }) => ({ url: sourceUrl, title })),
+          }
+        : result;
+    // Read from the tab rather than fetched: "selection" or "page"
+    if (page) summary = { ...summary, scope: isSelection ? "selection" : "page" };
+    if (!isSelection) {
+      // The text cached by the previous run, if it is the one the stored summary was made
+      // from, becomes a version in the history (summaries made before versions were recorded)
+      const previousText = await getPolicyText(url);
+      if (existing && previousText && (await hashText(previousText)) === existing.hash) {
+        await addPolicyVersion(url, {
+          hash: existing.hash,
+          text: previousText,
+          summary: existing.summary,
+          date: existing.date,
+        });
+      }
+      // Replaces the previous summary
+      await saveSummary(url, summary, hash, { usage, promptVersion });
+      await addPolicyVersion(url, { hash, text: bodyText, summary });
+    }
+    // Budgets are per provider, so consensus runs log one entry per model and the merge
+    const entries = result.consensus
+      ? [...result.consensus.runs.map((r) => r.usage), result.consensus.mergeUsage].filter(Boolean)
+      : [usage];
+    for (const entry of entries) {
+      await recordUsage({ ...entry, domain: new URL(url).hostname, date: Date.now() });
+    }
+  }
+
+  // Keep the text the stored summary was made from for follow-up questions in the Ask tab
+  if (!isSelection) await savePolicyText(url, bodyText);
+
+  if (tabId) {
+    setIconState("default", tabId);
+  }
+  return summary;
+}
+
+// Pause before retrying a highlight request while the content script starts up
+const HIGHLIGHT_RETRY_DELAY_MS = 500;
+
+/**
+ * Highlights the findings of a stored summary on the policy page, opening the policy in a
+ * new tab when the given tab shows another page
+ * @param {Object} request - { url, tabId } of the summarized policy
+ * @returns {Promise<{found: number, total: number}>} Highlighted and quoted findings
+ * @throws {Error} `err.code` is "NO_SUMMARY" without stored findings, "HIGHLIGHT_FAILED"
+ *   when the page cannot be reached
+ */
+async function highlightPolicy({ url, tabId }) {
+  // Findings quoted from a sub-policy are not on this page
+  const findings = ((await getSummary(url))?.summary?.findings || []).filter((f) => !f.source || f.source === url);
+  if (findings.length === 0) {
+    const err = new Error("No findings stored for this policy");
+    err.code = "NO_SUMMARY";
+    throw err;
+  }
+
+  const stripHash = (u) => String(u || "").split("#")[0];
+  let targetTabId = tabId;
+  const tab = tabId ? await chrome.tabs.get(tabId).catch(() => null) : null;
+  if (!tab || stripHash(tab.url) !== stripHash(url)) {
+    const created = await chrome.tabs.create({ url, active: true });
+    targetTabId = created.id;
+    await waitForTabLoadComplete(targetTabId);
+  }
+
+  const lang = resolveLanguage(await getLanguage());
+  const message = {
+    type: "HIGHLIGHT_FINDINGS",
+    findings,
+    labels: {
+      previous: t("highlight.previous", {}, lang),
+      next: t("highlight.next", {}, lang),
+      clear: t("highlight.clear", {}, lang),
+      // Placeholders are filled in by the page as the user steps through highlights
+      counter: t("highlight.counter", { current: "{current}", total: "{total}" }, lang),
+    },
+  };
+  // A freshly loaded tab may not have registered its content script listener yet
+  for (let attempt = 0; attempt < 2; attempt += 1) {
+    try {
+      const result = await chrome.tabs.sendMessage(targetTabId, message);
+      if (result) return result;
+    } catch (_) {}
+    await delay(HIGHLIGHT_RETRY_DELAY_MS);
   }
+  const err = new Error("Could not reach the policy page");
+  err.code = "HIGHLIGHT_FAILED";
+  throw err;
+}
+
+// Watchlist schedule (see checkWatchedPolicies)
+const WATCH_ALARM = "policy-watch";
+const WATCH_NOTIFICATION_PREFIX = "policy-tldr-watch:";
+
+/**
+ * Creates, updates or removes the periodic watchlist alarm to match the settings; an
+ * unchanged alarm is kept so its next run is not pushed back
+ */
+async function scheduleWatchAlarm() {
+  const watched = Object.keys(await getWatchlist()).length > 0;
+  const { intervalHours } = await getWatchSettings();
+  const periodInMinutes = Math.max(1, Number(intervalHours) || 24) * 60;
+  const existing = await chrome.alarms.get(WATCH_ALARM);
+  if (!watched) {
+    if (existing) await chrome.alarms.clear(WATCH_ALARM);
+    return;
+  }
+  if (existing?.periodInMinutes === periodInMinutes) return;
+  await chrome.alarms.create(WATCH_ALARM, { delayInMinutes: periodInMinutes, periodInMinutes });
+}
+
+/**
+ * Refetches every watched policy and compares its distilled text hash with the last one
+ * seen. Changed policies raise a notification and, when enabled, are summarized again
+ * (without a cost confirmation; budgets still apply).
+ */
+async function checkWatchedPolicies() {
+  const watchlist = await getWatchlist();
+  const { autoResummarize } = await getWatchSettings();
+  const lang = resolveLanguage(await getLanguage());
+
+  for (const [url, entry] of Object.entries(watchlist)) {
+    const now = Date.now();
+    const stored = await getSummary(url);
+    let text;
+    try {
+      // Hashed like the summary the entry was watched from: with the sub-policies it included
+      const policy = await loadPolicyDocument(url);
+      const sources = stored?.summary?.sources?.slice(1).map((source) => source.url) || [];
+      const selected = findSubPolicyLinks(policy.links, url).filter((c) => sources.includes(c.url));
+      ({ text } = await addSubPolicies(url, policy, selected));
+    } catch (err) {
+      console.warn("Background: Failed to re-check watched policy", url, err);
+    }
+    // An unreachable or empty page is not a change; try again next time
+    if (!text) {
+      await updateWatchedPolicy(url, { lastChecked: now });
+      continue;
+    }
+
+    const hash = await hashText(text);
+    if (hash === entry.hash) {
+      await updateWatchedPolicy(url, { lastChecked: now, extraction: TEXT_EXTRACTION_VERSION });
+      continue;
+    }
+    // A summary of the tab as shown was hashed from the rendered page, which a refetch does
+    // not reproduce; like an older extraction, the fetched text only becomes the baseline
+    const watchedFromTab = stored?.summary?.scope === "page" && entry.hash === stored.hash;
+    if (entry.extraction !== TEXT_EXTRACTION_VERSION || watchedFromTab) {
+      await updateWatchedPolicy(url, { hash, lastChecked: now, extraction: TEXT_EXTRACTION_VERSION });
+      continue;
+    }
+    // The Ask text stays the one the stored summary was made from until it is summarized again
+    await updateWatchedPolicy(url, { hash, lastChecked: now, changedAt: now });
+    await addPolicyVersion(url, { hash, text, date: now });
+
+    const domain = new URL(url).hostname;
+    let message = t("watch.changedMessage", { domain }, lang);
+    if (autoResummarize) {
+      try {
+        const summary = await runSummarizePipeline({ url });
+        if (summary?.source !== "heuristics") {
+          message = t("watch.resummarizedMessage", { domain, score: summary.privacy_score }, lang);
+        }
+      } catch (err) {
+        console.warn("Background: Failed to re-summarize changed policy", url, err);
+      }
+    }
+    chrome.notifications?.create(`${WATCH_NOTIFICATION_PREFIX}${url}`, {
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("assets/raccoon.png"),
+      title: t("watch.changedTitle", {}, lang),
+      message,
+    });
+  }
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === WATCH_ALARM) checkWatchedPolicies();
+});
+
+// Keep the alarm in sync with the watchlist and its settings, whoever edits them
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && (changes.watchlist || changes.watchSettings)) scheduleWatchAlarm();
+});
+chrome.runtime.onStartup.addListener(() => scheduleWatchAlarm());
+
+// Clicking a change notification opens the policy
+chrome.notifications?.onClicked.addListener((notificationId) => {
+  if (!notificationId.startsWith(WATCH_NOTIFICATION_PREFIX)) return;
+  chrome.tabs.create({ url: notificationId.slice(WATCH_NOTIFICATION_PREFIX.length) });
+  chrome.notifications.clear(notificationId);
+});
+
+/**
+ * Broadcasts pipeline progress to any open extension page
+ * @param {Object} request - { url, tabId } the progress belongs to
+ * @param {Object} progress - { step, current?, total? }
+ */
+function broadcastProgress({ url, tabId }, progress) {
+  chrome.runtime.sendMessage({
+    type: "SUMMARY_PROGRESS",
+    ...progress,
+    tabId,
+    url,
+  });
+}
+
+/**
+ * Logs a pipeline failure, notifies the user and maps it to a response error code
+ * @param {Error} err - The failure
+ * @returns {Promise<string>} Error code for the UI (see `errorCodes` in i18n.js), "FAILED" if unclassified
+ */
+async function handleSummarizeError(err) {
+  console.error("Background: Failed to summarize policy", err);
+  const code = err?.code || "FAILED";
+  // The user chose not to spend; nothing to report
+  if (code === "CANCELLED") return code;
+  if (code === "NO_API_KEY") {
+    showApiKeyMissingNotification();
+    return code;
+  }
+  if (chrome.notifications) {
+    const lang = resolveLanguage(await getLanguage());
+    chrome.notifications.create({
+      type: "basic",
+      iconUrl: chrome.runtime.getURL("assets/raccoon.png"),
+      title: "Policy TL;DR",
+      message: t(`errorCodes.${code}`, {}, lang),
+    });
+  }
+  return code;
+}
+
+/**
+ * Streaming summarization over a long-lived port.
+ * The popup connects with name "summarize", posts one SUMMARIZE_POLICY message and
+ * receives SUMMARY_PROGRESS, SUMMARY_DELTA and finally SUMMARY_RESULT. If the popup
+ * closes mid-way the pipeline still finishes so the result lands in the cache. When the page
+ * links related policies, SUMMARY_SUBPOLICIES waits for a SELECT_SUBPOLICIES { urls } reply;
+ * closing the popup at that point cancels the summary.
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "summarize") return;
+  let connected = true;
+  // Resolve a pending cost confirmation or sub-policy choice; closing the popup cancels both
+  let resolveConfirm = null;
+  let resolveSelection = null;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+    resolveConfirm?.(false);
+    resolveSelection?.(null);
+  });
+  const post = (msg) => {
+    if (connected) port.postMessage(msg);
+  };
+
+  // Reports the estimate and waits for the user when it is above the threshold
+  const confirmEstimate = async (estimate) => {
+    const { confirmThreshold = DEFAULT_COST_CONFIRM_THRESHOLD } = await getCostSettings();
+    const needsConfirm = estimate.cost !== null && estimate.cost > confirmThreshold;
+    post({ type: "SUMMARY_ESTIMATE", estimate, needsConfirm });
+    if (!needsConfirm) return;
+    const proceed = await new Promise((resolve) => {
+      resolveConfirm = resolve;
+    });
+    resolveConfirm = null;
+    if (!proceed) {
+      const err = new Error("Summary cancelled by the user");
+      err.code = "CANCELLED";
+      throw err;
+    }
+  };
+
+  // Offers the related policies found on the page and waits for the user's choice
+  const selectSubPolicies = async (candidates) => {
+    post({ type: "SUMMARY_SUBPOLICIES", candidates });
+    const urls = await new Promise((resolve) => {
+      resolveSelection = resolve;
+    });
+    resolveSelection = null;
+    if (!urls) {
+      const err = new Error("Summary cancelled by the user");
+      err.code = "CANCELLED";
+      throw err;
+    }
+    return urls;
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type === "CONFIRM_COST") {
+      resolveConfirm?.(Boolean(message.proceed));
+      return;
+    }
+    if (message?.type === "SELECT_SUBPOLICIES") {
+      resolveSelection?.(Array.isArray(message.urls) ? message.urls : []);
+      return;
+    }
+    if (message?.type !== "SUMMARIZE_POLICY") return;
+    try {
+      const summary = await runSummarizePipeline(message, {
+        onProgress: (progress) => post({ type: "SUMMARY_PROGRESS", ...progress }),
+        onDelta: (markdown) => post({ type: "SUMMARY_DELTA", markdown }),
+        onEstimate: confirmEstimate,
+        onHeuristics: (heuristics) => post({ type: "SUMMARY_HEURISTICS", heuristics }),
+        onSubPolicies: selectSubPolicies,
+      });
+      post({ type: "SUMMARY_RESULT", summary });
+    } catch (err) {
+      post({ type: "SUMMARY_RESULT", error: await handleSummarizeError(err) });
+    }
+  });
+});
+
+// Follow-up questions stream their answer over an "ask" port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "ask") return;
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+  const post = (msg) => {
+    if (connected) port.postMessage(msg);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type !== "ASK_POLICY") return;
+    try {
+      const answer = await runAskPipeline(message, {
+        onDelta: (markdown) => post({ type: "ANSWER_DELTA", markdown }),
+      });
+      post({ type: "ANSWER_RESULT", answer });
+    } catch (err) {
+      // Shown inline in the Ask tab; no system notification
+      console.error("Background: Failed to answer question", err);
+      post({ type: "ANSWER_RESULT", error: err?.code || "FAILED" });
+    }
+  });
+});
+
+// Version comparisons stream their explanation over a "compare" port
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "compare") return;
+  let connected = true;
+  port.onDisconnect.addListener(() => {
+    connected = false;
+  });
+  const post = (msg) => {
+    if (connected) port.postMessage(msg);
+  };
+
+  port.onMessage.addListener(async (message) => {
+    if (message?.type !== "COMPARE_VERSIONS") return;
+    try {
+      const comparison = await runComparePipeline(message, {
+        onDelta: (markdown) => post({ type: "COMPARE_DELTA", markdown }),
+      });
+      post({ type: "COMPARE_RESULT", comparison });
+    } catch (err) {
+      // Shown inline in the versions view; no system notification
+      console.error("Background: Failed to compare policy versions", err);
+      post({ type: "COMPARE_RESULT", error: err?.code || "FAILED" });
+    }
+  });
 });
 
 /**
@@ -291,6 +1289,10 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     const url = policyLinks.get(message.tabId) || "";
     sendResponse({ url });
   } 
+  // Context-menu summary of a tab for the side panel
+  else if (message.type === "GET_PANEL_RUN") {
+    sendResponse({ run: panelRuns.get(message.tabId) || null });
+  } 
   // Handle TOSDR check requests (separate from AI summarization)
   else if (message.type === "CHECK_TOSDR") {
     (async () => {
@@ -311,78 +1313,24 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   else if (message.type === "SUMMARIZE_POLICY") {
     (async () => {
       try {
-        // Fetch the policy content (server HTML)
-        chrome.runtime.sendMessage({
-          type: "SUMMARY_PROGRESS",
-          step: "fetching_policy",
-          tabId: message.tabId,
-          url: message.url,
-        });
-        const res = await fetch(message.url);
-        if (!res.ok) {
-          throw new Error(`HTTP ${res.status} when fetching policy`);
-        }
-        const html = await res.text();
-        chrome.runtime.sendMessage({
-          type: "SUMMARY_PROGRESS",
-          step: "policy_fetched",
-          tabId: message.tabId,
-          url: message.url,
+        const summary = await runSummarizePipeline(message, {
+          onProgress: (progress) => broadcastProgress(message, progress),
         });
-        const lang =
-          (await getLanguage()) || pageLangs.get(message.tabId) || "en";
-        
-        // Extract only the body text to minimize tokens and improve caching stability
-        let bodyText = extractBodyTextFromHTML(html);
-
-        // Fallback for dynamically rendered pages (SPA/JS-heavy). Load in a background tab and read rendered DOM.
-        if (!bodyText || bodyText.length < 200) {
-          bodyText = await extractBodyTextByLoadingPage(message.url);
-        }
-
-        // Check if we already have a summary for this content (hash the text, not raw HTML)
-        const hash = await hashText(bodyText);
-        const existing = await getSummary(message.url);
-        let summary = existing?.summary;
-        
-        // Only generate new summary if content has changed
-        if (!existing || existing.hash !== hash) {
-          if (existing) {
-            await removeSummary(message.url);
-          }
-          
-          chrome.runtime.sendMessage({
-            type: "SUMMARY_PROGRESS",
-            step: "sending_request",
-            tabId: message.tabId,
-            url: message.url,
-          });
-          
-          // Use AI summarization (not TOSDR)
-          summary = await summarizePolicy(bodyText, lang);
-          await saveSummary(message.url, summary, hash);
-        }
-        
         sendResponse({ summary });
-        if (message.tabId) {
-          setIconState("default", message.tabId);
-        }
       } catch (err) {
-        console.error("Background: Failed to summarize policy", err);
-        if (String(err?.message || "").includes("API key not set")) {
-          showApiKeyMissingNotification();
-          sendResponse({ error: "NO_API_KEY" });
-          return;
-        }
-        if (chrome.notifications) {
-          chrome.notifications.create({
-            type: "basic",
-            iconUrl: chrome.runtime.getURL("assets/raccoon.png"),
-            title: "Policy TL;DR",
-            message: "Failed to download policy.",
-          });
-        }
-        sendResponse({ error: "FAILED" });
+        sendResponse({ error: await handleSummarizeError(err) });
+      }
+    })();
+    return true; // Indicates async response
+  }
+  // Highlight the stored findings on the policy page
+  else if (message.type === "HIGHLIGHT_POLICY") {
+    (async () => {
+      try {
+        sendResponse(await highlightPolicy(message));
+      } catch (err) {
+        console.error("Background: Failed to highlight policy", err);
+        sendResponse({ error: err?.code || "HIGHLIGHT_FAILED" });
       }
     })();
     return true; // Indicates async response
@@ -406,11 +1354,3 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
-// Handle offscreen DOM scraping request/response loop
-chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
-  if (message.type === "OFFSCREEN_READY") {
-    sendResponse({ ok: true });
-    return true;
-  }
-  return false;
-});
@@ -0,0 +1,109 @@
+/**
+ * Budget module for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Sum the current calendar month's usage per provider
+ * - Refuse new summaries once a provider's monthly token or cost cap is reached
+ * - Aggregate the usage log per day, per domain and per model for the options page
+ *
+ * Notes for maintainers:
+ * - Caps live in `costSettings.budgets` ({ [provider]: { maxTokens, maxCost } }); a missing or
+ *   empty cap means unlimited.
+ * - Months follow the user's local time zone.
+ */
+
+import { getCostSettings, getUsageLog } from "./storage.js";
+
+/**
+ * Returns the timestamp of the first instant of the month containing `now`
+ * @param {Date} [now]
+ * @returns {number} Milliseconds since epoch
+ */
+export function startOfMonth(now = new Date()) {
+  return new Date(now.getFullYear(), now.getMonth(), 1).getTime();
+}
+
+/**
+ * Keeps only the usage entries recorded this month
+ * @param {Array<Object>} entries - Usage log entries
+ * @param {Date} [now]
+ * @returns {Array<Object>} Entries on or after the start of the month
+ */
+export function currentMonthEntries(entries, now = new Date()) {
+  const since = startOfMonth(now);
+  return entries.filter((e) => e.date >= since);
+}
+
+/**
+ * Sums the tokens and cost spent on one provider this month
+ * @param {string} provider - Provider id
+ * @returns {Promise<{tokens: number, cost: number}>} Month-to-date spend
+ */
+export async function getMonthlySpend(provider) {
+  const entries = currentMonthEntries(await getUsageLog()).filter((e) => e.provider === provider);
+  return entries.reduce(
+    (sum, e) => ({
+      tokens: sum.tokens + (e.inputTokens || 0) + (e.outputTokens || 0),
+      cost: sum.cost + (e.cost || 0),
+    }),
+    { tokens: 0, cost: 0 },
+  );
+}
+
+/**
+ * Throws when the provider's monthly budget is already used up
+ * @param {string} provider - Provider id
+ * @returns {Promise<void>}
+ * @throws {Error} With `code` "BUDGET_EXCEEDED" and the provider, spend and cap attached
+ */
+export async function checkBudget(provider) {
+  const { budgets = {} } = await getCostSettings();
+  const { maxTokens, maxCost } = budgets[provider] || {};
+  if (typeof maxTokens !== "number" && typeof maxCost !== "number") return;
+
+  const spend = await getMonthlySpend(provider);
+  const overTokens = typeof maxTokens === "number" && spend.tokens >= maxTokens;
+  const overCost = typeof maxCost === "number" && spend.cost >= maxCost;
+  if (overTokens || overCost) {
+    const err = new Error(`Monthly budget for ${provider} exceeded`);
+    err.code = "BUDGET_EXCEEDED";
+    Object.assign(err, { provider, spend, budget: { maxTokens, maxCost } });
+    throw err;
+  }
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    const row = groups.get(key) || { key, requests: 0, tokens: 0, cost: 0 };
+    row.requests += e.requests || 1;
+    row.tokens += (e.inputTokens || 0) + (e.outputTokens || 0);
+    row.cost += e.cost || 0;
+    groups.set(key, row);
+  }
+  return [...groups.values()];
+}
+
+function toDayKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Aggregates usage entries for display
+ * @param {Array<Object>} entries - Usage log entries
+ * @returns {{byDay: Array<Object>, byDomain: Array<Object>, byModel: Array<Object>, total: Object}}
+ *   Rows of { key, requests, tokens, cost }; days newest first, the others by cost
+ */
+export function aggregateUsage(entries) {
+  const byCost = (a, b) => b.cost - a.cost || b.tokens - a.tokens;
+  const [total = { key: "total", requests: 0, tokens: 0, cost: 0 }] = groupBy(entries, () => "total");
+  return {
+    byDay: groupBy(entries, (e) => toDayKey(e.date)).sort((a, b) => b.key.localeCompare(a.key)),
+    byDomain: groupBy(entries, (e) => e.domain || "unknown").sort(byCost),
+    byModel: groupBy(entries, (e) => `${e.provider} / ${e.model}`).sort(byCost),
+    total,
+  };
+}
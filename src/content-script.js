@@ -6,6 +6,8 @@
  * - Find privacy/terms/legal links via `window.findPrivacyLinks`
  * - Watch DOM mutations to catch SPA updates
  * - Send results to background for further processing
+ * - Highlight finding quotes on request via `window.policyHighlighter`
+ * - Hand the rendered page (or the selected text) to the popup for "Summarize this page"
  */
 // detector.js será cargado antes desde el manifest y expondrá window.findPrivacyLinks
 
@@ -65,6 +67,42 @@
     }
   });
 
+  // Shorter selections are taken for stray clicks, not a passage to summarize
+  const MIN_SELECTION_LENGTH = 20;
+
+  /**
+   * Describes what the user sees: the selected text when there is a selection, the rendered
+   * HTML otherwise (the background extracts its main content)
+   * @param {boolean} [wholePage] - Ignore the selection (context menu "Summarize this page")
+   * @returns {{url: string, title: string, selection?: string, html?: string}}
+   */
+  const getPageContent = (wholePage = false) => {
+    const selection = wholePage ? "" : String(window.getSelection?.() || "").trim();
+    const page = { url: location.href, title: document.title };
+    if (selection.length >= MIN_SELECTION_LENGTH) return { ...page, selection };
+    return { ...page, html: document.documentElement.outerHTML };
+  };
+
+  /**
+   * Highlight requests from the background (popup "Highlight on page")
+   * Responds with { found, total } so the popup can report missing passages
+   */
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (message?.type === "GET_PAGE_CONTENT") {
+      sendResponse(getPageContent(Boolean(message.wholePage)));
+      return;
+    }
+    // eslint-disable-next-line no-undef
+    const highlighter = window.policyHighlighter;
+    if (!highlighter) return;
+    if (message?.type === "HIGHLIGHT_FINDINGS") {
+      sendResponse(highlighter.highlightFindings(message.findings, message.labels));
+    } else if (message?.type === "CLEAR_HIGHLIGHTS") {
+      highlighter.clearHighlights();
+      sendResponse({ ok: true });
+    }
+  });
+
   // Start observing DOM changes if body exists
   if (document.body) {
     console.log("Content: Starting DOM observer");
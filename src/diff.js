@@ -0,0 +1,190 @@
+/**
+ * Text diff for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Compare two distilled policy texts sentence by sentence
+ * - Lay the result out side by side for the popup, folding long unchanged runs
+ * - Format the changes compactly for the AI comparison request
+ *
+ * Notes for maintainers:
+ * - Sentences are the unit because distilled texts often lose their line breaks; a reworded
+ *   sentence shows up as one removed and one added unit, paired on the same row.
+ * - The common prefix and suffix are skipped before the LCS table is built. Above
+ *   MAX_DIFF_CELLS the remaining middle is reported as fully replaced instead.
+ */
+
+// LCS table size limit (old units x new units after trimming the common ends)
+const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Splits text into comparable units: lines, further split at sentence ends
+ * @param {string} text - Distilled policy text
+ * @returns {Array<string>} Trimmed, non-empty sentences in order
+ */
+export function splitIntoUnits(text) {
+  return String(text || "")
+    .split("\n")
+    .flatMap((line) => line.split(/(?<=[.!?])\s+(?=\S)/))
+    .map((unit) => unit.replace(/\s+/g, " ").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Appends units to the op list, extending the previous op when it has the same type
+ * @param {Array<Object>} ops - Ops built so far
+ * @param {string} type - "equal", "removed" or "added"
+ * @param {Array<string>} lines - Units to append
+ */
+function pushOp(ops, type, lines) {
+  if (lines.length === 0) return;
+  const last = ops[ops.length - 1];
+  if (last?.type === type) last.lines.push(...lines);
+  else ops.push({ type, lines: [...lines] });
+}
+
+/**
+ * Diffs two texts by sentence
+ * @param {string} oldText - Earlier version
+ * @param {string} newText - Later version
+ * @returns {Array<{type: string, lines: Array<string>}>} Ops in order; type is "equal",
+ *   "removed" (only in oldText) or "added" (only in newText)
+ */
+export function diffTexts(oldText, newText) {
+  const a = splitIntoUnits(oldText);
+  const b = splitIntoUnits(newText);
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const ops = [];
+  pushOp(ops, "equal", a.slice(0, start));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    pushOp(ops, "removed", midA);
+    pushOp(ops, "added", midB);
+  } else {
+    // lcs[i * (m + 1) + j] = LCS length of midA[i:] and midB[j:]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i -= 1) {
+      for (let j = m - 1; j >= 0; j -= 1) {
+        lcs[i * width + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (midA[i] === midB[j]) {
+        pushOp(ops, "equal", [midA[i]]);
+        i += 1;
+        j += 1;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        pushOp(ops, "removed", [midA[i]]);
+        i += 1;
+      } else {
+        pushOp(ops, "added", [midB[j]]);
+        j += 1;
+      }
+    }
+    pushOp(ops, "removed", midA.slice(i));
+    pushOp(ops, "added", midB.slice(j));
+  }
+
+  pushOp(ops, "equal", a.slice(endA));
+  return ops;
+}
+
+/**
+ * Counts changed units
+ * @param {Array<Object>} ops - Result of diffTexts
+ * @returns {{added: number, removed: number}} Units only in the new / old text
+ */
+export function diffStats(ops) {
+  const count = (type) => ops.filter((op) => op.type === type).reduce((sum, op) => sum + op.lines.length, 0);
+  return { added: count("added"), removed: count("removed") };
+}
+
+/**
+ * Lays a diff out in two columns. Removed units are paired with the units added right
+ * after them; unchanged runs keep `context` units next to each change and fold the rest.
+ * @param {Array<Object>} ops - Result of diffTexts
+ * @param {number} [context] - Unchanged units kept around each change
+ * @returns {Array<Object>} Rows { type, left, right }; type is "equal", "changed", "removed",
+ *   "added" or "skip" (then `count` holds the number of folded units)
+ */
+export function toSideBySide(ops, context = 1) {
+  const rows = [];
+  for (let k = 0; k < ops.length; k += 1) {
+    const op = ops[k];
+    if (op.type === "equal") {
+      const keepBefore = k > 0 ? context : 0;
+      const keepAfter = k < ops.length - 1 ? context : 0;
+      if (op.lines.length <= keepBefore + keepAfter + 1) {
+        op.lines.forEach((line) => rows.push({ type: "equal", left: line, right: line }));
+        continue;
+      }
+      op.lines.slice(0, keepBefore).forEach((line) => rows.push({ type: "equal", left: line, right: line }));
+      rows.push({ type: "skip", count: op.lines.length - keepBefore - keepAfter });
+      op.lines
+        .slice(op.lines.length - keepAfter)
+        .forEach((line) => rows.push({ type: "equal", left: line, right: line }));
+    } else if (op.type === "removed" && ops[k + 1]?.type === "added") {
+      const added = ops[k + 1].lines;
+      const length = Math.max(op.lines.length, added.length);
+      for (let i = 0; i < length; i += 1) {
+        const left = op.lines[i];
+        const right = added[i];
+        const type = left !== undefined && right !== undefined ? "changed" : left !== undefined ? "removed" : "added";
+        rows.push({ type, left: left ?? "", right: right ?? "" });
+      }
+      k += 1;
+    } else if (op.type === "removed") {
+      op.lines.forEach((line) => rows.push({ type: "removed", left: line, right: "" }));
+    } else {
+      op.lines.forEach((line) => rows.push({ type: "added", left: "", right: line }));
+    }
+  }
+  return rows;
+}
+
+/**
+ * Formats the changes for the AI comparison request: "-" removed, "+" added, two-space
+ * indent for one unit of surrounding context
+ * @param {Array<Object>} ops - Result of diffTexts
+ * @param {number} maxChars - Length limit; later changes are cut with a note
+ * @returns {string} Plain-text diff, empty when nothing changed
+ */
+export function formatDiffForPrompt(ops, maxChars) {
+  const lines = [];
+  for (const row of toSideBySide(ops, 1)) {
+    if (row.type === "skip") lines.push("  […]");
+    else if (row.type === "equal") lines.push(`  ${row.left}`);
+    else {
+      if (row.left) lines.push(`- ${row.left}`);
+      if (row.right) lines.push(`+ ${row.right}`);
+    }
+  }
+  if (!lines.some((line) => line.startsWith("- ") || line.startsWith("+ "))) return "";
+
+  let out = "";
+  for (const line of lines) {
+    if (out.length + line.length + 1 > maxChars) {
+      return `${out}[Further changes omitted for length]`;
+    }
+    out += `${line}\n`;
+  }
+  return out.trimEnd();
+}
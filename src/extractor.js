@@ -0,0 +1,299 @@
+/**
+ * Main-content extraction for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Drop boilerplate: navigation, cookie banners, site headers and footers, sidebars, forms
+ *   and hidden elements
+ * - Pick the element holding the policy itself (landmarks first, then readability-style scoring)
+ * - Serialize headings, lists, paragraphs and table rows as lightweight Markdown
+ * - List the page's links (sub-policy discovery needs the footer links this removes)
+ *
+ * Notes for maintainers:
+ * - Works on inert DOMParser documents: there is no layout, so hidden content is recognized by
+ *   attributes and inline styles only. The document is modified in place.
+ * - The output is what gets hashed; changing it marks every policy as changed. Bump
+ *   TEXT_EXTRACTION_VERSION in storage.js when it does.
+ */
+
+// Never policy content
+const NON_CONTENT_SELECTOR = [
+  "script",
+  "style",
+  "noscript",
+  "template",
+  "svg",
+  "iframe",
+  "canvas",
+  "form",
+  "button",
+  "select",
+  "textarea",
+  "nav",
+  "aside",
+  "dialog",
+  "[hidden]",
+  "[aria-hidden='true']",
+  "[role='navigation']",
+  "[role='dialog']",
+  "[role='alertdialog']",
+  "[role='complementary']",
+].join(", ");
+const LANDMARK_SELECTOR = "main, [role='main'], article";
+// id/class hints; a positive hint keeps an element that also has a negative one
+const NEGATIVE_HINT =
+  /\b(nav|navbar|navigation|menu|breadcrumbs?|sidebar|footer|header|masthead|banner|newsletter|subscribe|social|share|sharing|related|promo|advert|ads|modal|popup|skip-link)\b|cookie-?(banner|bar|notice|consent|popup|modal)|consent|onetrust|cookiebot|didomi|usercentrics|truste/i;
+const POSITIVE_HINT = /\b(article|content|main|policy|privacy|legal|terms|entry|post|text|prose)\b/i;
+const HIDDEN_STYLE = /(^|;)\s*(display\s*:\s*none|visibility\s*:\s*hidden)/i;
+const BLOCK_TAGS = new Set([
+  "ADDRESS",
+  "ARTICLE",
+  "BLOCKQUOTE",
+  "DD",
+  "DETAILS",
+  "DIV",
+  "DL",
+  "DT",
+  "FIGCAPTION",
+  "FIGURE",
+  "HEADER",
+  "FOOTER",
+  "MAIN",
+  "P",
+  "SECTION",
+  "SUMMARY",
+  "TABLE",
+  "TBODY",
+  "THEAD",
+]);
+// Links beyond this are ignored (sitemaps and legal hubs)
+const MAX_LINKS = 1000;
+// Share of the remaining text a landmark or scored candidate must hold to be used
+const MIN_MAIN_SHARE = 0.3;
+// Paragraph-like elements shorter than this do not score
+const MIN_SCORED_LENGTH = 25;
+
+/**
+ * Collapses whitespace
+ * @param {string} text - Raw text
+ * @returns {string} Single-spaced, trimmed text
+ */
+function collapse(text) {
+  return String(text || "").replace(/\s+/g, " ").trim();
+}
+
+function textLength(el) {
+  return collapse(el.textContent).length;
+}
+
+/**
+ * Describes an element's id and classes for hint matching
+ * @param {Element} el - Element
+ * @returns {string} "id class1 class2"
+ */
+function hintsOf(el) {
+  return `${el.id || ""} ${el.getAttribute("class") || ""}`;
+}
+
+/**
+ * Share of an element's text that sits inside links
+ * @param {Element} el - Element
+ * @returns {number} 0 to 1
+ */
+function linkDensity(el) {
+  const total = textLength(el);
+  if (total === 0) return 0;
+  let linked = 0;
+  el.querySelectorAll("a").forEach((a) => {
+    linked += textLength(a);
+  });
+  return Math.min(1, linked / total);
+}
+
+/**
+ * Removes elements that never hold policy text
+ * @param {HTMLElement} body - Document body
+ */
+function removeBoilerplate(body) {
+  body.querySelectorAll(NON_CONTENT_SELECTOR).forEach((el) => el.remove());
+  const bodyLength = textLength(body);
+  for (const el of Array.from(body.querySelectorAll("*"))) {
+    // Already gone with a removed ancestor
+    if (!el.isConnected) continue;
+    const tag = el.tagName;
+    if (tag === "MAIN" || tag === "ARTICLE") continue;
+    if (HIDDEN_STYLE.test(el.getAttribute("style") || "")) {
+      el.remove();
+      continue;
+    }
+    // Site chrome; an article's own header (title, date) stays
+    const isChrome =
+      ((tag === "HEADER" || tag === "FOOTER") && !el.closest(LANDMARK_SELECTOR)) ||
+      ["banner", "contentinfo"].includes(el.getAttribute("role"));
+    const hints = hintsOf(el);
+    const isHinted = NEGATIVE_HINT.test(hints) && !POSITIVE_HINT.test(hints);
+    // A wrapper with a misleading class can hold the whole page; keep anything that large
+    if ((isChrome || isHinted) && textLength(el) < bodyLength * 0.5) el.remove();
+  }
+}
+
+/**
+ * Scores containers by the paragraphs they hold (readability-style)
+ * @param {HTMLElement} body - Document body, boilerplate removed
+ * @returns {Element|null} Best container, or null when nothing scored
+ */
+function findBestCandidate(body) {
+  const scores = new Map();
+  const add = (el, score) => scores.set(el, (scores.get(el) || 0) + score);
+  body.querySelectorAll("p, li, td, dd, pre, blockquote").forEach((el) => {
+    const text = collapse(el.textContent);
+    if (text.length < MIN_SCORED_LENGTH) return;
+    const score = 1 + (text.match(/[,;]/g) || []).length + Math.min(Math.floor(text.length / 100), 3);
+    const parent = el.parentElement;
+    if (parent) add(parent, score);
+    if (parent?.parentElement) add(parent.parentElement, score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [el, score] of scores) {
+    const hints = hintsOf(el);
+    const weight = (POSITIVE_HINT.test(hints) ? 25 : 0) - (NEGATIVE_HINT.test(hints) ? 25 : 0);
+    const finalScore = (score + weight) * (1 - linkDensity(el));
+    if (finalScore > bestScore) {
+      best = el;
+      bestScore = finalScore;
+    }
+  }
+  // Sections of one policy are often siblings: widen while the parent adds little else
+  while (best && best !== body && best.parentElement && best.parentElement !== body) {
+    if (textLength(best.parentElement) > textLength(best) * 1.25) break;
+    best = best.parentElement;
+  }
+  return best;
+}
+
+/**
+ * Picks the element holding the policy
+ * @param {HTMLElement} body - Document body, boilerplate removed
+ * @returns {HTMLElement} Main element, or the body when no element stands out
+ */
+function findMainElement(body) {
+  const bodyLength = textLength(body);
+  if (bodyLength === 0) return body;
+  // The most specific landmark holding enough of the text (an <article> inside <main>)
+  const landmarks = Array.from(body.querySelectorAll(LANDMARK_SELECTOR))
+    .map((el) => ({ el, length: textLength(el) }))
+    .filter(({ length }) => length >= bodyLength * MIN_MAIN_SHARE)
+    .sort((a, b) => a.length - b.length);
+  if (landmarks.length > 0) return landmarks[0].el;
+
+  const candidate = findBestCandidate(body);
+  return candidate && textLength(candidate) >= bodyLength * MIN_MAIN_SHARE ? candidate : body;
+}
+
+/**
+ * Serializes an element as lightweight Markdown: "#" headings, "-" and "1." list items, one
+ * line per paragraph and " | "-separated table rows
+ * @param {Element} root - Element to serialize
+ * @returns {string} Markdown text
+ */
+function toMarkdown(root) {
+  const lines = [];
+  let buffer = "";
+  let linePrefix = "";
+  // The list marker waits for the item's first text, which may sit in a nested block
+  const flush = () => {
+    const text = collapse(buffer);
+    buffer = "";
+    if (!text) return;
+    lines.push(linePrefix + text);
+    linePrefix = "";
+  };
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      buffer += node.nodeValue;
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName;
+    if (/^H[1-6]$/.test(tag)) {
+      flush();
+      const text = collapse(node.textContent);
+      if (text) lines.push(`${"#".repeat(Number(tag[1]))} ${text}`);
+      return;
+    }
+    if (tag === "BR" || tag === "HR") {
+      flush();
+      return;
+    }
+    if (tag === "UL" || tag === "OL") {
+      flush();
+      node.childNodes.forEach((child) => walk(child));
+      flush();
+      return;
+    }
+    if (tag === "LI") {
+      flush();
+      const list = node.parentElement;
+      let marker = "-";
+      if (list?.tagName === "OL") {
+        const items = Array.from(list.children).filter((child) => child.tagName === "LI");
+        marker = `${items.indexOf(node) + Number(list.getAttribute("start") || 1)}.`;
+      }
+      linePrefix = `${marker} `;
+      node.childNodes.forEach((child) => walk(child));
+      flush();
+      linePrefix = "";
+      return;
+    }
+    if (tag === "TR") {
+      flush();
+      const cells = Array.from(node.children)
+        .map((cell) => collapse(cell.textContent))
+        .filter(Boolean);
+      if (cells.length > 0) lines.push(cells.join(" | "));
+      return;
+    }
+    if (tag === "PRE") {
+      flush();
+      node.textContent
+        .split("\n")
+        .map((line) => line.trim())
+        .filter(Boolean)
+        .forEach((line) => lines.push(line));
+      return;
+    }
+    const isBlock = BLOCK_TAGS.has(tag);
+    if (isBlock) flush();
+    node.childNodes.forEach((child) => walk(child));
+    if (isBlock) flush();
+  };
+
+  walk(root);
+  flush();
+  return lines.join("\n");
+}
+
+/**
+ * Lists the links of a document; call before extractMainContent, which removes navigation
+ * @param {Document} doc - Parsed page
+ * @returns {Array<{href: string, text: string}>} Raw href attributes and link texts
+ */
+export function extractLinks(doc) {
+  return Array.from(doc?.querySelectorAll("a[href]") || [])
+    .slice(0, MAX_LINKS)
+    .map((a) => ({ href: a.getAttribute("href"), text: collapse(a.textContent) }));
+}
+
+/**
+ * Extracts the policy text of a document as lightweight Markdown
+ * @param {Document} doc - Parsed page (modified in place)
+ * @returns {string} Main content, empty when the document has no body text
+ */
+export function extractMainContent(doc) {
+  const body = doc?.body;
+  if (!body) return "";
+  removeBoilerplate(body);
+  return toMarkdown(findMainElement(body));
+}
@@ -0,0 +1,53 @@
+/**
+ * Frame extractor for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - When a page is framed by this extension's offscreen document, wait for its rendered
+ *   text to settle and post the rendered HTML to the parent frame, which extracts the main
+ *   content (extractor.js)
+ *
+ * Notes for maintainers:
+ * - Registered by background.js for the rendered page's origin (all frames) only while the
+ *   offscreen document renders it, so it must stay a no-op in the user's own tabs of that
+ *   origin: it only acts when the direct parent is the extension origin
+ *   (`location.ancestorOrigins`).
+ * - The offscreen document (src/offscreen.js) matches messages by `event.source`, so the
+ *   target origin is the only information the page itself could observe.
+ */
+
+// Settling: poll the text length until it stops growing, within a hard limit
+const SETTLE_POLL_MS = 500;
+const SETTLE_STABLE_POLLS = 2;
+const SETTLE_MAX_MS = 8000;
+
+(function extractForOffscreenDocument() {
+  let extensionOrigin;
+  try {
+    // eslint-disable-next-line no-undef
+    extensionOrigin = new URL(chrome.runtime.getURL("")).origin;
+  } catch (_) {
+    return;
+  }
+  if (window.top === window || location.ancestorOrigins?.[0] !== extensionOrigin) return;
+
+  const readText = () => document.body?.innerText || document.body?.textContent || "";
+  const post = (message) => window.parent.postMessage({ source: "policy-tldr-frame", ...message }, extensionOrigin);
+
+  // Tell the offscreen document the frame loaded (blocked frames never get here)
+  post({ type: "FRAME_ALIVE" });
+
+  const startedAt = Date.now();
+  let lastLength = -1;
+  let stablePolls = 0;
+  const poll = () => {
+    const length = readText().length;
+    stablePolls = length > 0 && length === lastLength ? stablePolls + 1 : 0;
+    lastLength = length;
+    if (stablePolls >= SETTLE_STABLE_POLLS || Date.now() - startedAt >= SETTLE_MAX_MS) {
+      post({ type: "FRAME_HTML", html: document.documentElement.outerHTML });
+      return;
+    }
+    setTimeout(poll, SETTLE_POLL_MS);
+  };
+  poll();
+})();
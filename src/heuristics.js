@@ -0,0 +1,229 @@
+/**
+ * Rule-based policy pre-analysis for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Scan distilled policy text for known risky and protective practices without any AI provider
+ * - Produce a provisional score and a flag list (with the matched sentence) for the popup
+ * - Format the flags as hints for the AI request
+ *
+ * Notes for maintainers:
+ * - Patterns cover the supported UI languages (en, es, fr, pt, de, it) and are all applied
+ *   regardless of the user's language, since policies are often in another one.
+ * - A risk pattern closely preceded or followed by a negation within the same
+ *   sentence counts as its `negatedId` protection instead, e.g. "we do not sell your data".
+ * - This is keyword matching: expect false positives and keep the result labelled provisional.
+ */
+
+// Score with no evidence either way; weights move it up (risk) or down (protection)
+const BASE_SCORE = 4;
+// Characters around a match searched for a negation
+const NEGATION_WINDOW_BEFORE = 40;
+const NEGATION_WINDOW_AFTER = 15;
+// Longest sentence kept as a flag's quote
+const MAX_QUOTE_LENGTH = 200;
+
+// Italian "mai" (never) but not the French month "mai" of a date ("le 25 mai 2018")
+const NEGATION = /(^|[^\p{L}])(not|never|no|don't|doesn't|nunca|jamás|jamais|pas|ne|não|nicht|niemals|keine?n?|non|(?<!\d\s*)mai(?!\s*\d))([^\p{L}]|$)/iu;
+
+/**
+ * Rules: id, category (see PRIVACY_CATEGORIES in prompts.js), weight (positive = worse),
+ * patterns and, for risks, the protection a negated match stands for
+ */
+const RULES = [
+  {
+    id: "sale_of_data",
+    category: "sharing",
+    weight: 2,
+    negatedId: "no_sale",
+    patterns: [
+      /\bsell(s|ing)?\b[^.]{0,60}\b(data|information)\b/iu,
+      /\bsale of (your )?personal (data|information)\b/iu,
+      /\bvend(e|emos|er|en)\b[^.]{0,60}\b(datos|información|dados|informações)/iu,
+      /\bvend(re|ons|ent)\b[^.]{0,60}\b(données|informations)/iu,
+      /\bverkauf\w*\b[^.]{0,60}\b(daten|informationen)/iu,
+      /\b(daten|informationen)\b[^.]{0,60}\bverkauf\w*/iu,
+      /\bvend(ere|iamo|ono)\b[^.]{0,60}\b(dati|informazioni)/iu,
+    ],
+  },
+  {
+    id: "third_party_ads",
+    category: "tracking",
+    weight: 1.5,
+    patterns: [
+      /\b(targeted|personali[sz]ed|interest-based|behavioral|behavioural) (advertising|ads)\b/iu,
+      /\b(third[- ]part(y|ies)|advertising partners)\b[^.]{0,80}\b(advertis\w*|ads)\b/iu,
+      /\bpublicidad (personalizada|dirigida|basada en intereses)/iu,
+      /\bterceros\b[^.]{0,80}\bpublicidad/iu,
+      /\bpublicité (ciblée|personnalisée)/iu,
+      /\btiers\b[^.]{0,80}\bpublicit/iu,
+      /\bpublicidade (personalizada|direcionada)/iu,
+      /\bterceiros\b[^.]{0,80}\bpublicidade/iu,
+      /\b(personalisierte|zielgerichtete|interessenbasierte) werbung/iu,
+      /\bdritt\w*\b[^.]{0,80}\bwerbung/iu,
+      /\bpubblicità (personalizzata|mirata)/iu,
+      /\bterze parti\b[^.]{0,80}\bpubblicit/iu,
+    ],
+  },
+  {
+    id: "indefinite_retention",
+    category: "retention",
+    weight: 1.5,
+    patterns: [
+      /\b(indefinitely|indefinite period|unlimited period|permanently (retain|store|keep))\b/iu,
+      /\b(retain|store|keep)\w*\b[^.]{0,40}\bforever\b/iu,
+      /\b(indefinidamente|tiempo indefinido|plazo indefinido)/iu,
+      /\b(indéfiniment|durée indéterminée|durée illimitée)/iu,
+      /\b(prazo indeterminado|tempo indeterminado)/iu,
+      /\b(unbegrenzt|auf unbestimmte zeit|dauerhaft (gespeichert|speichern|aufbewahrt))/iu,
+      /\b(indefinitamente|tempo indeterminato|periodo illimitato)/iu,
+    ],
+  },
+  {
+    id: "arbitration",
+    category: "jurisdiction",
+    weight: 1,
+    patterns: [
+      /\b(binding|mandatory|individual) arbitration\b/iu,
+      /\bclass[- ]action waiver\b|\bwaive\w*\b[^.]{0,40}\bclass action/iu,
+      /\barbitraje (vinculante|obligatorio)/iu,
+      /\barbitrage (obligatoire|contraignant)|\brenonc\w*\b[^.]{0,40}\b(action collective|recours collectif)/iu,
+      /\barbitragem (vinculativa|obrigatória)/iu,
+      /\b(verbindliche\w*|obligatorische\w*) schiedsverfahren|\bverzicht\w*\b[^.]{0,40}\bsammelklage/iu,
+      /\barbitrato (vincolante|obbligatorio)|\brinuncia\w*\b[^.]{0,40}\bazione collettiva/iu,
+    ],
+  },
+  {
+    id: "children_data",
+    category: "children",
+    weight: 1,
+    negatedId: "children_excluded",
+    patterns: [
+      /\bcollect\w*\b[^.]{0,60}\b(children|minors|kids)\b/iu,
+      /\b(children|minors|kids)\b[^.]{0,60}\bcollect\w*/iu,
+      /\b(recopil|recog)\w*\b[^.]{0,60}\b(menores|niños)/iu,
+      /\bcollect\w*\b[^.]{0,60}\b(enfants|mineurs)/iu,
+      /\b(colet|recolh)\w*\b[^.]{0,60}\b(crianças|menores)/iu,
+      /\b(erheb|sammel)\w*\b[^.]{0,60}\b(kinder\w*|minderjährig\w*)/iu,
+      /\b(kinder\w*|minderjährig\w*)\b[^.]{0,60}\b(erheb|sammel)\w*/iu,
+      /\braccog\w*\b[^.]{0,60}\b(minori|bambini)/iu,
+    ],
+  },
+  {
+    id: "cross_border",
+    category: "jurisdiction",
+    weight: 1,
+    patterns: [
+      /\btransfer\w*\b[^.]{0,80}\b(outside (of )?(the )?(EEA|European Economic Area|EU|European Union|your country)|other countries|third countries|the United States)\b/iu,
+      /\btransfer\w*\b[^.]{0,80}\b(fuera del (EEE|Espacio Económico Europeo)|otros países|terceros países|Estados Unidos)/iu,
+      /\btransf[eé]r\w*\b[^.]{0,80}(?<!\p{L})(hors de l'(EEE|Espace économique européen|UE|Union européenne)|pays tiers|autres pays|(aux )?États-Unis)/iu,
+      /\btransfer\w*\b[^.]{0,80}\b(fora do (EEE|Espaço Económico Europeu)|outros países|países terceiros|Estados Unidos)/iu,
+      /(?<!\p{L})(übermitt|übertrag)\p{L}*[^.]{0,80}\b(außerhalb des (EWR|Europäischen Wirtschaftsraums)|drittländer\w*|andere länder|USA|Vereinigten Staaten)/iu,
+      /\btrasfer\w*\b[^.]{0,80}\b(al di fuori dello? (SEE|Spazio economico europeo)|paesi terzi|altri paesi|Stati Uniti)/iu,
+    ],
+  },
+  {
+    id: "opt_out",
+    category: "user_rights",
+    weight: -1,
+    patterns: [
+      /\bopt[- ]out\b|\bunsubscribe\b|\bdo not sell (or share )?my\b|\bwithdraw (your )?consent\b/iu,
+      /\b(darte de baja|oponerte|retirar (tu|su) consentimiento|exclusión voluntaria)/iu,
+      /\b(vous opposer|vous désinscrire|retirer votre consentement)/iu,
+      /\b(opor-se|cancelar a subscrição|descadastrar|retirar o (seu )?consentimento)/iu,
+      /\b(widersprechen|widerrufen|abmelden)\b/iu,
+      /\b(opporsi|opporti|revocare il (suo |tuo )?consenso|disiscriversi)/iu,
+    ],
+  },
+];
+
+// Protections stood for by negated risk matches
+const NEGATED_RULES = {
+  no_sale: { category: "sharing", weight: -1 },
+  children_excluded: { category: "children", weight: -0.5 },
+};
+
+/**
+ * Returns the sentence around a match, trimmed for display
+ * @param {string} text - Policy text
+ * @param {number} start - Match start
+ * @param {number} end - Match end
+ * @returns {string} Sentence containing the match
+ */
+function sentenceAround(text, start, end) {
+  const before = text.slice(0, start);
+  const from = Math.max(before.lastIndexOf(". "), before.lastIndexOf("\n")) + 1;
+  const stops = [text.indexOf(". ", end), text.indexOf("\n", end)].filter((i) => i !== -1);
+  const to = stops.length > 0 ? Math.min(...stops) + 1 : text.length;
+  const sentence = text.slice(from, to).replace(/\s+/g, " ").trim();
+  return sentence.length > MAX_QUOTE_LENGTH ? `${sentence.slice(0, MAX_QUOTE_LENGTH - 1)}…` : sentence;
+}
+
+/**
+ * Checks whether a match is negated within its sentence
+ * @param {string} text - Policy text
+ * @param {number} start - Match start
+ * @param {number} end - Match end
+ * @returns {boolean} True if a negation word sits right before or after the match
+ */
+function isNegated(text, start, end) {
+  const clip = (s) => s.split(/[.\n]/);
+  const beforeParts = clip(text.slice(Math.max(0, start - NEGATION_WINDOW_BEFORE), start));
+  const afterParts = clip(text.slice(end, end + NEGATION_WINDOW_AFTER));
+  return NEGATION.test(beforeParts[beforeParts.length - 1]) || NEGATION.test(afterParts[0]);
+}
+
+/**
+ * Scans a policy for known practices
+ * @param {string} text - Distilled policy text
+ * @returns {{privacy_score: number|null, flags: Array<Object>}} Provisional 0-10 score (null
+ *   when no rule matched) and flags { id, category, effect: "risk"|"protection", quote },
+ *   one per rule
+ */
+export function analyzePolicyText(text) {
+  const source = String(text || "");
+  const flags = [];
+  let score = BASE_SCORE;
+
+  for (const rule of RULES) {
+    let flag = null;
+    scan: for (const pattern of rule.patterns) {
+      // Every match is checked: "we never sell ... however we may sell ..." is still a risk
+      for (const match of source.matchAll(new RegExp(pattern.source, `${pattern.flags}g`))) {
+        const start = match.index;
+        const end = start + match[0].length;
+        const negated = rule.negatedId && isNegated(source, start, end);
+        // Keep the first negated match unless a plain one turns up
+        if (negated && flag) continue;
+        const id = negated ? rule.negatedId : rule.id;
+        const { category, weight } = negated ? NEGATED_RULES[rule.negatedId] : rule;
+        flag = { id, category, weight, quote: sentenceAround(source, start, end) };
+        // A plain match outweighs any negated one
+        if (!negated) break scan;
+      }
+    }
+    if (!flag) continue;
+    score += flag.weight;
+    flags.push({
+      id: flag.id,
+      category: flag.category,
+      effect: flag.weight > 0 ? "risk" : "protection",
+      quote: flag.quote,
+    });
+  }
+
+  return {
+    privacy_score: flags.length > 0 ? Math.max(0, Math.min(10, Math.round(score))) : null,
+    flags,
+  };
+}
+
+/**
+ * Formats flags as hints appended to the AI request
+ * @param {Array<Object>} flags - Flags from analyzePolicyText
+ * @returns {string} Plain-text block, empty when there are no flags
+ */
+export function formatHeuristicHints(flags) {
+  if (!Array.isArray(flags) || flags.length === 0) return "";
+  const lines = flags.map((f) => `- ${f.id} (${f.effect}, ${f.category}): "${f.quote}"`);
+  return `Automated keyword scan (may contain false positives; confirm each point against the policy text before relying on it):\n${lines.join("\n")}`;
+}
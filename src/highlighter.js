@@ -0,0 +1,263 @@
+/**
+ * Highlight finding quotes on the live policy page.
+ * - Locates each quote in the page text (whitespace, case and curly quotes ignored)
+ * - Wraps the matching text in <mark> elements colored by severity
+ * - Shows a floating navigator to step through highlights and clear them
+ * Exposed on `window.policyHighlighter` for the content script.
+ */
+
+const HIGHLIGHT_ATTR = "data-policy-highlight";
+const NAVIGATOR_ID = "policy-tldr-navigator";
+const SEVERITY_COLORS = {
+  high: "rgba(231, 76, 60, 0.35)",
+  medium: "rgba(243, 156, 18, 0.35)",
+  low: "rgba(241, 196, 15, 0.3)",
+};
+// Quote prefix tried when the full quote is not on the page (models trim or merge sentences)
+const FALLBACK_PREFIX_LENGTH = 60;
+const SKIPPED_TAGS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEXTAREA", "INPUT", "SELECT"]);
+
+let highlightGroups = [];
+let activeIndex = -1;
+
+/**
+ * Normalizes one character for matching
+ * @param {string} ch - Single character
+ * @returns {string} Lowercased character with typographic quotes and dashes flattened
+ */
+function normalizeChar(ch) {
+  if (/[‘’‚′]/.test(ch)) return "'";
+  if (/[“”„″]/.test(ch)) return '"';
+  if (/[–—]/.test(ch)) return "-";
+  return ch.toLowerCase().charAt(0);
+}
+
+/**
+ * Normalizes a string the same way the page index is built
+ * @param {string} text - Text to normalize
+ * @returns {string} Lowercased text with single spaces
+ */
+function normalizeForSearch(text) {
+  let out = "";
+  for (const ch of String(text || "")) {
+    if (/\s/.test(ch)) {
+      if (out && !out.endsWith(" ")) out += " ";
+    } else {
+      out += normalizeChar(ch);
+    }
+  }
+  return out.trim();
+}
+
+/**
+ * Builds a normalized copy of the page text with a map back to DOM positions
+ * @param {Element} root - Element to index
+ * @returns {{text: string, map: Array<{node: Text, offset: number}>}} map[i] is the source of text[i]
+ */
+function indexPageText(root) {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      const parent = node.parentElement;
+      if (!parent || SKIPPED_TAGS.has(parent.tagName) || parent.closest(`#${NAVIGATOR_ID}`)) {
+        return NodeFilter.FILTER_REJECT;
+      }
+      return NodeFilter.FILTER_ACCEPT;
+    },
+  });
+  let text = "";
+  const map = [];
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const value = node.nodeValue;
+    for (let i = 0; i < value.length; i += 1) {
+      const ch = value[i];
+      if (/\s/.test(ch)) {
+        if (text && !text.endsWith(" ")) {
+          text += " ";
+          map.push({ node, offset: i });
+        }
+      } else {
+        text += normalizeChar(ch);
+        map.push({ node, offset: i });
+      }
+    }
+    // Adjacent block elements often have no whitespace between their text nodes
+    if (text && !text.endsWith(" ")) {
+      text += " ";
+      map.push({ node, offset: value.length });
+    }
+  }
+  return { text, map };
+}
+
+/**
+ * Finds a quote in the indexed page text
+ * @param {string} quote - Finding quote
+ * @param {string} text - Normalized page text
+ * @returns {{start: number, end: number}|null} Match bounds in the normalized text
+ */
+function locateQuote(quote, text) {
+  // Try the whole quote, then its longest part around ellipses, then its opening words
+  const normalized = normalizeForSearch(quote);
+  const parts = normalized.split(/\s*(?:\.\.\.|…)\s*/).sort((a, b) => b.length - a.length);
+  const candidates = [normalized, parts[0], normalized.slice(0, FALLBACK_PREFIX_LENGTH)];
+  for (const candidate of candidates) {
+    if (!candidate || candidate.length < 12) continue;
+    const start = text.indexOf(candidate);
+    if (start !== -1) return { start, end: start + candidate.length };
+  }
+  return null;
+}
+
+/**
+ * Wraps a mapped text range in <mark> elements, one per text node it spans
+ * @param {Array<{node: Text, offset: number}>} map - Index map
+ * @param {number} start - Start in the normalized text
+ * @param {number} end - End (exclusive) in the normalized text
+ * @param {string} severity - "high", "medium" or "low"
+ * @returns {HTMLElement[]} Created marks in document order
+ */
+function wrapRange(map, start, end, severity) {
+  // Collect [from, to) offsets per text node
+  const spans = new Map();
+  for (let i = start; i < end; i += 1) {
+    const { node, offset } = map[i];
+    const span = spans.get(node) || { from: offset, to: offset + 1 };
+    span.from = Math.min(span.from, offset);
+    span.to = Math.max(span.to, Math.min(offset + 1, node.nodeValue.length));
+    spans.set(node, span);
+  }
+  const marks = [];
+  for (const [node, { from, to }] of spans) {
+    if (to <= from) continue;
+    const target = node.splitText(from);
+    target.splitText(to - from);
+    const mark = document.createElement("mark");
+    mark.setAttribute(HIGHLIGHT_ATTR, severity);
+    mark.style.backgroundColor = SEVERITY_COLORS[severity] || SEVERITY_COLORS.medium;
+    mark.style.color = "inherit";
+    mark.style.borderRadius = "2px";
+    target.parentNode.insertBefore(mark, target);
+    mark.appendChild(target);
+    marks.push(mark);
+  }
+  return marks;
+}
+
+/**
+ * Scrolls to a highlight group and outlines it
+ * @param {number} index - Group index
+ */
+function focusHighlight(index) {
+  if (highlightGroups.length === 0) return;
+  activeIndex = (index + highlightGroups.length) % highlightGroups.length;
+  highlightGroups.forEach((group, i) => {
+    for (const mark of group.marks) {
+      mark.style.outline = i === activeIndex ? "2px solid rgba(44, 62, 80, 0.8)" : "";
+    }
+  });
+  highlightGroups[activeIndex].marks[0].scrollIntoView({ behavior: "smooth", block: "center" });
+  updateNavigator();
+}
+
+/**
+ * Creates the floating navigator (inside a shadow root so page styles do not leak in)
+ * @param {Object} labels - Localized { previous, next, clear, counter } (counter has {current} and {total})
+ */
+function showNavigator(labels) {
+  document.getElementById(NAVIGATOR_ID)?.remove();
+  const host = document.createElement("div");
+  host.id = NAVIGATOR_ID;
+  host.dataset.counter = labels.counter || "{current}/{total}";
+  Object.assign(host.style, { position: "fixed", right: "16px", bottom: "16px", zIndex: "2147483647" });
+  const shadow = host.attachShadow({ mode: "open" });
+  shadow.innerHTML = `
+    <style>
+      .nav { display: flex; align-items: center; gap: 6px; padding: 6px 10px; border-radius: 8px;
+        background: #2c3e50; color: #fff; font: 13px/1.2 system-ui, sans-serif; box-shadow: 0 2px 8px rgba(0,0,0,.3); }
+      button { all: unset; cursor: pointer; padding: 2px 6px; border-radius: 4px; }
+      button:hover, button:focus-visible { background: rgba(255,255,255,.15); }
+      .dot { width: 10px; height: 10px; border-radius: 50%; }
+    </style>
+    <div class="nav" role="toolbar">
+      <span class="dot"></span>
+      <button class="prev" type="button">&#9664;</button>
+      <span class="count" aria-live="polite"></span>
+      <button class="next" type="button">&#9654;</button>
+      <button class="clear" type="button">&#10005;</button>
+    </div>
+  `;
+  const [prev, next, clear] = ["prev", "next", "clear"].map((c) => shadow.querySelector(`.${c}`));
+  prev.title = labels.previous || "";
+  prev.setAttribute("aria-label", labels.previous || "");
+  next.title = labels.next || "";
+  next.setAttribute("aria-label", labels.next || "");
+  clear.title = labels.clear || "";
+  clear.setAttribute("aria-label", labels.clear || "");
+  prev.addEventListener("click", () => focusHighlight(activeIndex - 1));
+  next.addEventListener("click", () => focusHighlight(activeIndex + 1));
+  clear.addEventListener("click", () => clearHighlights());
+  document.body.appendChild(host);
+}
+
+function updateNavigator() {
+  const host = document.getElementById(NAVIGATOR_ID);
+  if (!host?.shadowRoot) return;
+  const group = highlightGroups[activeIndex];
+  host.shadowRoot.querySelector(".count").textContent = host.dataset.counter
+    .replace("{current}", String(activeIndex + 1))
+    .replace("{total}", String(highlightGroups.length));
+  host.shadowRoot.querySelector(".dot").style.background = SEVERITY_COLORS[group?.severity] || "transparent";
+  if (group?.claim) host.shadowRoot.querySelector(".count").title = group.claim;
+}
+
+/**
+ * Removes every highlight and the navigator, restoring the original text nodes
+ */
+function clearHighlights() {
+  document.querySelectorAll(`mark[${HIGHLIGHT_ATTR}]`).forEach((mark) => {
+    const parent = mark.parentNode;
+    while (mark.firstChild) parent.insertBefore(mark.firstChild, mark);
+    parent.removeChild(mark);
+    parent.normalize();
+  });
+  document.getElementById(NAVIGATOR_ID)?.remove();
+  highlightGroups = [];
+  activeIndex = -1;
+}
+
+/**
+ * Highlights the quotes of the given findings; the navigator steps through them in page order
+ * @param {Array<Object>} findings - [{ claim, quote, severity }]
+ * @param {Object} [labels] - Localized navigator labels (see showNavigator)
+ * @returns {{found: number, total: number}} Highlighted and requested findings
+ */
+function highlightFindings(findings, labels = {}) {
+  clearHighlights();
+  const withQuotes = (Array.isArray(findings) ? findings : []).filter((f) => f?.quote);
+  for (const finding of withQuotes) {
+    // Re-index after each wrap: splitting text nodes invalidates the previous map
+    const { text, map } = indexPageText(document.body);
+    const match = locateQuote(finding.quote, text);
+    if (!match) continue;
+    const marks = wrapRange(map, match.start, match.end, finding.severity);
+    if (marks.length > 0) highlightGroups.push({ marks, severity: finding.severity, claim: finding.claim });
+  }
+  // Navigate in page order
+  highlightGroups.sort((a, b) =>
+    a.marks[0].compareDocumentPosition(b.marks[0]) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1,
+  );
+  if (highlightGroups.length > 0) {
+    showNavigator(labels);
+    focusHighlight(0);
+  }
+  return { found: highlightGroups.length, total: withQuotes.length };
+}
+
+// Expose as global for the (non-module) content script
+try {
+  // eslint-disable-next-line no-undef
+  if (typeof window !== "undefined") {
+    // eslint-disable-next-line no-undef
+    window.policyHighlighter = { highlightFindings, clearHighlights };
+  }
+} catch (_) {}
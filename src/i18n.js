@@ -18,6 +18,7 @@ const locales = {
       summary: "Summary",
       history: "History",
       settings: "Settings",
+      ask: "Ask",
     },
     buttons: {
       summarize: "Summarize Policy",
@@ -44,6 +45,17 @@ const locales = {
         summarizing: "Summarizing...",
         ok: "OK",
         cancel: "Cancel",
+      providerCustom: "OpenAI-compatible (custom)",
+      baseUrlLabel: "Base URL:",
+      baseUrlHelp: "Server address. Custom gateways: the API root (/chat/completions is appended). Ollama: defaults to http://localhost:11434",
+      authHeaderLabel: "Auth header:",
+      authHeaderHelp: "Header that carries the API key. Authorization sends \"Bearer <key>\"",
+      apiKeyOptionalHelp: "Optional: leave empty if your gateway does not require a key",
+      providerOllama: "Ollama (local)",
+      ollamaHelp: "No key needed. Start Ollama with OLLAMA_ORIGINS=chrome-extension://* so the extension can reach it",
+      costThresholdLabel: "Confirm above cost (USD):",
+      costThresholdHelp: "Ask before sending a policy whose estimated cost exceeds this amount (0 = always ask)",
+      summarizePage: "Summarize this page as shown",
       },
     language: {
       autodetect: "Auto-detect",
@@ -76,11 +88,30 @@ const locales = {
         scoreExplanationNotAvailable: "Score explanation not available",
         noTosdrData: "No ToS;DR rating available",
         useAISummary: "Click 'Summarize Policy' to generate an AI summary",
+        analyzingChunk: "Reading part {current} of {total}...",
+        mergingChunks: "Putting the pieces together...",
+      findingsTitle: "Key findings",
+      showQuote: "Show source quote",
+      quoteVerified: "Quote found in the policy",
+      quoteUnverified: "Unverified",
+      categoryBreakdown: "Breakdown",
+      notAddressed: "Not addressed in the policy",
+      retrying: "Provider busy, retrying ({current}/{total})...",
+      repairing: "Fixing the model's response format...",
+      lowConfidence: "Low confidence: the model did not return a structured answer, so this score was estimated and may be inaccurate.",
+      estimateCost: "Estimated cost: up to {cost} (~{tokens} tokens)",
+      estimateUnknownCost: "~{tokens} tokens (no pricing known for this model)",
+      pageHint: "Reads the open tab instead of downloading the policy. Select text first to summarize only that passage.",
+      readingPage: "Reading the page…",
+      scopePage: "Summarized from the page as shown in your tab.",
+      scopeSelection: "Summarized from the selected text only. Selection summaries are not saved.",
     },
     history: {
       emptyTitle: "No history yet",
       emptySubtitle: "Summaries will appear here — so you don’t have to read later",
       scoreBadge: "Score: {score}/10",
+      olderPrompt: "prompt {version}",
+      olderPromptHelp: "Generated with a different prompt template than the active one",
     },
     alerts: {
       apiKeyRequired: "API key is required",
@@ -93,6 +124,15 @@ const locales = {
       errorOccurred: "An error occurred while summarizing",
       temperatureRange: "Temperature must be between 0 and 2",
       maxTokensRange: "Max tokens must be between 100 and 4000",
+      baseUrlInvalid: "Enter a valid http(s) base URL",
+      modelRequired: "Enter a model name",
+      hostPermissionDenied: "Access to that server was not granted",
+      ollamaUnreachable: "Could not reach Ollama to list models",
+      costThresholdInvalid: "The cost threshold must be a number of 0 or more",
+      budgetInvalid: "Budget caps must be numbers of 0 or more",
+      promptEmpty: "The prompt template cannot be empty",
+      promptReset: "Prompt template reset to the default",
+      consensusNoModels: "Select at least one extra model for consensus mode",
     },
     error: {
       title: "Error occurred",
@@ -102,6 +142,8 @@ const locales = {
     },
     confirm: {
       clearAll: "Are you sure you want to clear all summaries?",
+      costAboveThreshold: "{estimate}. This is above your confirmation threshold. Send the policy anyway?",
+      clearChat: "Clear this conversation?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — I’ll read it for you",
@@ -110,6 +152,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://example.com/policy",
       apiKeyPlaceholder: "Enter your API key",
+      modelPlaceholder: "e.g. llama3.1:8b",
+    },
+    categories: {
+      collection: "Collection",
+      sharing: "Sharing / selling",
+      retention: "Retention",
+      user_rights: "User rights",
+      security: "Security",
+      children: "Children",
+      tracking: "Tracking / ads",
+      jurisdiction: "Jurisdiction",
+    },
+    errorCodes: {
+      NO_API_KEY: "No API key set. Add one in the extension options.",
+      INVALID_CONFIG: "The AI provider is not fully configured. Check the base URL in the options.",
+      INVALID_KEY: "The API key was rejected. Check it in the extension options.",
+      QUOTA_EXCEEDED: "Your provider account is out of credits or quota. Check billing with your provider.",
+      RATE_LIMITED: "The provider is rate limiting requests. Wait a minute and try again.",
+      MODEL_NOT_FOUND: "The selected model is not available. Pick another model in the options.",
+      CONTEXT_TOO_LONG: "The policy is too long for this model. Try a model with a larger context window.",
+      TIMEOUT: "The provider took too long to answer. Try again later.",
+      NETWORK: "Could not reach the AI provider. Check your connection.",
+      FETCH_FAILED: "Could not download the policy page.",
+      PROVIDER_ERROR: "The AI provider returned an error. Try again later.",
+      FAILED: "Failed to summarize the policy.",
+      CANCELLED: "Summary cancelled. Nothing was sent to the AI provider.",
+      BUDGET_EXCEEDED: "This month's budget for the selected provider is used up. Raise the cap in the options or wait until next month.",
+      NO_SUMMARY: "Summarize this policy first.",
+      HIGHLIGHT_FAILED: "Could not highlight the policy page. Reload it and try again.",
+      VERSION_NOT_FOUND: "This version is no longer stored.",
+      UNSUPPORTED_TYPE: "This policy's file type cannot be read. Supported: web pages, PDF, plain text and Markdown.",
+      PDF_NO_TEXT: "This PDF has no readable text (it may be scanned or password-protected).",
+      PAGE_UNAVAILABLE: "This tab cannot be read. Reload the page and try again (browser pages are not supported).",
+      PAGE_NO_TEXT: "The page has no text to summarize.",
+    },
+    budget: {
+      title: "Monthly Budget",
+      help: "Per-provider caps for the current calendar month. Leave empty for no limit; summaries are refused once a cap is reached.",
+      provider: "Provider",
+      maxTokens: "Max tokens",
+      maxCost: "Max cost (USD)",
+      spent: "Spent this month",
+    },
+    usage: {
+      title: "Usage This Month",
+      total: "{requests} requests · {tokens} tokens · {cost}",
+      byDay: "Per day",
+      byDomain: "Per domain",
+      byModel: "Per model",
+      day: "Day",
+      domain: "Domain",
+      model: "Model",
+      requests: "Requests",
+      tokens: "Tokens",
+      cost: "Cost",
+      empty: "No usage recorded yet.",
+    },
+    prompt: {
+      title: "Prompt Template",
+      help: "Instructions sent to the AI with every policy. Available variables: {variables}. The JSON output format is appended automatically and cannot be edited.",
+      version: "Active version: {version}",
+      preview: "Preview",
+      reset: "Reset to default",
+    },
+    ask: {
+      placeholder: "Ask something about this policy",
+      send: "Send",
+      clear: "Clear",
+      noPolicy: "No policy detected on this page",
+      empty: "Ask, for example: \"Can I delete my account data?\"",
+      thinking: "Reading the policy…",
+    },
+    consensus: {
+      title: "Consensus Mode",
+      enable: "Ask several models and merge their analyses",
+      help: "The model above is always queried; tick the extra models to compare it with. The main provider uses the API key above. Each extra model adds its own cost.",
+      include: "Use",
+      model: "Model",
+      apiKey: "API key",
+      queryingModel: "Asking model {current} of {total} ({model})…",
+      mergingModels: "Merging the models' analyses…",
+      estimateModels: "{count} models",
+      summary: "Consensus of {count} models · agreement: {agreement} (scores differ by up to {spread})",
+      singleModel: "Only one model answered; no consensus",
+      agreement_high: "high",
+      agreement_medium: "medium",
+      agreement_low: "low",
+      supportedBy: "{count}/{total} models",
+    },
+    heuristics: {
+      title: "Quick check (no AI)",
+      score: "Provisional score: {score}/10",
+      noMatches: "No known patterns found.",
+      provisional: "Based on keyword rules; the AI summary below replaces it.",
+      noProvider: "Keyword-based result only. Add an API key in Settings for a full AI summary.",
+      flag_sale_of_data: "Mentions selling personal data",
+      flag_no_sale: "States that data is not sold",
+      flag_third_party_ads: "Third-party or personalized advertising",
+      flag_indefinite_retention: "Data may be kept indefinitely",
+      flag_arbitration: "Arbitration or class-action waiver clause",
+      flag_children_data: "Collects data from children",
+      flag_children_excluded: "Says it does not collect children's data",
+      flag_cross_border: "Transfers data to other countries",
+      flag_opt_out: "Offers an opt-out or consent withdrawal",
+    },
+    highlight: {
+      button: "Highlight on page",
+      buttonHelp: "Mark the quoted passages on the policy page",
+      found: "Highlighted {found} of {total} findings on the page.",
+      noneFound: "None of the quoted passages were found on the page.",
+      previous: "Previous highlight",
+      next: "Next highlight",
+      clear: "Clear highlights",
+      counter: "{current} of {total}",
+      severity_high: "High",
+      severity_medium: "Medium",
+      severity_low: "Low",
+    },
+    watch: {
+      title: "Policy Watchlist",
+      intervalLabel: "Check watched policies every:",
+      interval6: "6 hours",
+      interval12: "12 hours",
+      interval24: "Day",
+      interval168: "Week",
+      help: "Watch a policy with the bell button in the history. You get a notification when its text changes.",
+      autoResummarize: "Summarize changed policies again automatically",
+      autoResummarizeHelp: "Runs without asking for cost confirmation; monthly budgets still apply.",
+      watch: "Watch this policy for changes",
+      unwatch: "Stop watching this policy",
+      watched: "You will be notified when this policy changes.",
+      unwatched: "Policy no longer watched.",
+      changedBadge: "Changed",
+      changedHelp: "The policy text changed after this summary was made. Summarize it again to update it.",
+      changedTitle: "Privacy policy changed",
+      changedMessage: "The policy of {domain} was updated. Click to open it.",
+      resummarizedMessage: "The policy of {domain} was updated and summarized again (score {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Compare versions ({count} recorded)",
+      title: "Versions of {domain}",
+      back: "Back",
+      from: "Earlier",
+      to: "Later",
+      compare: "Explain changes",
+      comparing: "Comparing versions…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · not summarized",
+      stats: "{added} sentences added, {removed} removed",
+      noChanges: "No text changes between these versions.",
+      skipped: "{count} unchanged sentences",
+      verdict_worse: "Worse for you",
+      verdict_better: "Better for you",
+      verdict_mixed: "Mixed",
+      verdict_neutral: "No real impact",
+      verdict_unchanged: "Unchanged",
+    },
+    subpolicies: {
+      title: "Related policies found",
+      help: "Choose which to include in one combined summary.",
+      include: "Summarize selected",
+      mainOnly: "Main policy only",
+      fetching: "Fetching related policy {current} of {total}...",
+      kind_cookies: "Cookies",
+      kind_processing: "Data processing",
+      kind_regional: "Regional",
+      kind_children: "Children",
+      sourcesTitle: "Sources",
+      mainSource: "main policy",
+      findingSource: "From: {title}",
     },
   },
   es: {
@@ -123,6 +335,7 @@ const locales = {
       summary: "Resumen",
       history: "Historial",
       settings: "Configuración",
+      ask: "Preguntar",
     },
     buttons: {
       summarize: "Resumir Política",
@@ -149,6 +362,17 @@ const locales = {
         summarizing: "Resumiendo...",
         ok: "Aceptar",
         cancel: "Cancelar",
+      providerCustom: "Compatible con OpenAI (personalizado)",
+      baseUrlLabel: "URL base:",
+      baseUrlHelp: "Dirección del servidor. Gateways personalizados: la raíz de la API (se añade /chat/completions). Ollama: por defecto http://localhost:11434",
+      authHeaderLabel: "Cabecera de autenticación:",
+      authHeaderHelp: "Cabecera que lleva la clave API. Authorization envía \"Bearer <clave>\"",
+      apiKeyOptionalHelp: "Opcional: déjala vacía si tu gateway no requiere clave",
+      providerOllama: "Ollama (local)",
+      ollamaHelp: "No necesita clave. Inicia Ollama con OLLAMA_ORIGINS=chrome-extension://* para que la extensión pueda conectarse",
+      costThresholdLabel: "Confirmar por encima de (USD):",
+      costThresholdHelp: "Preguntar antes de enviar una política cuyo coste estimado supere este importe (0 = preguntar siempre)",
+      summarizePage: "Resumir esta página tal como se ve",
       },
     language: {
       autodetect: "Detección automática",
@@ -179,11 +403,30 @@ const locales = {
         tosdrLoadError: "Error al cargar detalles de TOSDR",
         scoreNotAvailable: "Puntuación no disponible",
         scoreExplanationNotAvailable: "Explicación de la puntuación no disponible",
+        analyzingChunk: "Leyendo la parte {current} de {total}...",
+        mergingChunks: "Juntando las piezas...",
+      findingsTitle: "Hallazgos clave",
+      showQuote: "Ver cita de la política",
+      quoteVerified: "Cita encontrada en la política",
+      quoteUnverified: "Sin verificar",
+      categoryBreakdown: "Desglose",
+      notAddressed: "La política no lo menciona",
+      retrying: "Proveedor ocupado, reintentando ({current}/{total})...",
+      repairing: "Corrigiendo el formato de la respuesta del modelo...",
+      lowConfidence: "Confianza baja: el modelo no devolvió una respuesta estructurada, así que esta puntuación es una estimación y puede ser inexacta.",
+      estimateCost: "Coste estimado: hasta {cost} (~{tokens} tokens)",
+      estimateUnknownCost: "~{tokens} tokens (sin precios conocidos para este modelo)",
+      pageHint: "Lee la pestaña abierta en lugar de descargar la política. Selecciona texto antes para resumir solo ese fragmento.",
+      readingPage: "Leyendo la página…",
+      scopePage: "Resumido a partir de la página tal como se ve en tu pestaña.",
+      scopeSelection: "Resumido solo a partir del texto seleccionado. Los resúmenes de selecciones no se guardan.",
     },
     history: {
       emptyTitle: "Aún no hay historial",
       emptySubtitle: "Los resúmenes aparecerán aquí — así no tienes que leer luego",
       scoreBadge: "Puntuación: {score}/10",
+      olderPrompt: "instrucciones {version}",
+      olderPromptHelp: "Generado con una plantilla de instrucciones distinta de la activa",
     },
     alerts: {
       apiKeyRequired: "Se requiere la clave API",
@@ -196,6 +439,15 @@ const locales = {
       errorOccurred: "Ocurrió un error al resumir",
       temperatureRange: "La temperatura debe estar entre 0 y 2",
       maxTokensRange: "Los tokens máximos deben estar entre 100 y 4000",
+      baseUrlInvalid: "Introduce una URL base http(s) válida",
+      modelRequired: "Introduce un nombre de modelo",
+      hostPermissionDenied: "No se concedió acceso a ese servidor",
+      ollamaUnreachable: "No se pudo contactar con Ollama para listar modelos",
+      costThresholdInvalid: "El umbral de coste debe ser un número igual o mayor que 0",
+      budgetInvalid: "Los límites de presupuesto deben ser números iguales o mayores que 0",
+      promptEmpty: "La plantilla de instrucciones no puede estar vacía",
+      promptReset: "Plantilla restablecida a la predeterminada",
+      consensusNoModels: "Selecciona al menos un modelo adicional para el modo consenso",
     },
     error: {
       title: "Ocurrió un error",
@@ -205,6 +457,8 @@ const locales = {
     },
     confirm: {
       clearAll: "¿Seguro que quieres borrar todos los resúmenes?",
+      costAboveThreshold: "{estimate}. Supera tu umbral de confirmación. ¿Enviar la política de todos modos?",
+      clearChat: "¿Borrar esta conversación?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — lo leo por ti",
@@ -213,6 +467,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://ejemplo.com/politica",
       apiKeyPlaceholder: "Introduce tu clave API",
+      modelPlaceholder: "p. ej. llama3.1:8b",
+    },
+    categories: {
+      collection: "Recopilación",
+      sharing: "Cesión / venta",
+      retention: "Conservación",
+      user_rights: "Derechos",
+      security: "Seguridad",
+      children: "Menores",
+      tracking: "Rastreo / anuncios",
+      jurisdiction: "Jurisdicción",
+    },
+    errorCodes: {
+      NO_API_KEY: "No hay clave API. Añádela en las opciones de la extensión.",
+      INVALID_CONFIG: "El proveedor de IA no está configurado por completo. Revisa la URL base en las opciones.",
+      INVALID_KEY: "La clave API fue rechazada. Revísala en las opciones de la extensión.",
+      QUOTA_EXCEEDED: "Tu cuenta del proveedor no tiene créditos o cuota. Revisa la facturación con tu proveedor.",
+      RATE_LIMITED: "El proveedor está limitando las solicitudes. Espera un minuto e inténtalo de nuevo.",
+      MODEL_NOT_FOUND: "El modelo seleccionado no está disponible. Elige otro en las opciones.",
+      CONTEXT_TOO_LONG: "La política es demasiado larga para este modelo. Prueba un modelo con más contexto.",
+      TIMEOUT: "El proveedor tardó demasiado en responder. Inténtalo más tarde.",
+      NETWORK: "No se pudo contactar con el proveedor de IA. Revisa tu conexión.",
+      FETCH_FAILED: "No se pudo descargar la página de la política.",
+      PROVIDER_ERROR: "El proveedor de IA devolvió un error. Inténtalo más tarde.",
+      FAILED: "No se pudo resumir la política.",
+      CANCELLED: "Resumen cancelado. No se envió nada al proveedor de IA.",
+      BUDGET_EXCEEDED: "Se agotó el presupuesto de este mes para el proveedor seleccionado. Aumenta el límite en las opciones o espera al próximo mes.",
+      NO_SUMMARY: "Resume primero esta política.",
+      HIGHLIGHT_FAILED: "No se pudo resaltar la página de la política. Recárgala e inténtalo de nuevo.",
+      VERSION_NOT_FOUND: "Esta versión ya no está guardada.",
+      UNSUPPORTED_TYPE: "No se puede leer el tipo de archivo de esta política. Compatibles: páginas web, PDF, texto plano y Markdown.",
+      PDF_NO_TEXT: "Este PDF no tiene texto legible (puede estar escaneado o protegido con contraseña).",
+      PAGE_UNAVAILABLE: "No se puede leer esta pestaña. Recarga la página e inténtalo de nuevo (las páginas del navegador no son compatibles).",
+      PAGE_NO_TEXT: "La página no tiene texto para resumir.",
+    },
+    budget: {
+      title: "Presupuesto mensual",
+      help: "Límites por proveedor para el mes natural en curso. Déjalos vacíos para no limitar; los resúmenes se rechazan al alcanzar un límite.",
+      provider: "Proveedor",
+      maxTokens: "Tokens máx.",
+      maxCost: "Coste máx. (USD)",
+      spent: "Gastado este mes",
+    },
+    usage: {
+      title: "Uso de este mes",
+      total: "{requests} solicitudes · {tokens} tokens · {cost}",
+      byDay: "Por día",
+      byDomain: "Por dominio",
+      byModel: "Por modelo",
+      day: "Día",
+      domain: "Dominio",
+      model: "Modelo",
+      requests: "Solicitudes",
+      tokens: "Tokens",
+      cost: "Coste",
+      empty: "Aún no hay uso registrado.",
+    },
+    prompt: {
+      title: "Plantilla de instrucciones",
+      help: "Instrucciones enviadas a la IA con cada política. Variables disponibles: {variables}. El formato de salida JSON se añade automáticamente y no se puede editar.",
+      version: "Versión activa: {version}",
+      preview: "Vista previa",
+      reset: "Restablecer predeterminada",
+    },
+    ask: {
+      placeholder: "Pregunta algo sobre esta política",
+      send: "Enviar",
+      clear: "Borrar",
+      noPolicy: "No se detectó ninguna política en esta página",
+      empty: "Pregunta, por ejemplo: \"¿Puedo borrar los datos de mi cuenta?\"",
+      thinking: "Leyendo la política…",
+    },
+    consensus: {
+      title: "Modo consenso",
+      enable: "Consultar varios modelos y combinar sus análisis",
+      help: "El modelo de arriba siempre se consulta; marca los modelos adicionales con los que compararlo. El proveedor principal usa la clave API de arriba. Cada modelo adicional suma su propio coste.",
+      include: "Usar",
+      model: "Modelo",
+      apiKey: "Clave API",
+      queryingModel: "Consultando el modelo {current} de {total} ({model})…",
+      mergingModels: "Combinando los análisis de los modelos…",
+      estimateModels: "{count} modelos",
+      summary: "Consenso de {count} modelos · acuerdo: {agreement} (las puntuaciones difieren hasta {spread})",
+      singleModel: "Solo respondió un modelo; sin consenso",
+      agreement_high: "alto",
+      agreement_medium: "medio",
+      agreement_low: "bajo",
+      supportedBy: "{count}/{total} modelos",
+    },
+    heuristics: {
+      title: "Revisión rápida (sin IA)",
+      score: "Puntuación provisional: {score}/10",
+      noMatches: "No se encontraron patrones conocidos.",
+      provisional: "Basado en reglas de palabras clave; el resumen de la IA lo sustituirá.",
+      noProvider: "Solo resultado por palabras clave. Añade una clave API en Ajustes para un resumen completo con IA.",
+      flag_sale_of_data: "Menciona la venta de datos personales",
+      flag_no_sale: "Indica que los datos no se venden",
+      flag_third_party_ads: "Publicidad personalizada o de terceros",
+      flag_indefinite_retention: "Los datos pueden conservarse indefinidamente",
+      flag_arbitration: "Cláusula de arbitraje o renuncia a acciones colectivas",
+      flag_children_data: "Recopila datos de menores",
+      flag_children_excluded: "Indica que no recopila datos de menores",
+      flag_cross_border: "Transfiere datos a otros países",
+      flag_opt_out: "Ofrece darse de baja o retirar el consentimiento",
+    },
+    highlight: {
+      button: "Resaltar en la página",
+      buttonHelp: "Marca los pasajes citados en la página de la política",
+      found: "Se resaltaron {found} de {total} hallazgos en la página.",
+      noneFound: "No se encontró en la página ninguno de los pasajes citados.",
+      previous: "Resaltado anterior",
+      next: "Siguiente resaltado",
+      clear: "Quitar resaltados",
+      counter: "{current} de {total}",
+      severity_high: "Alta",
+      severity_medium: "Media",
+      severity_low: "Baja",
+    },
+    watch: {
+      title: "Políticas vigiladas",
+      intervalLabel: "Revisar las políticas vigiladas cada:",
+      interval6: "6 horas",
+      interval12: "12 horas",
+      interval24: "Día",
+      interval168: "Semana",
+      help: "Vigila una política con el botón de campana del historial. Recibirás una notificación cuando cambie su texto.",
+      autoResummarize: "Volver a resumir automáticamente las políticas modificadas",
+      autoResummarizeHelp: "Se ejecuta sin pedir confirmación de coste; los presupuestos mensuales siguen aplicándose.",
+      watch: "Vigilar cambios en esta política",
+      unwatch: "Dejar de vigilar esta política",
+      watched: "Se te notificará cuando esta política cambie.",
+      unwatched: "La política ya no se vigila.",
+      changedBadge: "Modificada",
+      changedHelp: "El texto de la política cambió después de este resumen. Vuelve a resumirla para actualizarlo.",
+      changedTitle: "La política de privacidad ha cambiado",
+      changedMessage: "La política de {domain} se ha actualizado. Haz clic para abrirla.",
+      resummarizedMessage: "La política de {domain} se actualizó y se volvió a resumir (puntuación {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Comparar versiones ({count} guardadas)",
+      title: "Versiones de {domain}",
+      back: "Volver",
+      from: "Anterior",
+      to: "Posterior",
+      compare: "Explicar los cambios",
+      comparing: "Comparando versiones…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · sin resumir",
+      stats: "{added} frases añadidas, {removed} eliminadas",
+      noChanges: "No hay cambios de texto entre estas versiones.",
+      skipped: "{count} frases sin cambios",
+      verdict_worse: "Peor para ti",
+      verdict_better: "Mejor para ti",
+      verdict_mixed: "Mixto",
+      verdict_neutral: "Sin impacto real",
+      verdict_unchanged: "Sin cambios",
+    },
+    subpolicies: {
+      title: "Políticas relacionadas encontradas",
+      help: "Elige cuáles incluir en un único resumen combinado.",
+      include: "Resumir seleccionadas",
+      mainOnly: "Solo la política principal",
+      fetching: "Obteniendo política relacionada {current} de {total}...",
+      kind_cookies: "Cookies",
+      kind_processing: "Tratamiento de datos",
+      kind_regional: "Regional",
+      kind_children: "Menores",
+      sourcesTitle: "Fuentes",
+      mainSource: "política principal",
+      findingSource: "De: {title}",
     },
   },
   fr: {
@@ -226,6 +650,7 @@ const locales = {
       summary: "Résumé",
       history: "Historique",
       settings: "Paramètres",
+      ask: "Questions",
     },
     buttons: {
       summarize: "Résumer la politique",
@@ -252,6 +677,17 @@ const locales = {
         summarizing: "Résumé en cours...",
         ok: "OK",
         cancel: "Annuler",
+      providerCustom: "Compatible OpenAI (personnalisé)",
+      baseUrlLabel: "URL de base :",
+      baseUrlHelp: "Adresse du serveur. Passerelles personnalisées : racine de l'API (/chat/completions est ajouté). Ollama : http://localhost:11434 par défaut",
+      authHeaderLabel: "En-tête d'authentification :",
+      authHeaderHelp: "En-tête qui transporte la clé API. Authorization envoie \"Bearer <clé>\"",
+      apiKeyOptionalHelp: "Facultatif : laissez vide si votre passerelle n'exige pas de clé",
+      providerOllama: "Ollama (local)",
+      ollamaHelp: "Aucune clé requise. Lancez Ollama avec OLLAMA_ORIGINS=chrome-extension://* pour que l'extension puisse s'y connecter",
+      costThresholdLabel: "Confirmer au-delà de (USD) :",
+      costThresholdHelp: "Demander avant d'envoyer une politique dont le coût estimé dépasse ce montant (0 = toujours demander)",
+      summarizePage: "Résumer cette page telle qu'affichée",
       },
     language: {
       autodetect: "Détection automatique",
@@ -282,11 +718,30 @@ const locales = {
         tosdrLoadError: "Erreur lors du chargement des détails ToS;DR",
         scoreNotAvailable: "Score non disponible",
         scoreExplanationNotAvailable: "Explication du score non disponible",
+        analyzingChunk: "Lecture de la partie {current} sur {total}...",
+        mergingChunks: "Assemblage des morceaux...",
+      findingsTitle: "Points clés",
+      showQuote: "Voir la citation source",
+      quoteVerified: "Citation trouvée dans la politique",
+      quoteUnverified: "Non vérifié",
+      categoryBreakdown: "Détail",
+      notAddressed: "Non abordé dans la politique",
+      retrying: "Fournisseur occupé, nouvelle tentative ({current}/{total})...",
+      repairing: "Correction du format de la réponse du modèle...",
+      lowConfidence: "Confiance faible : le modèle n'a pas renvoyé de réponse structurée, ce score est donc estimé et peut être inexact.",
+      estimateCost: "Coût estimé : jusqu'à {cost} (~{tokens} jetons)",
+      estimateUnknownCost: "~{tokens} jetons (tarif inconnu pour ce modèle)",
+      pageHint: "Lit l'onglet ouvert au lieu de télécharger la politique. Sélectionnez d'abord du texte pour ne résumer que ce passage.",
+      readingPage: "Lecture de la page…",
+      scopePage: "Résumé à partir de la page telle qu'affichée dans votre onglet.",
+      scopeSelection: "Résumé à partir du texte sélectionné uniquement. Les résumés de sélections ne sont pas enregistrés.",
     },
     history: {
       emptyTitle: "Pas encore d'historique",
       emptySubtitle: "Les résumés apparaîtront ici — pour éviter de lire plus tard",
       scoreBadge: "Score : {score}/10",
+      olderPrompt: "instructions {version}",
+      olderPromptHelp: "Généré avec un modèle d'instructions différent de l'actuel",
     },
     alerts: {
       apiKeyRequired: "La clé API est requise",
@@ -299,6 +754,15 @@ const locales = {
       errorOccurred: "Une erreur s'est produite lors du résumé",
       temperatureRange: "La température doit être comprise entre 0 et 2",
       maxTokensRange: "Le nombre maximal de jetons doit être compris entre 100 et 4000",
+      baseUrlInvalid: "Saisissez une URL de base http(s) valide",
+      modelRequired: "Saisissez un nom de modèle",
+      hostPermissionDenied: "L'accès à ce serveur n'a pas été accordé",
+      ollamaUnreachable: "Impossible de joindre Ollama pour lister les modèles",
+      costThresholdInvalid: "Le seuil de coût doit être un nombre supérieur ou égal à 0",
+      budgetInvalid: "Les plafonds de budget doivent être des nombres supérieurs ou égaux à 0",
+      promptEmpty: "Le modèle d'instructions ne peut pas être vide",
+      promptReset: "Modèle d'instructions rétabli par défaut",
+      consensusNoModels: "Sélectionnez au moins un modèle supplémentaire pour le mode consensus",
     },
     error: {
       title: "Une erreur s'est produite",
@@ -308,6 +772,8 @@ const locales = {
     },
     confirm: {
       clearAll: "Voulez-vous vraiment effacer tous les résumés ?",
+      costAboveThreshold: "{estimate}. C'est au-dessus de votre seuil de confirmation. Envoyer la politique quand même ?",
+      clearChat: "Effacer cette conversation ?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — je le lis pour vous",
@@ -316,6 +782,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://exemple.com/politique",
       apiKeyPlaceholder: "Entrez votre clé API",
+      modelPlaceholder: "ex. llama3.1:8b",
+    },
+    categories: {
+      collection: "Collecte",
+      sharing: "Partage / vente",
+      retention: "Conservation",
+      user_rights: "Droits",
+      security: "Sécurité",
+      children: "Enfants",
+      tracking: "Pistage / pub",
+      jurisdiction: "Juridiction",
+    },
+    errorCodes: {
+      NO_API_KEY: "Aucune clé API. Ajoutez-en une dans les options de l'extension.",
+      INVALID_CONFIG: "Le fournisseur d'IA n'est pas entièrement configuré. Vérifiez l'URL de base dans les options.",
+      INVALID_KEY: "La clé API a été refusée. Vérifiez-la dans les options de l'extension.",
+      QUOTA_EXCEEDED: "Votre compte fournisseur n'a plus de crédits ou de quota. Vérifiez la facturation auprès du fournisseur.",
+      RATE_LIMITED: "Le fournisseur limite les requêtes. Patientez une minute puis réessayez.",
+      MODEL_NOT_FOUND: "Le modèle sélectionné n'est pas disponible. Choisissez-en un autre dans les options.",
+      CONTEXT_TOO_LONG: "La politique est trop longue pour ce modèle. Essayez un modèle avec un contexte plus large.",
+      TIMEOUT: "Le fournisseur a mis trop de temps à répondre. Réessayez plus tard.",
+      NETWORK: "Impossible de joindre le fournisseur d'IA. Vérifiez votre connexion.",
+      FETCH_FAILED: "Impossible de télécharger la page de la politique.",
+      PROVIDER_ERROR: "Le fournisseur d'IA a renvoyé une erreur. Réessayez plus tard.",
+      FAILED: "Impossible de résumer la politique.",
+      CANCELLED: "Résumé annulé. Rien n'a été envoyé au fournisseur d'IA.",
+      BUDGET_EXCEEDED: "Le budget de ce mois pour le fournisseur sélectionné est épuisé. Augmentez le plafond dans les options ou attendez le mois prochain.",
+      NO_SUMMARY: "Résumez d'abord cette politique.",
+      HIGHLIGHT_FAILED: "Impossible de surligner la page de la politique. Rechargez-la et réessayez.",
+      VERSION_NOT_FOUND: "Cette version n'est plus enregistrée.",
+      UNSUPPORTED_TYPE: "Le type de fichier de cette politique ne peut pas être lu. Pris en charge : pages web, PDF, texte brut et Markdown.",
+      PDF_NO_TEXT: "Ce PDF ne contient pas de texte lisible (il est peut-être numérisé ou protégé par un mot de passe).",
+      PAGE_UNAVAILABLE: "Impossible de lire cet onglet. Rechargez la page et réessayez (les pages du navigateur ne sont pas prises en charge).",
+      PAGE_NO_TEXT: "La page ne contient aucun texte à résumer.",
+    },
+    budget: {
+      title: "Budget mensuel",
+      help: "Plafonds par fournisseur pour le mois civil en cours. Laissez vide pour aucune limite ; les résumés sont refusés dès qu'un plafond est atteint.",
+      provider: "Fournisseur",
+      maxTokens: "Jetons max.",
+      maxCost: "Coût max. (USD)",
+      spent: "Dépensé ce mois-ci",
+    },
+    usage: {
+      title: "Utilisation ce mois-ci",
+      total: "{requests} requêtes · {tokens} jetons · {cost}",
+      byDay: "Par jour",
+      byDomain: "Par domaine",
+      byModel: "Par modèle",
+      day: "Jour",
+      domain: "Domaine",
+      model: "Modèle",
+      requests: "Requêtes",
+      tokens: "Jetons",
+      cost: "Coût",
+      empty: "Aucune utilisation enregistrée pour l'instant.",
+    },
+    prompt: {
+      title: "Modèle d'instructions",
+      help: "Instructions envoyées à l'IA avec chaque politique. Variables disponibles : {variables}. Le format de sortie JSON est ajouté automatiquement et n'est pas modifiable.",
+      version: "Version active : {version}",
+      preview: "Aperçu",
+      reset: "Rétablir par défaut",
+    },
+    ask: {
+      placeholder: "Posez une question sur cette politique",
+      send: "Envoyer",
+      clear: "Effacer",
+      noPolicy: "Aucune politique détectée sur cette page",
+      empty: "Demandez par exemple : « Puis-je supprimer les données de mon compte ? »",
+      thinking: "Lecture de la politique…",
+    },
+    consensus: {
+      title: "Mode consensus",
+      enable: "Interroger plusieurs modèles et fusionner leurs analyses",
+      help: "Le modèle ci-dessus est toujours interrogé ; cochez les modèles supplémentaires avec lesquels le comparer. Le fournisseur principal utilise la clé API ci-dessus. Chaque modèle supplémentaire ajoute son propre coût.",
+      include: "Utiliser",
+      model: "Modèle",
+      apiKey: "Clé API",
+      queryingModel: "Interrogation du modèle {current} sur {total} ({model})…",
+      mergingModels: "Fusion des analyses des modèles…",
+      estimateModels: "{count} modèles",
+      summary: "Consensus de {count} modèles · accord : {agreement} (écart de score jusqu'à {spread})",
+      singleModel: "Un seul modèle a répondu ; pas de consensus",
+      agreement_high: "élevé",
+      agreement_medium: "moyen",
+      agreement_low: "faible",
+      supportedBy: "{count}/{total} modèles",
+    },
+    heuristics: {
+      title: "Vérification rapide (sans IA)",
+      score: "Score provisoire : {score}/10",
+      noMatches: "Aucun motif connu trouvé.",
+      provisional: "Basé sur des règles de mots-clés ; le résumé de l'IA le remplacera.",
+      noProvider: "Résultat par mots-clés uniquement. Ajoutez une clé API dans les paramètres pour un résumé IA complet.",
+      flag_sale_of_data: "Mentionne la vente de données personnelles",
+      flag_no_sale: "Indique que les données ne sont pas vendues",
+      flag_third_party_ads: "Publicité ciblée ou de tiers",
+      flag_indefinite_retention: "Les données peuvent être conservées indéfiniment",
+      flag_arbitration: "Clause d'arbitrage ou de renonciation aux actions collectives",
+      flag_children_data: "Collecte des données d'enfants",
+      flag_children_excluded: "Indique ne pas collecter de données d'enfants",
+      flag_cross_border: "Transfère des données vers d'autres pays",
+      flag_opt_out: "Permet de s'opposer ou de retirer son consentement",
+    },
+    highlight: {
+      button: "Surligner sur la page",
+      buttonHelp: "Marque les passages cités sur la page de la politique",
+      found: "{found} constats sur {total} surlignés sur la page.",
+      noneFound: "Aucun des passages cités n'a été trouvé sur la page.",
+      previous: "Surlignage précédent",
+      next: "Surlignage suivant",
+      clear: "Effacer les surlignages",
+      counter: "{current} sur {total}",
+      severity_high: "Élevée",
+      severity_medium: "Moyenne",
+      severity_low: "Faible",
+    },
+    watch: {
+      title: "Politiques surveillées",
+      intervalLabel: "Vérifier les politiques surveillées toutes les :",
+      interval6: "6 heures",
+      interval12: "12 heures",
+      interval24: "Jour",
+      interval168: "Semaine",
+      help: "Surveillez une politique avec le bouton cloche de l'historique. Vous recevez une notification quand son texte change.",
+      autoResummarize: "Résumer à nouveau automatiquement les politiques modifiées",
+      autoResummarizeHelp: "S'exécute sans demander de confirmation de coût ; les budgets mensuels s'appliquent toujours.",
+      watch: "Surveiller les modifications de cette politique",
+      unwatch: "Ne plus surveiller cette politique",
+      watched: "Vous serez averti quand cette politique changera.",
+      unwatched: "Politique plus surveillée.",
+      changedBadge: "Modifiée",
+      changedHelp: "Le texte de la politique a changé après ce résumé. Résumez-la à nouveau pour le mettre à jour.",
+      changedTitle: "La politique de confidentialité a changé",
+      changedMessage: "La politique de {domain} a été mise à jour. Cliquez pour l'ouvrir.",
+      resummarizedMessage: "La politique de {domain} a été mise à jour et résumée à nouveau (score {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Comparer les versions ({count} enregistrées)",
+      title: "Versions de {domain}",
+      back: "Retour",
+      from: "Antérieure",
+      to: "Ultérieure",
+      compare: "Expliquer les changements",
+      comparing: "Comparaison des versions…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · non résumée",
+      stats: "{added} phrases ajoutées, {removed} supprimées",
+      noChanges: "Aucune modification du texte entre ces versions.",
+      skipped: "{count} phrases inchangées",
+      verdict_worse: "Moins favorable",
+      verdict_better: "Plus favorable",
+      verdict_mixed: "Mitigé",
+      verdict_neutral: "Sans impact réel",
+      verdict_unchanged: "Inchangée",
+    },
+    subpolicies: {
+      title: "Politiques associées trouvées",
+      help: "Choisissez celles à inclure dans un résumé combiné.",
+      include: "Résumer la sélection",
+      mainOnly: "Politique principale uniquement",
+      fetching: "Récupération de la politique associée {current} sur {total}...",
+      kind_cookies: "Cookies",
+      kind_processing: "Traitement des données",
+      kind_regional: "Régional",
+      kind_children: "Enfants",
+      sourcesTitle: "Sources",
+      mainSource: "politique principale",
+      findingSource: "Source : {title}",
     },
   },
   pt: {
@@ -329,6 +965,7 @@ const locales = {
       summary: "Resumo",
       history: "Histórico",
       settings: "Configurações",
+      ask: "Perguntar",
     },
     buttons: {
       summarize: "Resumir política",
@@ -355,6 +992,17 @@ const locales = {
         summarizing: "Resumindo...",
         ok: "OK",
         cancel: "Cancelar",
+      providerCustom: "Compatível com OpenAI (personalizado)",
+      baseUrlLabel: "URL base:",
+      baseUrlHelp: "Endereço do servidor. Gateways personalizados: a raiz da API (/chat/completions é acrescentado). Ollama: padrão http://localhost:11434",
+      authHeaderLabel: "Cabeçalho de autenticação:",
+      authHeaderHelp: "Cabeçalho que leva a chave API. Authorization envia \"Bearer <chave>\"",
+      apiKeyOptionalHelp: "Opcional: deixe vazio se o seu gateway não exigir chave",
+      providerOllama: "Ollama (local)",
+      ollamaHelp: "Não precisa de chave. Inicie o Ollama com OLLAMA_ORIGINS=chrome-extension://* para que a extensão consiga acessá-lo",
+      costThresholdLabel: "Confirmar acima de (USD):",
+      costThresholdHelp: "Perguntar antes de enviar uma política cujo custo estimado exceda este valor (0 = sempre perguntar)",
+      summarizePage: "Resumir esta página como está exibida",
       },
     language: {
       autodetect: "Detecção automática",
@@ -385,11 +1033,30 @@ const locales = {
         tosdrLoadError: "Erro ao carregar detalhes do ToS;DR",
         scoreNotAvailable: "Pontuação indisponível",
         scoreExplanationNotAvailable: "Explicação da pontuação indisponível",
+        analyzingChunk: "Lendo a parte {current} de {total}...",
+        mergingChunks: "Juntando as peças...",
+      findingsTitle: "Principais constatações",
+      showQuote: "Ver citação da política",
+      quoteVerified: "Citação encontrada na política",
+      quoteUnverified: "Não verificado",
+      categoryBreakdown: "Detalhamento",
+      notAddressed: "Não abordado na política",
+      retrying: "Provedor ocupado, tentando novamente ({current}/{total})...",
+      repairing: "Corrigindo o formato da resposta do modelo...",
+      lowConfidence: "Confiança baixa: o modelo não retornou uma resposta estruturada, então esta pontuação foi estimada e pode estar imprecisa.",
+      estimateCost: "Custo estimado: até {cost} (~{tokens} tokens)",
+      estimateUnknownCost: "~{tokens} tokens (sem preço conhecido para este modelo)",
+      pageHint: "Lê a aba aberta em vez de baixar a política. Selecione um texto antes para resumir apenas esse trecho.",
+      readingPage: "Lendo a página…",
+      scopePage: "Resumido a partir da página como exibida na sua aba.",
+      scopeSelection: "Resumido apenas a partir do texto selecionado. Resumos de seleções não são salvos.",
     },
     history: {
       emptyTitle: "Ainda não há histórico",
       emptySubtitle: "Os resumos aparecerão aqui — pra você não ler depois",
       scoreBadge: "Pontuação: {score}/10",
+      olderPrompt: "instruções {version}",
+      olderPromptHelp: "Gerado com um modelo de instruções diferente do ativo",
     },
     alerts: {
       apiKeyRequired: "A chave da API é obrigatória",
@@ -402,6 +1069,15 @@ const locales = {
       errorOccurred: "Ocorreu um erro ao resumir",
       temperatureRange: "A temperatura deve estar entre 0 e 2",
       maxTokensRange: "O máximo de tokens deve estar entre 100 e 4000",
+      baseUrlInvalid: "Informe uma URL base http(s) válida",
+      modelRequired: "Informe o nome do modelo",
+      hostPermissionDenied: "O acesso a esse servidor não foi concedido",
+      ollamaUnreachable: "Não foi possível acessar o Ollama para listar modelos",
+      costThresholdInvalid: "O limite de custo deve ser um número igual ou maior que 0",
+      budgetInvalid: "Os limites de orçamento devem ser números iguais ou maiores que 0",
+      promptEmpty: "O modelo de instruções não pode estar vazio",
+      promptReset: "Modelo de instruções restaurado para o padrão",
+      consensusNoModels: "Selecione pelo menos um modelo adicional para o modo consenso",
     },
     error: {
       title: "Ocorreu um erro",
@@ -411,6 +1087,8 @@ const locales = {
     },
     confirm: {
       clearAll: "Tem certeza de que deseja apagar todos os resumos?",
+      costAboveThreshold: "{estimate}. Isso está acima do seu limite de confirmação. Enviar a política mesmo assim?",
+      clearChat: "Limpar esta conversa?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — eu leio por você",
@@ -419,6 +1097,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://exemplo.com/politica",
       apiKeyPlaceholder: "Digite sua chave API",
+      modelPlaceholder: "ex.: llama3.1:8b",
+    },
+    categories: {
+      collection: "Coleta",
+      sharing: "Compartilhamento / venda",
+      retention: "Retenção",
+      user_rights: "Direitos",
+      security: "Segurança",
+      children: "Crianças",
+      tracking: "Rastreamento / anúncios",
+      jurisdiction: "Jurisdição",
+    },
+    errorCodes: {
+      NO_API_KEY: "Nenhuma chave de API definida. Adicione uma nas opções da extensão.",
+      INVALID_CONFIG: "O provedor de IA não está totalmente configurado. Verifique a URL base nas opções.",
+      INVALID_KEY: "A chave de API foi rejeitada. Verifique-a nas opções da extensão.",
+      QUOTA_EXCEEDED: "Sua conta do provedor está sem créditos ou cota. Verifique o faturamento com o provedor.",
+      RATE_LIMITED: "O provedor está limitando as solicitações. Aguarde um minuto e tente novamente.",
+      MODEL_NOT_FOUND: "O modelo selecionado não está disponível. Escolha outro nas opções.",
+      CONTEXT_TOO_LONG: "A política é longa demais para este modelo. Tente um modelo com mais contexto.",
+      TIMEOUT: "O provedor demorou demais para responder. Tente mais tarde.",
+      NETWORK: "Não foi possível contatar o provedor de IA. Verifique sua conexão.",
+      FETCH_FAILED: "Não foi possível baixar a página da política.",
+      PROVIDER_ERROR: "O provedor de IA retornou um erro. Tente mais tarde.",
+      FAILED: "Não foi possível resumir a política.",
+      CANCELLED: "Resumo cancelado. Nada foi enviado ao provedor de IA.",
+      BUDGET_EXCEEDED: "O orçamento deste mês para o provedor selecionado acabou. Aumente o limite nas opções ou aguarde o próximo mês.",
+      NO_SUMMARY: "Resuma esta política primeiro.",
+      HIGHLIGHT_FAILED: "Não foi possível destacar a página da política. Recarregue-a e tente novamente.",
+      VERSION_NOT_FOUND: "Esta versão já não está guardada.",
+      UNSUPPORTED_TYPE: "Não é possível ler o tipo de arquivo desta política. Compatíveis: páginas web, PDF, texto simples e Markdown.",
+      PDF_NO_TEXT: "Este PDF não tem texto legível (pode estar digitalizado ou protegido por senha).",
+      PAGE_UNAVAILABLE: "Não é possível ler esta aba. Recarregue a página e tente novamente (páginas do navegador não são compatíveis).",
+      PAGE_NO_TEXT: "A página não tem texto para resumir.",
+    },
+    budget: {
+      title: "Orçamento mensal",
+      help: "Limites por provedor para o mês corrente. Deixe vazio para não limitar; os resumos são recusados quando um limite é atingido.",
+      provider: "Provedor",
+      maxTokens: "Tokens máx.",
+      maxCost: "Custo máx. (USD)",
+      spent: "Gasto este mês",
+    },
+    usage: {
+      title: "Uso deste mês",
+      total: "{requests} solicitações · {tokens} tokens · {cost}",
+      byDay: "Por dia",
+      byDomain: "Por domínio",
+      byModel: "Por modelo",
+      day: "Dia",
+      domain: "Domínio",
+      model: "Modelo",
+      requests: "Solicitações",
+      tokens: "Tokens",
+      cost: "Custo",
+      empty: "Nenhum uso registrado ainda.",
+    },
+    prompt: {
+      title: "Modelo de instruções",
+      help: "Instruções enviadas à IA com cada política. Variáveis disponíveis: {variables}. O formato de saída JSON é adicionado automaticamente e não pode ser editado.",
+      version: "Versão ativa: {version}",
+      preview: "Pré-visualizar",
+      reset: "Restaurar padrão",
+    },
+    ask: {
+      placeholder: "Pergunte algo sobre esta política",
+      send: "Enviar",
+      clear: "Limpar",
+      noPolicy: "Nenhuma política detectada nesta página",
+      empty: "Pergunte, por exemplo: \"Posso apagar os dados da minha conta?\"",
+      thinking: "Lendo a política…",
+    },
+    consensus: {
+      title: "Modo consenso",
+      enable: "Consultar vários modelos e combinar as suas análises",
+      help: "O modelo acima é sempre consultado; marque os modelos adicionais com que o comparar. O fornecedor principal usa a chave de API acima. Cada modelo adicional acrescenta o seu próprio custo.",
+      include: "Usar",
+      model: "Modelo",
+      apiKey: "Chave de API",
+      queryingModel: "A consultar o modelo {current} de {total} ({model})…",
+      mergingModels: "A combinar as análises dos modelos…",
+      estimateModels: "{count} modelos",
+      summary: "Consenso de {count} modelos · concordância: {agreement} (as pontuações diferem até {spread})",
+      singleModel: "Apenas um modelo respondeu; sem consenso",
+      agreement_high: "alta",
+      agreement_medium: "média",
+      agreement_low: "baixa",
+      supportedBy: "{count}/{total} modelos",
+    },
+    heuristics: {
+      title: "Verificação rápida (sem IA)",
+      score: "Pontuação provisória: {score}/10",
+      noMatches: "Nenhum padrão conhecido encontrado.",
+      provisional: "Baseado em regras de palavras-chave; o resumo da IA vai substituí-lo.",
+      noProvider: "Apenas resultado por palavras-chave. Adicione uma chave de API nas Definições para um resumo completo com IA.",
+      flag_sale_of_data: "Menciona a venda de dados pessoais",
+      flag_no_sale: "Indica que os dados não são vendidos",
+      flag_third_party_ads: "Publicidade personalizada ou de terceiros",
+      flag_indefinite_retention: "Os dados podem ser guardados indefinidamente",
+      flag_arbitration: "Cláusula de arbitragem ou renúncia a ações coletivas",
+      flag_children_data: "Recolhe dados de crianças",
+      flag_children_excluded: "Indica que não recolhe dados de crianças",
+      flag_cross_border: "Transfere dados para outros países",
+      flag_opt_out: "Permite opor-se ou retirar o consentimento",
+    },
+    highlight: {
+      button: "Destacar na página",
+      buttonHelp: "Marca as passagens citadas na página da política",
+      found: "{found} de {total} constatações destacadas na página.",
+      noneFound: "Nenhuma das passagens citadas foi encontrada na página.",
+      previous: "Destaque anterior",
+      next: "Próximo destaque",
+      clear: "Limpar destaques",
+      counter: "{current} de {total}",
+      severity_high: "Alta",
+      severity_medium: "Média",
+      severity_low: "Baixa",
+    },
+    watch: {
+      title: "Políticas monitorizadas",
+      intervalLabel: "Verificar as políticas monitorizadas a cada:",
+      interval6: "6 horas",
+      interval12: "12 horas",
+      interval24: "Dia",
+      interval168: "Semana",
+      help: "Monitorize uma política com o botão de sino no histórico. Receberá uma notificação quando o texto mudar.",
+      autoResummarize: "Resumir novamente as políticas alteradas automaticamente",
+      autoResummarizeHelp: "Executa sem pedir confirmação de custo; os orçamentos mensais continuam a aplicar-se.",
+      watch: "Monitorizar alterações nesta política",
+      unwatch: "Deixar de monitorizar esta política",
+      watched: "Será notificado quando esta política mudar.",
+      unwatched: "A política já não é monitorizada.",
+      changedBadge: "Alterada",
+      changedHelp: "O texto da política mudou depois deste resumo. Resuma-a novamente para o atualizar.",
+      changedTitle: "A política de privacidade mudou",
+      changedMessage: "A política de {domain} foi atualizada. Clique para a abrir.",
+      resummarizedMessage: "A política de {domain} foi atualizada e resumida novamente (pontuação {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Comparar versões ({count} guardadas)",
+      title: "Versões de {domain}",
+      back: "Voltar",
+      from: "Anterior",
+      to: "Posterior",
+      compare: "Explicar as alterações",
+      comparing: "A comparar versões…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · não resumida",
+      stats: "{added} frases adicionadas, {removed} removidas",
+      noChanges: "Não há alterações de texto entre estas versões.",
+      skipped: "{count} frases sem alterações",
+      verdict_worse: "Pior para si",
+      verdict_better: "Melhor para si",
+      verdict_mixed: "Misto",
+      verdict_neutral: "Sem impacto real",
+      verdict_unchanged: "Sem alterações",
+    },
+    subpolicies: {
+      title: "Políticas relacionadas encontradas",
+      help: "Escolha quais incluir em um único resumo combinado.",
+      include: "Resumir selecionadas",
+      mainOnly: "Apenas a política principal",
+      fetching: "Obtendo política relacionada {current} de {total}...",
+      kind_cookies: "Cookies",
+      kind_processing: "Tratamento de dados",
+      kind_regional: "Regional",
+      kind_children: "Crianças",
+      sourcesTitle: "Fontes",
+      mainSource: "política principal",
+      findingSource: "De: {title}",
     },
   },
   de: {
@@ -432,6 +1280,7 @@ const locales = {
       summary: "Zusammenfassung",
       history: "Verlauf",
       settings: "Einstellungen",
+      ask: "Fragen",
     },
     buttons: {
       summarize: "Richtlinie zusammenfassen",
@@ -458,6 +1307,17 @@ const locales = {
         summarizing: "Wird zusammengefasst...",
         ok: "OK",
         cancel: "Abbrechen",
+      providerCustom: "OpenAI-kompatibel (benutzerdefiniert)",
+      baseUrlLabel: "Basis-URL:",
+      baseUrlHelp: "Serveradresse. Eigene Gateways: der API-Stamm (/chat/completions wird angehängt). Ollama: standardmäßig http://localhost:11434",
+      authHeaderLabel: "Auth-Header:",
+      authHeaderHelp: "Header, der den API-Schlüssel trägt. Authorization sendet \"Bearer <Schlüssel>\"",
+      apiKeyOptionalHelp: "Optional: leer lassen, wenn dein Gateway keinen Schlüssel braucht",
+      providerOllama: "Ollama (lokal)",
+      ollamaHelp: "Kein Schlüssel nötig. Starte Ollama mit OLLAMA_ORIGINS=chrome-extension://*, damit die Erweiterung es erreicht",
+      costThresholdLabel: "Bestätigen ab Kosten (USD):",
+      costThresholdHelp: "Vor dem Senden einer Richtlinie nachfragen, deren geschätzte Kosten diesen Betrag übersteigen (0 = immer fragen)",
+      summarizePage: "Diese Seite wie angezeigt zusammenfassen",
       },
     language: {
       autodetect: "Automatisch erkennen",
@@ -488,11 +1348,30 @@ const locales = {
         tosdrLoadError: "Fehler beim Laden der ToS;DR-Details",
         scoreNotAvailable: "Punktzahl nicht verfügbar",
         scoreExplanationNotAvailable: "Erklärung der Punktzahl nicht verfügbar",
+        analyzingChunk: "Lese Teil {current} von {total}...",
+        mergingChunks: "Füge die Teile zusammen...",
+      findingsTitle: "Wichtigste Erkenntnisse",
+      showQuote: "Originalzitat anzeigen",
+      quoteVerified: "Zitat in der Richtlinie gefunden",
+      quoteUnverified: "Nicht belegt",
+      categoryBreakdown: "Aufschlüsselung",
+      notAddressed: "In der Richtlinie nicht behandelt",
+      retrying: "Anbieter ausgelastet, neuer Versuch ({current}/{total})...",
+      repairing: "Antwortformat des Modells wird korrigiert...",
+      lowConfidence: "Geringe Zuverlässigkeit: Das Modell hat keine strukturierte Antwort geliefert, daher ist diese Bewertung geschätzt und möglicherweise ungenau.",
+      estimateCost: "Geschätzte Kosten: bis zu {cost} (~{tokens} Tokens)",
+      estimateUnknownCost: "~{tokens} Tokens (keine Preise für dieses Modell bekannt)",
+      pageHint: "Liest den geöffneten Tab, statt die Richtlinie herunterzuladen. Markieren Sie vorher Text, um nur diese Passage zusammenzufassen.",
+      readingPage: "Seite wird gelesen…",
+      scopePage: "Aus der Seite zusammengefasst, wie sie in Ihrem Tab angezeigt wird.",
+      scopeSelection: "Nur aus dem markierten Text zusammengefasst. Zusammenfassungen von Auswahlen werden nicht gespeichert.",
     },
     history: {
       emptyTitle: "Noch kein Verlauf",
       emptySubtitle: "Zusammenfassungen erscheinen hier — damit Sie später nicht lesen müssen",
       scoreBadge: "Punktzahl: {score}/10",
+      olderPrompt: "Prompt {version}",
+      olderPromptHelp: "Mit einer anderen als der aktiven Prompt-Vorlage erstellt",
     },
     alerts: {
       apiKeyRequired: "API-Schlüssel ist erforderlich",
@@ -505,6 +1384,15 @@ const locales = {
       errorOccurred: "Beim Zusammenfassen ist ein Fehler aufgetreten",
       temperatureRange: "Die Temperatur muss zwischen 0 und 2 liegen",
       maxTokensRange: "Die maximale Tokenzahl muss zwischen 100 und 4000 liegen",
+      baseUrlInvalid: "Gib eine gültige http(s)-Basis-URL ein",
+      modelRequired: "Gib einen Modellnamen ein",
+      hostPermissionDenied: "Zugriff auf diesen Server wurde nicht erteilt",
+      ollamaUnreachable: "Ollama konnte zum Auflisten der Modelle nicht erreicht werden",
+      costThresholdInvalid: "Die Kostenschwelle muss eine Zahl ab 0 sein",
+      budgetInvalid: "Budgetgrenzen müssen Zahlen ab 0 sein",
+      promptEmpty: "Die Prompt-Vorlage darf nicht leer sein",
+      promptReset: "Prompt-Vorlage auf Standard zurückgesetzt",
+      consensusNoModels: "Wähle mindestens ein zusätzliches Modell für den Konsensmodus",
     },
     error: {
       title: "Ein Fehler ist aufgetreten",
@@ -514,6 +1402,8 @@ const locales = {
     },
     confirm: {
       clearAll: "Möchten Sie wirklich alle Zusammenfassungen löschen?",
+      costAboveThreshold: "{estimate}. Das liegt über deiner Bestätigungsschwelle. Richtlinie trotzdem senden?",
+      clearChat: "Diesen Verlauf löschen?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — ich lese es für Sie",
@@ -522,6 +1412,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://beispiel.de/richtlinie",
       apiKeyPlaceholder: "Geben Sie Ihren API-Schlüssel ein",
+      modelPlaceholder: "z. B. llama3.1:8b",
+    },
+    categories: {
+      collection: "Erhebung",
+      sharing: "Weitergabe / Verkauf",
+      retention: "Speicherdauer",
+      user_rights: "Nutzerrechte",
+      security: "Sicherheit",
+      children: "Kinder",
+      tracking: "Tracking / Werbung",
+      jurisdiction: "Rechtsraum",
+    },
+    errorCodes: {
+      NO_API_KEY: "Kein API-Schlüssel gesetzt. Füge einen in den Erweiterungsoptionen hinzu.",
+      INVALID_CONFIG: "Der KI-Anbieter ist nicht vollständig eingerichtet. Prüfe die Basis-URL in den Optionen.",
+      INVALID_KEY: "Der API-Schlüssel wurde abgelehnt. Prüfe ihn in den Erweiterungsoptionen.",
+      QUOTA_EXCEEDED: "Dein Anbieterkonto hat kein Guthaben oder Kontingent mehr. Prüfe die Abrechnung beim Anbieter.",
+      RATE_LIMITED: "Der Anbieter drosselt Anfragen. Warte eine Minute und versuche es erneut.",
+      MODEL_NOT_FOUND: "Das gewählte Modell ist nicht verfügbar. Wähle in den Optionen ein anderes.",
+      CONTEXT_TOO_LONG: "Die Richtlinie ist zu lang für dieses Modell. Versuche ein Modell mit größerem Kontextfenster.",
+      TIMEOUT: "Der Anbieter hat zu lange gebraucht. Versuche es später erneut.",
+      NETWORK: "Der KI-Anbieter ist nicht erreichbar. Prüfe deine Verbindung.",
+      FETCH_FAILED: "Die Richtlinienseite konnte nicht geladen werden.",
+      PROVIDER_ERROR: "Der KI-Anbieter hat einen Fehler gemeldet. Versuche es später erneut.",
+      FAILED: "Die Richtlinie konnte nicht zusammengefasst werden.",
+      CANCELLED: "Zusammenfassung abgebrochen. Es wurde nichts an den KI-Anbieter gesendet.",
+      BUDGET_EXCEEDED: "Das Monatsbudget für den gewählten Anbieter ist aufgebraucht. Erhöhe die Grenze in den Optionen oder warte bis zum nächsten Monat.",
+      NO_SUMMARY: "Fasse diese Richtlinie zuerst zusammen.",
+      HIGHLIGHT_FAILED: "Die Richtlinienseite konnte nicht markiert werden. Lade sie neu und versuche es erneut.",
+      VERSION_NOT_FOUND: "Diese Version ist nicht mehr gespeichert.",
+      UNSUPPORTED_TYPE: "Der Dateityp dieser Richtlinie kann nicht gelesen werden. Unterstützt: Webseiten, PDF, reiner Text und Markdown.",
+      PDF_NO_TEXT: "Dieses PDF enthält keinen lesbaren Text (es ist möglicherweise gescannt oder passwortgeschützt).",
+      PAGE_UNAVAILABLE: "Dieser Tab kann nicht gelesen werden. Laden Sie die Seite neu und versuchen Sie es erneut (Browserseiten werden nicht unterstützt).",
+      PAGE_NO_TEXT: "Die Seite enthält keinen Text zum Zusammenfassen.",
+    },
+    budget: {
+      title: "Monatsbudget",
+      help: "Obergrenzen pro Anbieter für den laufenden Kalendermonat. Leer lassen für kein Limit; sobald eine Grenze erreicht ist, werden Zusammenfassungen abgelehnt.",
+      provider: "Anbieter",
+      maxTokens: "Max. Tokens",
+      maxCost: "Max. Kosten (USD)",
+      spent: "Diesen Monat verbraucht",
+    },
+    usage: {
+      title: "Nutzung diesen Monat",
+      total: "{requests} Anfragen · {tokens} Tokens · {cost}",
+      byDay: "Pro Tag",
+      byDomain: "Pro Domain",
+      byModel: "Pro Modell",
+      day: "Tag",
+      domain: "Domain",
+      model: "Modell",
+      requests: "Anfragen",
+      tokens: "Tokens",
+      cost: "Kosten",
+      empty: "Noch keine Nutzung erfasst.",
+    },
+    prompt: {
+      title: "Prompt-Vorlage",
+      help: "Anweisungen, die mit jeder Richtlinie an die KI gesendet werden. Verfügbare Variablen: {variables}. Das JSON-Ausgabeformat wird automatisch angehängt und ist nicht bearbeitbar.",
+      version: "Aktive Version: {version}",
+      preview: "Vorschau",
+      reset: "Auf Standard zurücksetzen",
+    },
+    ask: {
+      placeholder: "Stelle eine Frage zu dieser Richtlinie",
+      send: "Senden",
+      clear: "Löschen",
+      noPolicy: "Auf dieser Seite wurde keine Richtlinie erkannt",
+      empty: "Frage zum Beispiel: „Kann ich meine Kontodaten löschen?“",
+      thinking: "Richtlinie wird gelesen…",
+    },
+    consensus: {
+      title: "Konsensmodus",
+      enable: "Mehrere Modelle befragen und ihre Analysen zusammenführen",
+      help: "Das obige Modell wird immer befragt; wähle die zusätzlichen Modelle zum Vergleich aus. Der Hauptanbieter verwendet den obigen API-Schlüssel. Jedes zusätzliche Modell verursacht eigene Kosten.",
+      include: "Nutzen",
+      model: "Modell",
+      apiKey: "API-Schlüssel",
+      queryingModel: "Modell {current} von {total} wird befragt ({model})…",
+      mergingModels: "Analysen der Modelle werden zusammengeführt…",
+      estimateModels: "{count} Modelle",
+      summary: "Konsens aus {count} Modellen · Übereinstimmung: {agreement} (Bewertungen weichen um bis zu {spread} ab)",
+      singleModel: "Nur ein Modell hat geantwortet; kein Konsens",
+      agreement_high: "hoch",
+      agreement_medium: "mittel",
+      agreement_low: "niedrig",
+      supportedBy: "{count}/{total} Modelle",
+    },
+    heuristics: {
+      title: "Schnellprüfung (ohne KI)",
+      score: "Vorläufige Bewertung: {score}/10",
+      noMatches: "Keine bekannten Muster gefunden.",
+      provisional: "Beruht auf Stichwortregeln; die KI-Zusammenfassung ersetzt sie.",
+      noProvider: "Nur stichwortbasiertes Ergebnis. Füge in den Einstellungen einen API-Schlüssel hinzu, um eine vollständige KI-Zusammenfassung zu erhalten.",
+      flag_sale_of_data: "Erwähnt den Verkauf personenbezogener Daten",
+      flag_no_sale: "Gibt an, dass Daten nicht verkauft werden",
+      flag_third_party_ads: "Personalisierte Werbung oder Werbung Dritter",
+      flag_indefinite_retention: "Daten können unbegrenzt gespeichert werden",
+      flag_arbitration: "Schiedsklausel oder Verzicht auf Sammelklagen",
+      flag_children_data: "Erhebt Daten von Kindern",
+      flag_children_excluded: "Gibt an, keine Daten von Kindern zu erheben",
+      flag_cross_border: "Übermittelt Daten in andere Länder",
+      flag_opt_out: "Bietet Widerspruch oder Widerruf der Einwilligung",
+    },
+    highlight: {
+      button: "Auf der Seite markieren",
+      buttonHelp: "Markiert die zitierten Stellen auf der Richtlinienseite",
+      found: "{found} von {total} Befunden auf der Seite markiert.",
+      noneFound: "Keine der zitierten Stellen wurde auf der Seite gefunden.",
+      previous: "Vorherige Markierung",
+      next: "Nächste Markierung",
+      clear: "Markierungen entfernen",
+      counter: "{current} von {total}",
+      severity_high: "Hoch",
+      severity_medium: "Mittel",
+      severity_low: "Niedrig",
+    },
+    watch: {
+      title: "Beobachtete Richtlinien",
+      intervalLabel: "Beobachtete Richtlinien prüfen alle:",
+      interval6: "6 Stunden",
+      interval12: "12 Stunden",
+      interval24: "Tag",
+      interval168: "Woche",
+      help: "Beobachte eine Richtlinie mit der Glocke im Verlauf. Du wirst benachrichtigt, wenn sich ihr Text ändert.",
+      autoResummarize: "Geänderte Richtlinien automatisch neu zusammenfassen",
+      autoResummarizeHelp: "Läuft ohne Kostenbestätigung; monatliche Budgets gelten weiterhin.",
+      watch: "Diese Richtlinie auf Änderungen beobachten",
+      unwatch: "Diese Richtlinie nicht mehr beobachten",
+      watched: "Du wirst benachrichtigt, wenn sich diese Richtlinie ändert.",
+      unwatched: "Richtlinie wird nicht mehr beobachtet.",
+      changedBadge: "Geändert",
+      changedHelp: "Der Richtlinientext hat sich nach dieser Zusammenfassung geändert. Fasse ihn erneut zusammen, um sie zu aktualisieren.",
+      changedTitle: "Datenschutzrichtlinie geändert",
+      changedMessage: "Die Richtlinie von {domain} wurde aktualisiert. Klicke, um sie zu öffnen.",
+      resummarizedMessage: "Die Richtlinie von {domain} wurde aktualisiert und neu zusammengefasst (Bewertung {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Versionen vergleichen ({count} gespeichert)",
+      title: "Versionen von {domain}",
+      back: "Zurück",
+      from: "Früher",
+      to: "Später",
+      compare: "Änderungen erklären",
+      comparing: "Versionen werden verglichen…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · nicht zusammengefasst",
+      stats: "{added} Sätze hinzugefügt, {removed} entfernt",
+      noChanges: "Keine Textänderungen zwischen diesen Versionen.",
+      skipped: "{count} unveränderte Sätze",
+      verdict_worse: "Schlechter für dich",
+      verdict_better: "Besser für dich",
+      verdict_mixed: "Gemischt",
+      verdict_neutral: "Keine echte Auswirkung",
+      verdict_unchanged: "Unverändert",
+    },
+    subpolicies: {
+      title: "Zugehörige Richtlinien gefunden",
+      help: "Wähle aus, welche in eine gemeinsame Zusammenfassung einfließen.",
+      include: "Auswahl zusammenfassen",
+      mainOnly: "Nur Hauptrichtlinie",
+      fetching: "Lade zugehörige Richtlinie {current} von {total}...",
+      kind_cookies: "Cookies",
+      kind_processing: "Datenverarbeitung",
+      kind_regional: "Regional",
+      kind_children: "Kinder",
+      sourcesTitle: "Quellen",
+      mainSource: "Hauptrichtlinie",
+      findingSource: "Aus: {title}",
     },
   },
   it: {
@@ -535,6 +1595,7 @@ const locales = {
       summary: "Riepilogo",
       history: "Cronologia",
       settings: "Impostazioni",
+      ask: "Chiedi",
     },
     buttons: {
       summarize: "Riassumi politica",
@@ -561,6 +1622,17 @@ const locales = {
         summarizing: "Riassumendo...",
         ok: "OK",
         cancel: "Annulla",
+      providerCustom: "Compatibile OpenAI (personalizzato)",
+      baseUrlLabel: "URL di base:",
+      baseUrlHelp: "Indirizzo del server. Gateway personalizzati: la radice dell'API (viene aggiunto /chat/completions). Ollama: predefinito http://localhost:11434",
+      authHeaderLabel: "Header di autenticazione:",
+      authHeaderHelp: "Header che contiene la chiave API. Authorization invia \"Bearer <chiave>\"",
+      apiKeyOptionalHelp: "Facoltativa: lasciala vuota se il tuo gateway non richiede una chiave",
+      providerOllama: "Ollama (locale)",
+      ollamaHelp: "Nessuna chiave necessaria. Avvia Ollama con OLLAMA_ORIGINS=chrome-extension://* perché l'estensione possa raggiungerlo",
+      costThresholdLabel: "Conferma oltre il costo (USD):",
+      costThresholdHelp: "Chiedi prima di inviare un'informativa il cui costo stimato supera questo importo (0 = chiedi sempre)",
+      summarizePage: "Riassumi questa pagina così come appare",
       },
     language: {
       autodetect: "Rilevamento automatico",
@@ -591,11 +1663,30 @@ const locales = {
         tosdrLoadError: "Errore nel caricamento dei dettagli ToS;DR",
         scoreNotAvailable: "Punteggio non disponibile",
         scoreExplanationNotAvailable: "Spiegazione del punteggio non disponibile",
+        analyzingChunk: "Leggo la parte {current} di {total}...",
+        mergingChunks: "Metto insieme i pezzi...",
+      findingsTitle: "Risultati principali",
+      showQuote: "Mostra citazione originale",
+      quoteVerified: "Citazione trovata nell'informativa",
+      quoteUnverified: "Non verificato",
+      categoryBreakdown: "Dettaglio",
+      notAddressed: "Non trattato nell'informativa",
+      retrying: "Provider occupato, nuovo tentativo ({current}/{total})...",
+      repairing: "Correzione del formato della risposta del modello...",
+      lowConfidence: "Affidabilità bassa: il modello non ha restituito una risposta strutturata, quindi questo punteggio è stimato e potrebbe essere impreciso.",
+      estimateCost: "Costo stimato: fino a {cost} (~{tokens} token)",
+      estimateUnknownCost: "~{tokens} token (prezzi sconosciuti per questo modello)",
+      pageHint: "Legge la scheda aperta invece di scaricare l'informativa. Seleziona prima del testo per riassumere solo quel passaggio.",
+      readingPage: "Lettura della pagina…",
+      scopePage: "Riassunto della pagina così come appare nella tua scheda.",
+      scopeSelection: "Riassunto solo del testo selezionato. I riassunti delle selezioni non vengono salvati.",
     },
     history: {
       emptyTitle: "Ancora nessuna cronologia",
       emptySubtitle: "I riepiloghi appariranno qui — così non devi leggere dopo",
       scoreBadge: "Punteggio: {score}/10",
+      olderPrompt: "istruzioni {version}",
+      olderPromptHelp: "Generato con un modello di istruzioni diverso da quello attivo",
     },
     alerts: {
       apiKeyRequired: "Chiave API richiesta",
@@ -608,6 +1699,15 @@ const locales = {
       errorOccurred: "Si è verificato un errore durante il riepilogo",
       temperatureRange: "La temperatura deve essere tra 0 e 2",
       maxTokensRange: "Il numero massimo di token deve essere tra 100 e 4000",
+      baseUrlInvalid: "Inserisci un URL di base http(s) valido",
+      modelRequired: "Inserisci il nome del modello",
+      hostPermissionDenied: "L'accesso a quel server non è stato concesso",
+      ollamaUnreachable: "Impossibile raggiungere Ollama per elencare i modelli",
+      costThresholdInvalid: "La soglia di costo deve essere un numero pari o superiore a 0",
+      budgetInvalid: "I limiti di budget devono essere numeri pari o superiori a 0",
+      promptEmpty: "Il modello di istruzioni non può essere vuoto",
+      promptReset: "Modello di istruzioni ripristinato al predefinito",
+      consensusNoModels: "Seleziona almeno un modello aggiuntivo per la modalità consenso",
     },
     error: {
       title: "Si è verificato un errore",
@@ -617,6 +1717,8 @@ const locales = {
     },
     confirm: {
       clearAll: "Sei sicuro di voler cancellare tutti i riepiloghi?",
+      costAboveThreshold: "{estimate}. Supera la tua soglia di conferma. Inviare comunque l'informativa?",
+      clearChat: "Cancellare questa conversazione?",
     },
     options: {
       tagline: "Too Long; Didn’t Read — lo leggo io per te",
@@ -625,6 +1727,176 @@ const locales = {
     inputs: {
       manualUrlPlaceholder: "https://esempio.com/policy",
       apiKeyPlaceholder: "Inserisci la tua chiave API",
+      modelPlaceholder: "es. llama3.1:8b",
+    },
+    categories: {
+      collection: "Raccolta",
+      sharing: "Condivisione / vendita",
+      retention: "Conservazione",
+      user_rights: "Diritti",
+      security: "Sicurezza",
+      children: "Minori",
+      tracking: "Tracciamento / pubblicità",
+      jurisdiction: "Giurisdizione",
+    },
+    errorCodes: {
+      NO_API_KEY: "Nessuna chiave API impostata. Aggiungila nelle opzioni dell'estensione.",
+      INVALID_CONFIG: "Il provider IA non è configurato del tutto. Controlla l'URL di base nelle opzioni.",
+      INVALID_KEY: "La chiave API è stata rifiutata. Controllala nelle opzioni dell'estensione.",
+      QUOTA_EXCEEDED: "Il tuo account del provider ha esaurito crediti o quota. Controlla la fatturazione con il provider.",
+      RATE_LIMITED: "Il provider sta limitando le richieste. Attendi un minuto e riprova.",
+      MODEL_NOT_FOUND: "Il modello selezionato non è disponibile. Scegline un altro nelle opzioni.",
+      CONTEXT_TOO_LONG: "L'informativa è troppo lunga per questo modello. Prova un modello con un contesto più ampio.",
+      TIMEOUT: "Il provider ha impiegato troppo a rispondere. Riprova più tardi.",
+      NETWORK: "Impossibile raggiungere il provider IA. Controlla la connessione.",
+      FETCH_FAILED: "Impossibile scaricare la pagina dell'informativa.",
+      PROVIDER_ERROR: "Il provider IA ha restituito un errore. Riprova più tardi.",
+      FAILED: "Impossibile riassumere l'informativa.",
+      CANCELLED: "Riassunto annullato. Nulla è stato inviato al provider IA.",
+      BUDGET_EXCEEDED: "Il budget di questo mese per il provider selezionato è esaurito. Aumenta il limite nelle opzioni o attendi il mese prossimo.",
+      NO_SUMMARY: "Riassumi prima questa informativa.",
+      HIGHLIGHT_FAILED: "Impossibile evidenziare la pagina dell'informativa. Ricaricala e riprova.",
+      VERSION_NOT_FOUND: "Questa versione non è più salvata.",
+      UNSUPPORTED_TYPE: "Impossibile leggere il tipo di file di questa informativa. Supportati: pagine web, PDF, testo semplice e Markdown.",
+      PDF_NO_TEXT: "Questo PDF non contiene testo leggibile (potrebbe essere scansionato o protetto da password).",
+      PAGE_UNAVAILABLE: "Impossibile leggere questa scheda. Ricarica la pagina e riprova (le pagine del browser non sono supportate).",
+      PAGE_NO_TEXT: "La pagina non contiene testo da riassumere.",
+    },
+    budget: {
+      title: "Budget mensile",
+      help: "Limiti per provider per il mese corrente. Lascia vuoto per nessun limite; i riassunti vengono rifiutati una volta raggiunto un limite.",
+      provider: "Provider",
+      maxTokens: "Token max",
+      maxCost: "Costo max (USD)",
+      spent: "Speso questo mese",
+    },
+    usage: {
+      title: "Utilizzo di questo mese",
+      total: "{requests} richieste · {tokens} token · {cost}",
+      byDay: "Per giorno",
+      byDomain: "Per dominio",
+      byModel: "Per modello",
+      day: "Giorno",
+      domain: "Dominio",
+      model: "Modello",
+      requests: "Richieste",
+      tokens: "Token",
+      cost: "Costo",
+      empty: "Nessun utilizzo registrato finora.",
+    },
+    prompt: {
+      title: "Modello di istruzioni",
+      help: "Istruzioni inviate all'IA con ogni informativa. Variabili disponibili: {variables}. Il formato di output JSON viene aggiunto automaticamente e non è modificabile.",
+      version: "Versione attiva: {version}",
+      preview: "Anteprima",
+      reset: "Ripristina predefinito",
+    },
+    ask: {
+      placeholder: "Fai una domanda su questa informativa",
+      send: "Invia",
+      clear: "Cancella",
+      noPolicy: "Nessuna informativa rilevata in questa pagina",
+      empty: "Chiedi, ad esempio: \"Posso cancellare i dati del mio account?\"",
+      thinking: "Lettura dell'informativa…",
+    },
+    consensus: {
+      title: "Modalità consenso",
+      enable: "Interroga più modelli e unisci le loro analisi",
+      help: "Il modello sopra viene sempre interrogato; seleziona i modelli aggiuntivi con cui confrontarlo. Il fornitore principale usa la chiave API sopra. Ogni modello aggiuntivo ha un proprio costo.",
+      include: "Usa",
+      model: "Modello",
+      apiKey: "Chiave API",
+      queryingModel: "Interrogazione del modello {current} di {total} ({model})…",
+      mergingModels: "Unione delle analisi dei modelli…",
+      estimateModels: "{count} modelli",
+      summary: "Consenso di {count} modelli · accordo: {agreement} (i punteggi differiscono fino a {spread})",
+      singleModel: "Ha risposto un solo modello; nessun consenso",
+      agreement_high: "alto",
+      agreement_medium: "medio",
+      agreement_low: "basso",
+      supportedBy: "{count}/{total} modelli",
+    },
+    heuristics: {
+      title: "Controllo rapido (senza IA)",
+      score: "Punteggio provvisorio: {score}/10",
+      noMatches: "Nessuno schema noto trovato.",
+      provisional: "Basato su regole di parole chiave; il riepilogo dell'IA lo sostituirà.",
+      noProvider: "Solo risultato basato su parole chiave. Aggiungi una chiave API nelle Impostazioni per un riepilogo completo con IA.",
+      flag_sale_of_data: "Menziona la vendita di dati personali",
+      flag_no_sale: "Dichiara che i dati non vengono venduti",
+      flag_third_party_ads: "Pubblicità personalizzata o di terze parti",
+      flag_indefinite_retention: "I dati possono essere conservati a tempo indeterminato",
+      flag_arbitration: "Clausola di arbitrato o rinuncia alle azioni collettive",
+      flag_children_data: "Raccoglie dati di minori",
+      flag_children_excluded: "Dichiara di non raccogliere dati di minori",
+      flag_cross_border: "Trasferisce dati in altri paesi",
+      flag_opt_out: "Consente di opporsi o revocare il consenso",
+    },
+    highlight: {
+      button: "Evidenzia nella pagina",
+      buttonHelp: "Evidenzia i passaggi citati nella pagina dell'informativa",
+      found: "Evidenziati {found} risultati su {total} nella pagina.",
+      noneFound: "Nessuno dei passaggi citati è stato trovato nella pagina.",
+      previous: "Evidenziazione precedente",
+      next: "Evidenziazione successiva",
+      clear: "Rimuovi evidenziazioni",
+      counter: "{current} di {total}",
+      severity_high: "Alta",
+      severity_medium: "Media",
+      severity_low: "Bassa",
+    },
+    watch: {
+      title: "Informative monitorate",
+      intervalLabel: "Controlla le informative monitorate ogni:",
+      interval6: "6 ore",
+      interval12: "12 ore",
+      interval24: "Giorno",
+      interval168: "Settimana",
+      help: "Monitora un'informativa con il pulsante a campana nella cronologia. Riceverai una notifica quando il testo cambia.",
+      autoResummarize: "Riassumi di nuovo automaticamente le informative modificate",
+      autoResummarizeHelp: "Viene eseguito senza chiedere conferma dei costi; i budget mensili restano validi.",
+      watch: "Monitora le modifiche a questa informativa",
+      unwatch: "Smetti di monitorare questa informativa",
+      watched: "Riceverai una notifica quando questa informativa cambia.",
+      unwatched: "Informativa non più monitorata.",
+      changedBadge: "Modificata",
+      changedHelp: "Il testo dell'informativa è cambiato dopo questo riassunto. Riassumila di nuovo per aggiornarlo.",
+      changedTitle: "L'informativa sulla privacy è cambiata",
+      changedMessage: "L'informativa di {domain} è stata aggiornata. Fai clic per aprirla.",
+      resummarizedMessage: "L'informativa di {domain} è stata aggiornata e riassunta di nuovo (punteggio {score}/10).",
+    },
+    versions: {
+      buttonHelp: "Confronta versioni ({count} salvate)",
+      title: "Versioni di {domain}",
+      back: "Indietro",
+      from: "Precedente",
+      to: "Successiva",
+      compare: "Spiega le modifiche",
+      comparing: "Confronto delle versioni…",
+      option: "{date} · {score}/10",
+      notSummarized: "{date} · non riassunta",
+      stats: "{added} frasi aggiunte, {removed} rimosse",
+      noChanges: "Nessuna modifica al testo tra queste versioni.",
+      skipped: "{count} frasi invariate",
+      verdict_worse: "Peggiore per te",
+      verdict_better: "Migliore per te",
+      verdict_mixed: "Misto",
+      verdict_neutral: "Nessun impatto reale",
+      verdict_unchanged: "Invariata",
+    },
+    subpolicies: {
+      title: "Informative correlate trovate",
+      help: "Scegli quali includere in un unico riepilogo combinato.",
+      include: "Riassumi selezionate",
+      mainOnly: "Solo l'informativa principale",
+      fetching: "Recupero dell'informativa correlata {current} di {total}...",
+      kind_cookies: "Cookie",
+      kind_processing: "Trattamento dei dati",
+      kind_regional: "Regionale",
+      kind_children: "Minori",
+      sourcesTitle: "Fonti",
+      mainSource: "informativa principale",
+      findingSource: "Da: {title}",
     },
   },
 };
@@ -647,17 +1919,22 @@ export function t(key, params = {}, lang = currentLang) {
   return value.replace(/\{(\w+)\}/g, (_, k) => (params[k] != null ? String(params[k]) : ""));
 }
 
-export async function initI18n() {
-  const stored = await getLanguage();
-  const auto = !stored;
+// Picks the UI language: stored preference first, then the browser language
+export function resolveLanguage(stored) {
   const nav = (navigator.language || "en").toLowerCase();
-  currentLang = stored
+  return stored
     || (nav.startsWith("es") ? "es"
       : nav.startsWith("fr") ? "fr"
       : nav.startsWith("pt") ? "pt"
       : nav.startsWith("de") ? "de"
       : nav.startsWith("it") ? "it"
       : "en");
+}
+
+export async function initI18n() {
+  const stored = await getLanguage();
+  const auto = !stored;
+  currentLang = resolveLanguage(stored);
   applyTranslations();
   return { lang: currentLang, auto };
 }
@@ -0,0 +1,93 @@
+/**
+ * Offscreen document for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Parse fetched policy HTML with DOMParser (not available in the service worker) and extract
+ *   its main content, title and links (extractor.js)
+ * - Render JS-heavy policies in a sandboxed iframe and extract the rendered HTML posted by the
+ *   frame extractor content script the same way
+ *
+ * Notes for maintainers:
+ * - Created on demand by background.js (`ensureOffscreenDocument`); only messages with
+ *   `target: "offscreen"` are handled here.
+ * - Pages that refuse framing (X-Frame-Options, CSP frame-ancestors) still fire "load" but
+ *   never run the frame extractor; they resolve empty after a short grace period.
+ */
+
+import { extractMainContent, extractLinks } from "./extractor.js";
+
+// Time allowed after the frame's load event for the extractor to report in
+const FRAME_ALIVE_GRACE_MS = 1500;
+const DEFAULT_RENDER_TIMEOUT_MS = 15000;
+
+/**
+ * Extracts the policy text of an HTML document
+ * @param {string} html - Page source
+ * @returns {{text: string, title: string, links: Array<Object>}} Main content as lightweight
+ *   Markdown, document title and links (see extractLinks)
+ */
+function parseHtmlDocument(html) {
+  const doc = new DOMParser().parseFromString(String(html || ""), "text/html");
+  const title = doc.title.trim();
+  const links = extractLinks(doc);
+  return { text: extractMainContent(doc), title, links };
+}
+
+/**
+ * Loads a page in a sandboxed iframe and extracts its rendered content
+ * @param {string} url - Page to load
+ * @param {number} [timeoutMs] - Overall limit
+ * @returns {Promise<Object>} parseHtmlDocument result for the rendered page; empty text when
+ *   the page cannot be framed or times out
+ */
+function renderUrlDocument(url, timeoutMs = DEFAULT_RENDER_TIMEOUT_MS) {
+  return new Promise((resolve) => {
+    const frame = document.createElement("iframe");
+    // No top navigation, popups or forms; scripts are needed to render SPAs. Credentialless:
+    // the page and its trackers get neither the user's cookies nor storage, only a throwaway
+    // partition, and no referrer.
+    frame.setAttribute("sandbox", "allow-scripts allow-same-origin");
+    frame.setAttribute("credentialless", "");
+    frame.setAttribute("referrerpolicy", "no-referrer");
+    let alive = false;
+    let graceTimer;
+
+    const finish = (result) => {
+      clearTimeout(timer);
+      clearTimeout(graceTimer);
+      window.removeEventListener("message", onMessage);
+      frame.remove();
+      resolve(result);
+    };
+    const empty = { text: "", title: "", links: [] };
+    const timer = setTimeout(() => finish(empty), timeoutMs);
+    const onMessage = (event) => {
+      if (event.source !== frame.contentWindow || event.data?.source !== "policy-tldr-frame") return;
+      if (event.data.type === "FRAME_ALIVE") alive = true;
+      else if (event.data.type === "FRAME_HTML") finish(parseHtmlDocument(event.data.html));
+    };
+
+    window.addEventListener("message", onMessage);
+    frame.addEventListener("load", () => {
+      clearTimeout(graceTimer);
+      graceTimer = setTimeout(() => {
+        if (!alive) finish(empty);
+      }, FRAME_ALIVE_GRACE_MS);
+    });
+    frame.src = url;
+    document.body.appendChild(frame);
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (message?.target !== "offscreen") return false;
+  if (message.type === "OFFSCREEN_PARSE_HTML") {
+    sendResponse(parseHtmlDocument(message.html));
+    return false;
+  }
+  if (message.type === "OFFSCREEN_RENDER_URL") {
+    renderUrlDocument(message.url, message.timeoutMs).then(sendResponse);
+    return true; // Keep message channel open for async response
+  }
+  return false;
+});
@@ -3,11 +3,18 @@
  * 
  * Responsibilities:
  * - Manage API key, language, and AI model settings
- * - Validate numeric inputs (temperature, max tokens) with helpful messages
+ * - Validate numeric inputs (temperature, max tokens, cost threshold) with helpful messages
  * - Persist settings to chrome.storage
+ * - Configure per-provider monthly budgets and show this month's usage
+ * - Edit, preview and reset the prompt template (saved under a new version)
+ * - Pick the extra models (and their API keys) queried in consensus mode
+ * - Set how often watched policies are re-checked and whether changes are re-summarized
  * 
  * Notes for maintainers:
  * - Models are populated based on provider selection; extend PROVIDER_MODELS to add more.
+ * - The "custom" provider takes a free-text model and a base URL; host access for that
+ *   origin is requested at save time (must stay inside the click gesture).
+ * - Ollama models are discovered from the local server (`/api/tags`) instead of PROVIDER_MODELS.
  */
 
 import {
@@ -17,7 +24,26 @@ import {
   getLanguage,
   saveAIOptions,
   getAIOptions,
+  saveCostSettings,
+  getCostSettings,
+  saveConsensusSettings,
+  getConsensusSettings,
+  saveWatchSettings,
+  getWatchSettings,
+  saveProviderKey,
+  getProviderKey,
+  getUsageLog,
 } from "./storage.js";
+import { DEFAULT_COST_CONFIRM_THRESHOLD, formatCost } from "./pricing.js";
+import { aggregateUsage, currentMonthEntries, getMonthlySpend } from "./budget.js";
+import {
+  DEFAULT_PROMPT_TEMPLATE,
+  PROMPT_VARIABLES,
+  buildSystemPrompt,
+  resolvePromptTemplate,
+  updatePromptTemplate,
+  resetPromptTemplate,
+} from "./prompts.js";
 import { initI18n, t } from "./i18n.js";
 import { showNotification } from "./notify.js";
 
@@ -32,12 +58,61 @@ const PROVIDER_MODELS = {
     { id: "gpt-4o", label: "gpt-4o" },
     { id: "gpt-4.1-mini", label: "gpt-4.1-mini" },
   ],
+  anthropic: [
+    { id: "claude-haiku-4-5", label: "claude-haiku-4-5" },
+    { id: "claude-sonnet-4-5", label: "claude-sonnet-4-5" },
+    { id: "claude-3-5-haiku-latest", label: "claude-3-5-haiku-latest" },
+  ],
 };
 
-function populateModels(provider, selectedModel) {
+const OLLAMA_DEFAULT_URL = "http://localhost:11434";
+
+// Providers that run against a user-supplied endpoint
+const ENDPOINT_PROVIDERS = ["custom", "ollama"];
+
+// Providers that can join a consensus run (custom gateways need an endpoint of their own)
+const CONSENSUS_PROVIDERS = ["xai", "openai", "anthropic", "ollama"];
+
+/**
+ * Lists the models installed on an Ollama server
+ * @param {string} baseUrl - Ollama server root
+ * @returns {Promise<Array<{id: string, label: string}>>} Installed models
+ */
+async function fetchOllamaModels(baseUrl) {
+  const res = await fetch(`${baseUrl.replace(/\/+$/, "")}/api/tags`);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const data = await res.json();
+  return (data.models || []).map((m) => ({ id: m.name, label: m.name }));
+}
+
+async function populateModels(provider, selectedModel) {
   const modelSelect = document.getElementById("model");
+  const modelText = document.getElementById("modelText");
+  const baseUrlInput = document.getElementById("baseUrl");
+  const isCustom = provider === "custom";
+  const isOllama = provider === "ollama";
+  modelSelect.classList.toggle("hidden", isCustom);
+  modelText.classList.toggle("hidden", !isCustom);
+  document.getElementById("baseUrlField").classList.toggle("hidden", !ENDPOINT_PROVIDERS.includes(provider));
+  document.getElementById("authHeaderField").classList.toggle("hidden", !isCustom);
+  baseUrlInput.placeholder = isOllama ? OLLAMA_DEFAULT_URL : "http://localhost:4000/v1";
+  if (isCustom) {
+    modelText.value = selectedModel || "";
+  }
   modelSelect.innerHTML = "";
-  const models = PROVIDER_MODELS[provider] || [];
+  let models = PROVIDER_MODELS[provider] || [];
+  if (isOllama) {
+    try {
+      models = await fetchOllamaModels(baseUrlInput.value.trim() || OLLAMA_DEFAULT_URL);
+    } catch {
+      models = [];
+      showNotification(t("alerts.ollamaUnreachable"), "warning", document.getElementById("optionsForm"));
+    }
+    // Keep the saved choice visible even if the server is down or the model was removed
+    if (selectedModel && !models.some((m) => m.id === selectedModel)) {
+      models = [{ id: selectedModel, label: selectedModel }, ...models];
+    }
+  }
   for (const m of models) {
     const opt = document.createElement("option");
     opt.value = m.id;
@@ -47,6 +122,176 @@ function populateModels(provider, selectedModel) {
   }
 }
 
+/**
+ * Asks for host access to the origin of a user-supplied endpoint
+ * @param {string} url - Endpoint URL
+ * @returns {Promise<boolean>} True if the extension may call that origin
+ */
+async function ensureHostPermission(url) {
+  const { protocol, hostname } = new URL(url);
+  // Match patterns do not carry ports; the host pattern covers every port
+  const origins = [`${protocol}//${hostname}/*`];
+  try {
+    // Resolves true right away when access was already granted
+    return await chrome.permissions.request({ origins });
+  } catch {
+    return false;
+  }
+}
+
+function isValidBaseUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === "http:" || protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Renders one budget row per provider with this month's spend
+ * @param {Object} budgets - { [provider]: { maxTokens, maxCost } }
+ */
+async function renderBudgets(budgets) {
+  const tbody = document.querySelector("#budgetTable tbody");
+  const providers = [...document.getElementById("provider").options].map((o) => ({ id: o.value, label: o.textContent }));
+  const rows = await Promise.all(
+    providers.map(async ({ id, label }) => {
+      const { maxTokens = "", maxCost = "" } = budgets[id] || {};
+      const spend = await getMonthlySpend(id);
+      return `
+        <tr data-provider="${id}">
+          <td>${label}</td>
+          <td><input type="number" min="0" step="1000" data-field="maxTokens" value="${maxTokens}" /></td>
+          <td><input type="number" min="0" step="0.5" data-field="maxCost" value="${maxCost}" /></td>
+          <td>${spend.tokens.toLocaleString()} / ${formatCost(spend.cost)}</td>
+        </tr>`;
+    }),
+  );
+  tbody.innerHTML = rows.join("");
+}
+
+/**
+ * Reads the budget table
+ * @returns {Object|null} Budgets keyed by provider, or null if a value is invalid
+ */
+function readBudgets() {
+  const budgets = {};
+  for (const row of document.querySelectorAll("#budgetTable tbody tr")) {
+    const caps = {};
+    for (const input of row.querySelectorAll("input[data-field]")) {
+      const raw = input.value.trim();
+      if (raw === "") continue;
+      const value = Number(raw);
+      if (Number.isNaN(value) || value < 0) return null;
+      caps[input.dataset.field] = value;
+    }
+    if (Object.keys(caps).length > 0) budgets[row.dataset.provider] = caps;
+  }
+  return budgets;
+}
+
+/**
+ * Renders one consensus row per provider: include toggle, model and API key
+ * @param {Array<{provider: string, model: string}>} members - Saved extra models
+ */
+async function renderConsensusTable(members) {
+  const tbody = document.querySelector("#consensusTable tbody");
+  const rows = await Promise.all(
+    CONSENSUS_PROVIDERS.map(async (id) => {
+      const member = members.find((m) => m.provider === id);
+      const label = document.querySelector(`#provider option[value="${id}"]`).textContent;
+      // Ollama models depend on the local install, so they are typed in
+      const modelField =
+        id === "ollama"
+          ? `<input type="text" data-field="model" placeholder="llama3.1:8b" value="${escapeHtml(member?.model || "")}" />`
+          : `<select data-field="model">${PROVIDER_MODELS[id]
+              .map((m) => `<option value="${m.id}"${m.id === member?.model ? " selected" : ""}>${m.label}</option>`)
+              .join("")}</select>`;
+      const keyField =
+        id === "ollama" ? "" : `<input type="password" data-field="key" value="${escapeHtml(await getProviderKey(id))}" />`;
+      return `
+        <tr data-provider="${id}">
+          <td><input type="checkbox" data-field="include"${member ? " checked" : ""} /></td>
+          <td>${label}</td>
+          <td>${modelField}</td>
+          <td>${keyField}</td>
+        </tr>`;
+    }),
+  );
+  tbody.innerHTML = rows.join("");
+}
+
+/**
+ * Reads the consensus table
+ * @returns {Array<Object>} [{ provider, model, key, include }] for every provider row
+ */
+function readConsensusTable() {
+  return [...document.querySelectorAll("#consensusTable tbody tr")].map((row) => ({
+    provider: row.dataset.provider,
+    model: row.querySelector('[data-field="model"]').value.trim(),
+    key: row.querySelector('[data-field="key"]')?.value.trim() || "",
+    include: row.querySelector('[data-field="include"]').checked,
+  }));
+}
+
+/**
+ * Escapes text for safe interpolation into HTML templates
+ * @param {string} text - Untrusted text (e.g. a policy domain)
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function renderUsageTable(table, rows, keyLabel) {
+  if (rows.length === 0) {
+    table.innerHTML = `<tr><td>${t("usage.empty")}</td></tr>`;
+    return;
+  }
+  table.innerHTML = `
+    <thead>
+      <tr><th>${keyLabel}</th><th>${t("usage.requests")}</th><th>${t("usage.tokens")}</th><th>${t("usage.cost")}</th></tr>
+    </thead>
+    <tbody>
+      ${rows
+        .map((r) => `<tr><td>${escapeHtml(r.key)}</td><td>${r.requests}</td><td>${r.tokens.toLocaleString()}</td><td>${formatCost(r.cost)}</td></tr>`)
+        .join("")}
+    </tbody>`;
+}
+
+/**
+ * Fills the usage view with this month's spend per day, domain and model
+ */
+async function renderUsage() {
+  const { byDay, byDomain, byModel, total } = aggregateUsage(currentMonthEntries(await getUsageLog()));
+  document.getElementById("usageTotal").textContent = t("usage.total", {
+    requests: total.requests,
+    tokens: total.tokens.toLocaleString(),
+    cost: formatCost(total.cost),
+  });
+  renderUsageTable(document.getElementById("usageByDay"), byDay, t("usage.day"));
+  renderUsageTable(document.getElementById("usageByDomain"), byDomain, t("usage.domain"));
+  renderUsageTable(document.getElementById("usageByModel"), byModel, t("usage.model"));
+}
+
+/**
+ * Shows the template variables and the active prompt version (both need params, so
+ * they are not covered by data-i18n)
+ * @param {string} version - Active prompt version
+ */
+function renderPromptInfo(version) {
+  const variables = PROMPT_VARIABLES.map((v) => `{${v}}`).join(", ");
+  document.getElementById("promptHelp").textContent = t("prompt.help", { variables });
+  const versionEl = document.getElementById("promptVersion");
+  versionEl.dataset.version = version;
+  versionEl.textContent = t("prompt.version", { version });
+}
 
 /**
  * Event listener for the save button
@@ -58,12 +303,35 @@ document.getElementById("save").addEventListener("click", async () => {
   const key = document.getElementById("apiKey").value.trim();
   const language = document.getElementById("language").value;
   const provider = document.getElementById("provider").value || "xai";
-  const model = document.getElementById("model").value || (provider === "xai" ? "grok-3-mini" : "gpt-4o-mini");
+  const isCustom = provider === "custom";
+  const usesEndpoint = ENDPOINT_PROVIDERS.includes(provider);
+  const model = isCustom
+    ? document.getElementById("modelText").value.trim()
+    : document.getElementById("model").value || PROVIDER_MODELS[provider]?.[0]?.id || "grok-3-mini";
+  const baseUrl =
+    document.getElementById("baseUrl").value.trim() || (provider === "ollama" ? OLLAMA_DEFAULT_URL : "");
+  const authHeader = document.getElementById("authHeader").value.trim();
   const temperature = parseFloat(document.getElementById("temperature").value) || 0.7;
-  const maxTokens = parseInt(document.getElementById("maxTokens").value, 10) || 1024;
+  const maxTokens = parseInt(document.getElementById("maxTokens").value, 10) || 2048;
+  const thresholdValue = document.getElementById("costThreshold").value.trim();
+  const confirmThreshold = thresholdValue === "" ? DEFAULT_COST_CONFIRM_THRESHOLD : parseFloat(thresholdValue);
 
   // Validate inputs
-  if (!key) {
+  if (usesEndpoint) {
+    if (!isValidBaseUrl(baseUrl)) {
+      showNotification(t("alerts.baseUrlInvalid"), "error", formEl);
+      return;
+    }
+    if (!model) {
+      showNotification(t("alerts.modelRequired"), "error", formEl);
+      return;
+    }
+    // Request before any other await so the click still counts as a user gesture
+    if (!(await ensureHostPermission(baseUrl))) {
+      showNotification(t("alerts.hostPermissionDenied"), "error", formEl);
+      return;
+    }
+  } else if (!key) {
     showNotification(t("alerts.apiKeyRequired"), "warning", formEl);
   }
 
@@ -76,11 +344,50 @@ document.getElementById("save").addEventListener("click", async () => {
     showNotification(t("alerts.maxTokensRange"), "error", formEl);
     return;
   }
+
+  if (Number.isNaN(confirmThreshold) || confirmThreshold < 0) {
+    showNotification(t("alerts.costThresholdInvalid"), "error", formEl);
+    return;
+  }
+
+  const budgets = readBudgets();
+  if (!budgets) {
+    showNotification(t("alerts.budgetInvalid"), "error", formEl);
+    return;
+  }
+
+  const promptTemplate = document.getElementById("promptTemplate").value;
+  if (!promptTemplate.trim()) {
+    showNotification(t("alerts.promptEmpty"), "error", formEl);
+    return;
+  }
+
+  const consensusEnabled = document.getElementById("consensusEnabled").checked;
+  const consensusRows = readConsensusTable();
+  const members = consensusRows.filter((r) => r.include).map(({ provider: p, model: m }) => ({ provider: p, model: m }));
+  if (members.some((m) => !m.model)) {
+    showNotification(t("alerts.modelRequired"), "error", formEl);
+    return;
+  }
+  if (consensusEnabled && members.length === 0) {
+    showNotification(t("alerts.consensusNoModels"), "error", formEl);
+    return;
+  }
   
   // Save all settings to storage
   await saveApiKey(key);
   await saveLanguage(language);
-  await saveAIOptions({ provider, model, temperature, maxTokens });
+  await saveAIOptions({ provider, model, temperature, maxTokens, baseUrl, authHeader });
+  await saveCostSettings({ confirmThreshold, budgets });
+  await saveConsensusSettings({ enabled: consensusEnabled, members });
+  await saveWatchSettings({
+    intervalHours: Number(document.getElementById("watchInterval").value),
+    autoResummarize: document.getElementById("watchAutoResummarize").checked,
+  });
+  for (const row of consensusRows) {
+    if (row.provider !== "ollama") await saveProviderKey(row.provider, row.key);
+  }
+  renderPromptInfo(await updatePromptTemplate(promptTemplate));
 
   // Show success message
   showNotification(t("alerts.settingsSaved"), "success", formEl);
@@ -103,16 +410,50 @@ document.addEventListener("DOMContentLoaded", async () => {
   // Load and display current AI options with defaults
   const {
     provider = "xai",
-    model = provider === "xai" ? "grok-3-mini" : "gpt-4o-mini",
+    model = PROVIDER_MODELS[provider]?.[0]?.id || "",
     temperature = 0.7,
-    maxTokens = 1024,
+    maxTokens = 2048,
+    baseUrl = "",
+    authHeader = "",
   } = await getAIOptions();
   
   document.getElementById("provider").value = provider;
-  populateModels(provider, model);
+  document.getElementById("baseUrl").value = baseUrl;
+  document.getElementById("authHeader").value = authHeader;
+  await populateModels(provider, model);
   updateApiKeyHelp(provider);
   document.getElementById("temperature").value = temperature || 0.7;
-  document.getElementById("maxTokens").value = maxTokens || 1024;
+  document.getElementById("maxTokens").value = maxTokens || 2048;
+  const { confirmThreshold = DEFAULT_COST_CONFIRM_THRESHOLD, budgets = {} } = await getCostSettings();
+  document.getElementById("costThreshold").value = confirmThreshold;
+  await renderBudgets(budgets);
+  await renderUsage();
+  const consensusSettings = await getConsensusSettings();
+  document.getElementById("consensusEnabled").checked = consensusSettings.enabled;
+  await renderConsensusTable(consensusSettings.members);
+  const watchSettings = await getWatchSettings();
+  document.getElementById("watchInterval").value = String(watchSettings.intervalHours);
+  document.getElementById("watchAutoResummarize").checked = watchSettings.autoResummarize;
+
+  const prompt = await resolvePromptTemplate();
+  document.getElementById("promptTemplate").value = prompt.template;
+  renderPromptInfo(prompt.version);
+
+  // Show the full system prompt as the model would receive it
+  document.getElementById("promptPreview").addEventListener("click", () => {
+    const previewEl = document.getElementById("promptPreviewText");
+    previewEl.textContent = buildSystemPrompt(document.getElementById("promptTemplate").value, {
+      lang: document.getElementById("language").value || "en",
+      sourceDomain: "example.com",
+    });
+    previewEl.classList.remove("hidden");
+  });
+
+  document.getElementById("promptReset").addEventListener("click", async () => {
+    document.getElementById("promptTemplate").value = DEFAULT_PROMPT_TEMPLATE;
+    renderPromptInfo(await resetPromptTemplate());
+    showNotification(t("alerts.promptReset"), "success", document.getElementById("optionsForm"));
+  });
 
   // Update models when provider changes
   document.getElementById("provider").addEventListener("change", (e) => {
@@ -121,11 +462,21 @@ document.addEventListener("DOMContentLoaded", async () => {
     updateApiKeyHelp(p);
   });
 
+  // Re-discover Ollama models when the server address changes
+  document.getElementById("baseUrl").addEventListener("change", () => {
+    const p = document.getElementById("provider").value;
+    if (p === "ollama") populateModels(p, document.getElementById("model").value);
+  });
+
   // Apply i18n instantly when language changes
   document.getElementById("language").addEventListener("change", async (e) => {
     const newLang = e.target.value || "";
     await saveLanguage(newLang);
     await initI18n();
+    // Generated tables are not covered by data-i18n; rebuild them, keeping unsaved edits
+    await renderBudgets(readBudgets() || {});
+    await renderUsage();
+    renderPromptInfo(document.getElementById("promptVersion").dataset.version);
   });
 });
 
@@ -134,6 +485,12 @@ function updateApiKeyHelp(provider) {
   if (!el) return;
   if (provider === "openai") {
     el.innerHTML = '<a href="https://platform.openai.com/api-keys" target="_blank">OpenAI API Keys</a>';
+  } else if (provider === "anthropic") {
+    el.innerHTML = '<a href="https://console.anthropic.com/settings/keys" target="_blank">Anthropic Console</a>';
+  } else if (provider === "custom") {
+    el.textContent = t("buttons.apiKeyOptionalHelp");
+  } else if (provider === "ollama") {
+    el.textContent = t("buttons.ollamaHelp");
   } else {
     el.innerHTML = '<a href="https://console.x.ai/" target="_blank">xAI Console</a>';
   }
@@ -1,57 +1,67 @@
 /**
  * Side panel script for the Privacy Policy Extension
- * 
+ *
  * Responsibilities:
- * - Display current page domain and quick actions
  * - Ignore domain (won’t alert or summarize on that site)
  * - Let user dismiss the alert state for the current tab
+ *
+ * Notes for maintainers:
+ * - The panel embeds pages/popup.html?surface=panel, so the popup's markup is the only copy of
+ *   the workspace (popup.js: summary with score, ToS;DR, history, Ask, context-menu summaries),
+ *   which keeps it in sync with the active tab. This script only adds the alert actions above
+ *   it, so it reads the active tab when they are used.
  */
 
 import { addIgnoredDomain } from "./storage.js";
 import { initI18n } from "./i18n.js";
 
 /**
- * Initialize the side panel when it opens
- * Sets up event listeners and retrieves current tab information
+ * Returns the tab the panel is next to
+ * @returns {Promise<Object>} Active tab of the panel's window
  */
-async function init() {
-  await initI18n();
-  // Get the currently active tab
+async function getActiveTab() {
   const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  
-  // Request the policy link for the current tab from background script
-  const { url } = await chrome.runtime.sendMessage({
-    type: "GET_POLICY_LINK",
+  return tab;
+}
+
+/**
+ * Restore the extension icon to default state and close the panel
+ * Called when user dismisses the panel
+ * @param {Object} tab - Active tab
+ */
+function restore(tab) {
+  chrome.runtime.sendMessage({
+    type: "SET_ICON_STATE",
+    state: "default",
     tabId: tab.id,
   });
-  
-  // Extract domain from URL for ignore functionality
-  const domain = url ? new URL(url).hostname : "";
-
-  /**
-   * Restore the extension icon to default state and close the panel
-   * Called when user dismisses the panel
-   */
-  const restore = () => {
-    chrome.runtime.sendMessage({
-      type: "SET_ICON_STATE",
-      state: "default",
-      tabId: tab.id,
-    });
-    chrome.sidePanel.close({ tabId: tab.id });
-  };
+  chrome.sidePanel.close({ tabId: tab.id });
+}
 
+/**
+ * Initialize the alert actions of the side panel
+ */
+function init() {
   // Set up "remind me later" button
-  document.getElementById("remind").addEventListener("click", restore);
+  document.getElementById("remind").addEventListener("click", async () => restore(await getActiveTab()));
 
   // Set up "ignore this domain" button
   document.getElementById("ignore").addEventListener("click", async () => {
-    if (domain) {
-      await addIgnoredDomain(domain);
+    const tab = await getActiveTab();
+    // Request the policy link for the current tab from background script
+    const { url } = await chrome.runtime.sendMessage({
+      type: "GET_POLICY_LINK",
+      tabId: tab.id,
+    });
+    if (url) {
+      await addIgnoredDomain(new URL(url).hostname);
     }
-    restore();
+    restore(tab);
   });
 }
 
-// Initialize the panel when script loads
-init();
+// Initialize i18n then the panel
+(async () => {
+  await initI18n();
+  init();
+})();
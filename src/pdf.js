@@ -0,0 +1,526 @@
+/**
+ * PDF text extraction for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Read the text of policy PDFs in the service worker, without third-party code or network
+ *
+ * Notes for maintainers:
+ * - Covers what office suites and browsers export: plain and compressed object layouts
+ *   (object streams), FlateDecode streams, simple fonts (read as Windows-1252 unless they have
+ *   a ToUnicode map) and composite fonts with a ToUnicode map, text in form XObjects.
+ * - Objects are found by scanning for "n g obj" rather than reading the xref table, which also
+ *   copes with damaged files; a later definition replaces an earlier one (incremental updates).
+ * - Encrypted and scanned (image-only) PDFs yield no text; the caller reports that.
+ */
+
+const PDF_MAGIC = "%PDF-";
+// Form XObjects can nest; stop at this depth (also guards against cycles)
+const MAX_XOBJECT_DEPTH = 5;
+// A TJ adjustment below this (thousandths of an em) is a word gap
+const TJ_SPACE_THRESHOLD = -250;
+const WHITESPACE = new Set([" ", "\n", "\r", "\t", "\f", "\0"]);
+const DELIMITERS = new Set(["(", ")", "<", ">", "[", "]", "{", "}", "/", "%"]);
+
+let win1252Table = null;
+
+/**
+ * Maps a byte to its Windows-1252 character (the usual encoding of simple fonts)
+ * @param {number} byte - 0 to 255
+ * @returns {string} Character, empty for control codes
+ */
+function win1252Char(byte) {
+  if (!win1252Table) {
+    win1252Table = new TextDecoder("windows-1252").decode(Uint8Array.from({ length: 256 }, (_, i) => i));
+  }
+  return byte < 32 ? "" : win1252Table[byte];
+}
+
+function bytesToBinaryString(bytes) {
+  let out = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    out += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return out;
+}
+
+function binaryStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i += 1) bytes[i] = str.charCodeAt(i) & 0xff;
+  return bytes;
+}
+
+/**
+ * Inflates zlib data; a damaged tail keeps whatever was inflated before it
+ * @param {string} data - Binary string
+ * @returns {Promise<string>} Inflated binary string
+ */
+async function inflate(data) {
+  const reader = new Blob([binaryStringToBytes(data)])
+    .stream()
+    .pipeThrough(new DecompressionStream("deflate"))
+    .getReader();
+  let out = "";
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      out += bytesToBinaryString(value);
+    }
+  } catch (_) {}
+  return out;
+}
+
+/**
+ * Tokenizes PDF syntax (object bodies and content streams)
+ * @param {string} s - Binary string
+ * @param {number} [start] - Start offset
+ * @returns {{next: Function, position: Function, seek: Function}} Lexer; `next()` returns
+ *   { type, value } with type "num", "name", "str", "kw", "<<", ">>", "[", "]", "{", "}", or null
+ */
+function createLexer(s, start = 0) {
+  let pos = start;
+
+  const skipWhitespace = () => {
+    while (pos < s.length) {
+      if (WHITESPACE.has(s[pos])) pos += 1;
+      else if (s[pos] === "%") {
+        while (pos < s.length && s[pos] !== "\n" && s[pos] !== "\r") pos += 1;
+      } else break;
+    }
+  };
+
+  const readLiteral = () => {
+    // Balanced parentheses, backslash escapes, octal codes and line continuations
+    let out = "";
+    let depth = 1;
+    pos += 1;
+    while (pos < s.length) {
+      const c = s[pos];
+      pos += 1;
+      if (c === "\\") {
+        const e = s[pos];
+        pos += 1;
+        if (e === "n") out += "\n";
+        else if (e === "r") out += "\r";
+        else if (e === "t") out += "\t";
+        else if (e === "b") out += "\b";
+        else if (e === "f") out += "\f";
+        else if (e === "\r") {
+          if (s[pos] === "\n") pos += 1;
+        } else if (e === "\n") {
+          // Line continuation
+        } else if (e >= "0" && e <= "7") {
+          let octal = e;
+          while (octal.length < 3 && s[pos] >= "0" && s[pos] <= "7") {
+            octal += s[pos];
+            pos += 1;
+          }
+          out += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        } else if (e !== undefined) out += e;
+      } else if (c === "(") {
+        depth += 1;
+        out += c;
+      } else if (c === ")") {
+        depth -= 1;
+        if (depth === 0) break;
+        out += c;
+      } else out += c;
+    }
+    return out;
+  };
+
+  const readRegular = () => {
+    const from = pos;
+    while (pos < s.length && !WHITESPACE.has(s[pos]) && !DELIMITERS.has(s[pos])) pos += 1;
+    return s.slice(from, pos);
+  };
+
+  const next = () => {
+    skipWhitespace();
+    if (pos >= s.length) return null;
+    const c = s[pos];
+    if (c === "<" && s[pos + 1] === "<") {
+      pos += 2;
+      return { type: "<<" };
+    }
+    if (c === ">" && s[pos + 1] === ">") {
+      pos += 2;
+      return { type: ">>" };
+    }
+    if (c === "[" || c === "]" || c === "{" || c === "}") {
+      pos += 1;
+      return { type: c };
+    }
+    if (c === "(") return { type: "str", value: readLiteral() };
+    if (c === "<") {
+      const end = s.indexOf(">", pos);
+      let hex = s.slice(pos + 1, end === -1 ? s.length : end).replace(/[^0-9a-fA-F]/g, "");
+      pos = end === -1 ? s.length : end + 1;
+      if (hex.length % 2) hex += "0";
+      let value = "";
+      for (let i = 0; i < hex.length; i += 2) value += String.fromCharCode(parseInt(hex.slice(i, i + 2), 16));
+      return { type: "str", value };
+    }
+    if (c === "/") {
+      pos += 1;
+      const name = readRegular().replace(/#([0-9a-fA-F]{2})/g, (_, h) => String.fromCharCode(parseInt(h, 16)));
+      return { type: "name", value: name };
+    }
+    const word = readRegular();
+    if (word === "") {
+      // Stray delimiter such as an unmatched ")"
+      pos += 1;
+      return next();
+    }
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) return { type: "num", value: parseFloat(word) };
+    return { type: "kw", value: word };
+  };
+
+  return {
+    next,
+    position: () => pos,
+    seek: (to) => {
+      pos = to;
+    },
+  };
+}
+
+/**
+ * Reads one PDF value. Names become strings, strings become { str }, references { ref },
+ * dictionaries plain objects and other keywords { op }.
+ * @param {Object} lexer - From createLexer
+ * @param {Object} token - First token of the value
+ * @returns {any} Parsed value
+ */
+function readValue(lexer, token) {
+  if (!token) return null;
+  switch (token.type) {
+    case "num": {
+      // "12 0 R" is a reference
+      const mark = lexer.position();
+      const generation = lexer.next();
+      if (generation?.type === "num") {
+        const keyword = lexer.next();
+        if (keyword?.type === "kw" && keyword.value === "R") return { ref: token.value };
+      }
+      lexer.seek(mark);
+      return token.value;
+    }
+    case "name":
+      return token.value;
+    case "str":
+      return { str: token.value };
+    case "<<": {
+      const dict = {};
+      for (let key = lexer.next(); key && key.type !== ">>"; key = lexer.next()) {
+        if (key.type !== "name") continue;
+        dict[key.value] = readValue(lexer, lexer.next());
+      }
+      return dict;
+    }
+    case "[": {
+      const array = [];
+      for (let item = lexer.next(); item && item.type !== "]"; item = lexer.next()) {
+        array.push(readValue(lexer, item));
+      }
+      return array;
+    }
+    case "kw":
+      if (token.value === "true") return true;
+      if (token.value === "false") return false;
+      if (token.value === "null") return null;
+      return { op: token.value };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Indexes the objects of a PDF file
+ * @param {string} s - Whole file as a binary string
+ * @returns {Promise<{get: Function, resolve: Function, streamData: Function, all: Function}>}
+ */
+async function openPdf(s) {
+  const objects = new Map(); // number -> { value, stream? }
+  const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+  for (let match = pattern.exec(s); match; match = pattern.exec(s)) {
+    const lexer = createLexer(s, match.index + match[0].length);
+    const value = readValue(lexer, lexer.next());
+    const entry = { value };
+    const afterValue = lexer.position();
+    const keyword = lexer.next();
+    if (keyword?.type === "kw" && keyword.value === "stream") {
+      let start = lexer.position();
+      if (s[start] === "\r") start += 1;
+      if (s[start] === "\n") start += 1;
+      const length = value?.Length;
+      let end = typeof length === "number" ? start + length : -1;
+      // Trust /Length only when "endstream" follows it; otherwise search for it
+      if (end < 0 || !/^\s*endstream/.test(s.slice(end, end + 20))) {
+        end = s.indexOf("endstream", start);
+        if (end === -1) end = s.length;
+        if (s[end - 1] === "\n") end -= 1;
+        if (s[end - 1] === "\r") end -= 1;
+      }
+      entry.stream = s.slice(start, end);
+      pattern.lastIndex = end;
+    } else {
+      pattern.lastIndex = Math.max(pattern.lastIndex, afterValue);
+    }
+    objects.set(Number(match[1]), entry);
+  }
+
+  const streamData = async (entry) => {
+    if (entry?.stream === undefined) return "";
+    const filters = [].concat(entry.value?.Filter || []);
+    let data = entry.stream;
+    for (const filter of filters) {
+      if (filter !== "FlateDecode" && filter !== "Fl") return "";
+      data = await inflate(data);
+    }
+    return data;
+  };
+
+  // Objects stored inside object streams fill the numbers not defined directly
+  for (const [, entry] of [...objects]) {
+    if (entry.value?.Type !== "ObjStm") continue;
+    const data = await streamData(entry);
+    const count = Number(entry.value.N) || 0;
+    const first = Number(entry.value.First) || 0;
+    const header = createLexer(data, 0);
+    const offsets = [];
+    for (let i = 0; i < count; i += 1) {
+      const number = header.next();
+      const offset = header.next();
+      if (number?.type !== "num" || offset?.type !== "num") break;
+      offsets.push([number.value, offset.value]);
+    }
+    for (const [number, offset] of offsets) {
+      if (objects.has(number)) continue;
+      const lexer = createLexer(data, first + offset);
+      objects.set(number, { value: readValue(lexer, lexer.next()) });
+    }
+  }
+
+  const get = (ref) => objects.get(ref?.ref ?? ref);
+  const resolve = (value) => (value && typeof value === "object" && "ref" in value ? get(value)?.value : value);
+  return { get, resolve, streamData: (ref) => streamData(get(ref)), all: () => objects };
+}
+
+/**
+ * Decodes UTF-16BE hex from a ToUnicode map
+ * @param {string} hex - Hex digits
+ * @returns {number[]} UTF-16 code units
+ */
+function hexToUnits(hex) {
+  const units = [];
+  for (let i = 0; i < hex.length; i += 4) units.push(parseInt(hex.slice(i, i + 4).padEnd(4, "0"), 16));
+  return units;
+}
+
+/**
+ * Parses a ToUnicode CMap
+ * @param {string} text - CMap program
+ * @returns {{map: Map<number, string>, codeLength: number}} Code to text, bytes per code (0 if unknown)
+ */
+function parseToUnicode(text) {
+  const map = new Map();
+  const space = text.match(/begincodespacerange\s*<([0-9a-fA-F]+)>/);
+  const codeLength = space ? Math.ceil(space[1].length / 2) : 0;
+  for (const [, body] of text.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+    for (const [, src, dst] of body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+      map.set(parseInt(src, 16), String.fromCharCode(...hexToUnits(dst)));
+    }
+  }
+  for (const [, body] of text.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+    const ranges = body.matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g);
+    for (const [, lo, hi, dst, list] of ranges) {
+      const from = parseInt(lo, 16);
+      const to = parseInt(hi, 16);
+      if (to < from || to - from > 0xffff) continue;
+      if (list !== undefined) {
+        [...list.matchAll(/<([0-9a-fA-F]*)>/g)].forEach(([, item], i) => {
+          map.set(from + i, String.fromCharCode(...hexToUnits(item)));
+        });
+        continue;
+      }
+      // Consecutive codes map to consecutive characters (the last unit increments)
+      const units = hexToUnits(dst);
+      for (let code = from; code <= to; code += 1) {
+        const shifted = [...units];
+        shifted[shifted.length - 1] += code - from;
+        map.set(code, String.fromCharCode(...shifted));
+      }
+    }
+  }
+  return { map, codeLength };
+}
+
+/**
+ * Builds a decoder for the strings shown with a font
+ * @param {Object} pdf - From openPdf
+ * @param {Object} font - Font dictionary
+ * @returns {Promise<Function>} (bytes: string) => text
+ */
+async function loadFontDecoder(pdf, font) {
+  const composite = font?.Subtype === "Type0";
+  const toUnicode = font?.ToUnicode ? parseToUnicode(await pdf.streamData(font.ToUnicode)) : null;
+  const codeLength = toUnicode?.codeLength || (composite ? 2 : 1);
+  return (bytes) => {
+    let out = "";
+    for (let i = 0; i + codeLength <= bytes.length; i += codeLength) {
+      let code = 0;
+      for (let k = 0; k < codeLength; k += 1) code = code * 256 + bytes.charCodeAt(i + k);
+      const mapped = toUnicode?.map.get(code);
+      // Composite fonts without a mapping use glyph ids, which carry no text
+      if (mapped !== undefined) out += mapped;
+      else if (!composite) out += win1252Char(code & 0xff);
+    }
+    return out;
+  };
+}
+
+/**
+ * Extracts the text of a content stream
+ * @param {Object} pdf - From openPdf
+ * @param {string} content - Decoded content stream
+ * @param {Object} resources - Resource dictionary in effect
+ * @param {number} depth - Form XObject nesting depth
+ * @returns {Promise<string>} Text with line breaks where the text moves to a new line
+ */
+async function extractContentText(pdf, content, resources, depth) {
+  const fontDicts = pdf.resolve(resources?.Font) || {};
+  const xObjects = pdf.resolve(resources?.XObject) || {};
+  const decoders = new Map();
+  let decode = null;
+  let out = "";
+  let lineY = null;
+
+  const newline = () => {
+    if (out && !out.endsWith("\n")) out += "\n";
+  };
+  const space = () => {
+    if (out && !/\s$/.test(out)) out += " ";
+  };
+  const show = (value) => {
+    if (decode && typeof value?.str === "string") out += decode(value.str);
+  };
+  const moveTo = (y) => {
+    if (lineY !== null && Math.abs(y - lineY) > 1) newline();
+    else space();
+    lineY = y;
+  };
+
+  const lexer = createLexer(content);
+  let operands = [];
+  for (let token = lexer.next(); token; token = lexer.next()) {
+    if (token.type !== "kw" || ["true", "false", "null"].includes(token.value)) {
+      operands.push(readValue(lexer, token));
+      continue;
+    }
+    const op = token.value;
+    if (op === "Tf") {
+      const name = operands[0];
+      if (!decoders.has(name)) decoders.set(name, await loadFontDecoder(pdf, pdf.resolve(fontDicts[name])));
+      decode = decoders.get(name);
+    } else if (op === "Tj") {
+      show(operands[0]);
+    } else if (op === "TJ") {
+      for (const item of Array.isArray(operands[0]) ? operands[0] : []) {
+        if (typeof item === "number") {
+          if (item < TJ_SPACE_THRESHOLD) space();
+        } else show(item);
+      }
+    } else if (op === "'" || op === '"') {
+      newline();
+      show(operands[operands.length - 1]);
+    } else if (op === "Td" || op === "TD") {
+      moveTo((lineY ?? 0) + (Number(operands[1]) || 0));
+    } else if (op === "Tm") {
+      moveTo(Number(operands[5]) || 0);
+    } else if (op === "T*") {
+      newline();
+    } else if (op === "Do" && depth < MAX_XOBJECT_DEPTH) {
+      const ref = xObjects[operands[0]];
+      const entry = pdf.get(ref);
+      if (entry?.value?.Subtype === "Form") {
+        const formText = await extractContentText(
+          pdf,
+          await pdf.streamData(ref),
+          pdf.resolve(entry.value.Resources) || resources,
+          depth + 1,
+        );
+        if (formText) {
+          newline();
+          out += formText;
+          newline();
+        }
+      }
+    } else if (op === "BI") {
+      // Skip inline image data
+      const end = content.slice(lexer.position()).search(/\sEI(\s|$)/);
+      lexer.seek(end === -1 ? content.length : lexer.position() + end + 3);
+    }
+    operands = [];
+  }
+  return out;
+}
+
+/**
+ * Lists the pages in document order
+ * @param {Object} pdf - From openPdf
+ * @returns {Array<Object>} Page dictionaries, each with an `inherited` Resources fallback
+ */
+function listPages(pdf) {
+  const pages = [];
+  const visit = (node, inheritedResources, depth) => {
+    if (!node || depth > 50) return;
+    const resources = node.Resources || inheritedResources;
+    if (node.Type === "Pages" || Array.isArray(node.Kids)) {
+      for (const kid of node.Kids || []) visit(pdf.resolve(kid), resources, depth + 1);
+    } else {
+      pages.push({ page: node, resources });
+    }
+  };
+  const catalog = [...pdf.all().values()].find((entry) => entry.value?.Type === "Catalog")?.value;
+  if (catalog?.Pages) visit(pdf.resolve(catalog.Pages), null, 0);
+  if (pages.length > 0) return pages;
+
+  // No usable page tree: take page objects in object order
+  return [...pdf.all().entries()]
+    .sort(([a], [b]) => a - b)
+    .filter(([, entry]) => entry.value?.Type === "Page")
+    .map(([, entry]) => ({ page: entry.value, resources: entry.value.Resources }));
+}
+
+/**
+ * Extracts the text of a PDF file
+ * @param {ArrayBuffer|Uint8Array} data - File contents
+ * @returns {Promise<string>} Text, pages separated by blank lines; empty for encrypted or
+ *   image-only files
+ */
+export async function extractPdfText(data) {
+  const s = bytesToBinaryString(data instanceof Uint8Array ? data : new Uint8Array(data));
+  if (!s.slice(0, 1024).includes(PDF_MAGIC)) return "";
+  // Encrypted content streams cannot be read without the key
+  if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(s)) return "";
+
+  const pdf = await openPdf(s);
+  const texts = [];
+  for (const { page, resources } of listPages(pdf)) {
+    const contents = [].concat(page.Contents || []);
+    let content = "";
+    for (const ref of contents) {
+      const resolved = pdf.resolve(ref);
+      // /Contents may point to an array of streams
+      for (const part of Array.isArray(resolved) ? resolved : [ref]) content += `${await pdf.streamData(part)}\n`;
+    }
+    const text = await extractContentText(pdf, content, pdf.resolve(resources), 0);
+    const lines = text
+      .split("\n")
+      .map((line) => line.replace(/\s+/g, " ").trim())
+      .filter(Boolean);
+    if (lines.length > 0) texts.push(lines.join("\n"));
+  }
+  return texts.join("\n\n");
+}
@@ -2,10 +2,14 @@
  * Popup script for the Privacy Policy Extension
  * 
  * Responsibilities:
- * - Tab navigation (Summary, History, Settings shortcut)
+ * - Tab navigation (Summary, History, Ask, Settings shortcut)
  * - Policy summarization workflow and rendering
- * - History list rendering and deletion
+ * - History list rendering and deletion, watchlist toggles
+ * - Version history view: side-by-side diff and AI explanation of the changes
+ * - Follow-up questions about the detected policy (Ask tab)
  * - User notifications and confirmations
+ * - In the side panel (pages/panel.html embeds this page): follow the active tab and show
+ *   its context-menu summary
  * 
  * Notes for maintainers:
  * - Markdown rendering is handled by the vendored `libs/marked.js` and sanitized
@@ -21,7 +25,19 @@ import {
   clearSummaries,
   saveLanguage,
   getLanguage,
+  getChat,
+  clearChat,
+  watchPolicy,
+  unwatchPolicy,
+  getWatchlist,
+  getPolicyVersions,
+  removePolicyVersions,
+  clearPolicyVersions,
 } from "./storage.js";
+import { PRIVACY_CATEGORIES } from "./ai.js";
+import { formatCost } from "./pricing.js";
+import { resolvePromptTemplate } from "./prompts.js";
+import { diffTexts, diffStats, toSideBySide } from "./diff.js";
 import DOMPurify from "./libs/dompurify.js";
 import { initI18n, t } from "./i18n.js";
 
@@ -31,7 +47,14 @@ import { showNotification, showConfirm } from "./notify.js";
 
 // Global state variables
 let currentPolicyUrl = "";
+// URL whose cached text the Ask tab uses: the detected policy, or the page of the last page
+// summary (saved under the page's URL). Selection summaries are not saved, so they keep it.
+let currentAskUrl = "";
 let currentTabId = 0;
+// The side panel (pages/panel.html) hosts this page with ?surface=panel; it stays open across
+// tab switches, while the popup is rebuilt on every open
+const isSidePanel = new URLSearchParams(location.search).get("surface") === "panel";
+if (isSidePanel) document.body.dataset.surface = "panel";
 
 /**
  * Switches between tabs in the popup interface
@@ -108,15 +131,323 @@ function setupTabs() {
 
 
 
+/**
+ * Maps a 0-10 privacy score to badge text/background classes
+ * @param {number} score - Privacy score (higher is worse)
+ * @returns {string} CSS classes
+ */
+function getScoreColor(score) {
+  if (score <= 2) return 'text-green-600 bg-green-100';
+  if (score <= 4) return 'text-blue-600 bg-blue-100';
+  if (score <= 6) return 'text-yellow-600 bg-yellow-100';
+  if (score <= 8) return 'text-orange-600 bg-orange-100';
+  return 'text-red-600 bg-red-100';
+}
+
+/**
+ * Maps a 0-10 privacy score to a solid bar background class
+ * @param {number} score - Privacy score (higher is worse)
+ * @returns {string} CSS class
+ */
+function getScoreBarColor(score) {
+  if (score <= 2) return 'bg-green-600';
+  if (score <= 4) return 'bg-blue-600';
+  if (score <= 6) return 'bg-yellow-600';
+  if (score <= 8) return 'bg-orange-600';
+  return 'bg-red-600';
+}
+
+/**
+ * Renders per-category sub-scores as small bars under the overall score
+ * @param {Object} categories - { [category]: { score, note } }
+ * @returns {string} HTML string (empty for summaries saved before categories existed)
+ */
+function renderCategoryBreakdown(categories) {
+  if (!categories || typeof categories !== "object") return "";
+  const rows = PRIVACY_CATEGORIES.filter((key) => categories[key])
+    .map((key) => {
+      const { score, note } = categories[key];
+      const addressed = typeof score === "number";
+      const bar = addressed
+        ? `<div class="category-fill ${getScoreBarColor(score)}" style="width: ${(score / 10) * 100}%"></div>`
+        : "";
+      return `
+        <div class="category-row${addressed ? "" : " category-missing"}">
+          <span class="category-label">${escapeHtml(t(`categories.${key}`))}</span>
+          <div class="category-bar">${bar}</div>
+          <span class="category-score">${addressed ? score : "–"}</span>
+        </div>
+        <div class="category-note">${escapeHtml(addressed ? note : t("summary.notAddressed"))}</div>
+      `;
+    })
+    .join("");
+  if (!rows) return "";
+  return `
+    <div class="category-breakdown">
+      <div class="text-sm font-semibold mb-2">${escapeHtml(t("summary.categoryBreakdown"))}</div>
+      ${rows}
+    </div>
+  `;
+}
+
+/**
+ * Maps a background error code to an actionable, localized message
+ * @param {string} code - Error code from the summarize pipeline
+ * @returns {string} Message for the user
+ */
+function describeErrorCode(code) {
+  const key = `errorCodes.${code}`;
+  const message = t(key);
+  return message === key ? t("error.failedSummarySubtitle") : message;
+}
+
+/**
+ * Describes a SUMMARY_PROGRESS step for the user
+ * @param {Object} msg - { step, current?, total?, provider?, model?, consensusModel? }
+ * @returns {string} Localized progress text, empty for unknown steps
+ */
+function describeProgress(msg) {
+  const { step, consensusModel } = msg || {};
+  const text = describeStep(msg);
+  // Steps of one model in consensus mode name that model
+  if (!text || !consensusModel || step === "consensus_model") return text;
+  return `${text} (${consensusModel.provider} / ${consensusModel.model})`;
+}
+
+/**
+ * Describes a single pipeline step, without the consensus model it belongs to
+ * @param {Object} msg - { step, current?, total?, provider?, model? }
+ * @returns {string} Localized status text, empty for unknown steps
+ */
+function describeStep(msg) {
+  const { step, current, total } = msg || {};
+  if (step === "fetching_policy") return t("summary.collectingPolicy");
+  if (step === "policy_fetched") return t("summary.sendingRequest");
+  if (step === "fetching_subpolicy") return t("subpolicies.fetching", { current, total });
+  if (step === "sending_request") return t("summary.waitingModel");
+  if (step === "analyzing_chunk") return t("summary.analyzingChunk", { current, total });
+  if (step === "merging_chunks") return t("summary.mergingChunks");
+  if (step === "consensus_model") {
+    return t("consensus.queryingModel", { current, total, model: `${msg.provider} / ${msg.model}` });
+  }
+  if (step === "merging_models") return t("consensus.mergingModels");
+  if (step === "retrying") return t("summary.retrying", { current, total });
+  if (step === "repairing") return t("summary.repairing");
+  if (step === "tosdr_found") return t("summary.usingTosdr");
+  return "";
+}
+
+/**
+ * Renders the failure state of the summary area
+ * @param {string} title - Localized headline
+ * @param {string} detail - Localized explanation
+ * @returns {string} HTML string
+ */
+function renderSummaryError(title, detail) {
+  return `
+    <div class="text-center py-8 text-secondary-500">
+      <svg class="w-12 h-12 mx-auto mb-3 text-secondary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+        <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/>
+      </svg>
+      <p class="text-sm">${escapeHtml(title)}</p>
+      <p class="text-xs text-secondary-400">${escapeHtml(detail)}</p>
+    </div>
+  `;
+}
+
+/**
+ * Describes a cost estimate for the user
+ * @param {Object} estimate - Result of estimateSummaryCost
+ * @returns {string} Localized one-line description
+ */
+function describeEstimate(estimate) {
+  const tokens = (estimate.inputTokens + estimate.outputTokens).toLocaleString();
+  const text =
+    estimate.cost === null
+      ? t("summary.estimateUnknownCost", { tokens })
+      : t("summary.estimateCost", { cost: formatCost(estimate.cost), tokens });
+  return estimate.models > 1 ? `${text} · ${t("consensus.estimateModels", { count: estimate.models })}` : text;
+}
+
+/**
+ * Escapes text for safe interpolation into HTML templates
+ * @param {string} text - Untrusted text
+ * @returns {string} HTML-escaped text
+ */
+function escapeHtml(text) {
+  return String(text ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Renders the consensus block: agreement between models and each model's score
+ * @param {Object} consensus - { runs, spread, agreement } from a consensus summary
+ * @returns {string} HTML string (empty for single-model summaries)
+ */
+function renderConsensus(consensus) {
+  if (!Array.isArray(consensus?.runs) || consensus.runs.length === 0) return "";
+  const answered = consensus.runs.filter((r) => !r.error).length;
+  const headline = consensus.agreement
+    ? t("consensus.summary", {
+        count: answered,
+        agreement: t(`consensus.agreement_${consensus.agreement}`),
+        spread: consensus.spread,
+      })
+    : t("consensus.singleModel");
+  const items = consensus.runs
+    .map(
+      (r) => `<li>
+          <span>${escapeHtml(r.provider)} / ${escapeHtml(r.model)}</span>
+          <span>${r.error ? escapeHtml(describeErrorCode(r.error)) : `${r.privacy_score}/10`}</span>
+        </li>`,
+    )
+    .join("");
+  return `
+    <details class="consensus consensus-${consensus.agreement || "none"}">
+      <summary>${escapeHtml(headline)}</summary>
+      <ul class="consensus-runs">${items}</ul>
+    </details>
+  `;
+}
+
+/**
+ * Notes that a summary was made from the user's tab instead of the fetched policy
+ * @param {string} [scope] - "page" or "selection" (absent for fetched policies)
+ * @returns {string} HTML string (empty for fetched policies)
+ */
+function renderScope(scope) {
+  if (scope !== "page" && scope !== "selection") return "";
+  const label = scope === "selection" ? t("summary.scopeSelection") : t("summary.scopePage");
+  return `<p class="summary-scope">${escapeHtml(label)}</p>`;
+}
+
+/**
+ * Renders the documents a combined summary was made from
+ * @param {Array<Object>} [sources] - [{ url, title }], main policy first
+ * @returns {string} HTML string (empty for single-document summaries)
+ */
+function renderSources(sources) {
+  if (!Array.isArray(sources) || sources.length < 2) return "";
+  const items = sources
+    .map(
+      (s, i) => `<li>
+        <a href="${escapeHtml(s.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(s.title)}</a>
+        ${i === 0 ? `<span class="text-xs text-secondary-500">${escapeHtml(t("subpolicies.mainSource"))}</span>` : ""}
+      </li>`,
+    )
+    .join("");
+  return `
+    <div class="summary-sources">
+      <div class="text-sm font-semibold mb-1">${escapeHtml(t("subpolicies.sourcesTitle"))}</div>
+      <ul>${items}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Renders the findings list; each claim can be expanded to show its supporting quote.
+ * Claims whose quote could not be found in the policy text are flagged.
+ * @param {Array<Object>} findings - [{ claim, quote, severity?, verified, supportedBy?, source? }]
+ * @param {number} [models] - Models that answered in consensus mode; shows how many cited each quote
+ * @param {Array<Object>} [sources] - Documents of a combined summary ([{ url, title }]); each
+ *   finding then names the document its quote comes from
+ * @returns {string} HTML string (empty when there are no findings)
+ */
+function renderFindings(findings, models = 1, sources = []) {
+  if (!Array.isArray(findings) || findings.length === 0) return "";
+  const items = findings
+    .map((f) => {
+      const badge = f.verified
+        ? `<span class="finding-badge verified" title="${escapeHtml(t("summary.quoteVerified"))}">✓</span>`
+        : `<span class="finding-badge unverified">${escapeHtml(t("summary.quoteUnverified"))}</span>`;
+      const support =
+        models > 1 && f.supportedBy
+          ? `<span class="finding-support">${escapeHtml(t("consensus.supportedBy", { count: f.supportedBy, total: models }))}</span>`
+          : "";
+      // Summaries made before severities were requested have none
+      const severity = f.severity
+        ? `<span class="finding-severity severity-${escapeHtml(f.severity)}">${escapeHtml(t(`highlight.severity_${f.severity}`))}</span>`
+        : "";
+      const sourceTitle = sources.length > 1 ? sources.find((s) => s.url === f.source)?.title : "";
+      const source = sourceTitle
+        ? `<span class="finding-source" title="${escapeHtml(f.source)}">${escapeHtml(t("subpolicies.findingSource", { title: sourceTitle }))}</span>`
+        : "";
+      const quote = f.quote
+        ? `<details class="finding-quote">
+            <summary>${escapeHtml(t("summary.showQuote"))}</summary>
+            <blockquote>${escapeHtml(f.quote)}</blockquote>
+          </details>`
+        : "";
+      return `<li class="finding${f.verified ? "" : " finding-unverified"}">
+          <div>${severity} ${escapeHtml(f.claim)} ${badge} ${support} ${source}</div>
+          ${quote}
+        </li>`;
+    })
+    .join("");
+  return `
+    <div class="findings">
+      <div class="findings-header">
+        <h3>${escapeHtml(t("summary.findingsTitle"))}</h3>
+        <button type="button" class="findings-highlight" title="${escapeHtml(t("highlight.buttonHelp"))}">${escapeHtml(t("highlight.button"))}</button>
+      </div>
+      <ul class="findings-list">${items}</ul>
+    </div>
+  `;
+}
+
+/**
+ * Renders the rule-based pre-analysis: provisional score and matched practices
+ * @param {Object} heuristics - { privacy_score, flags } from heuristics.js
+ * @param {boolean} [final] - True when no AI summary follows (no provider configured)
+ * @returns {string} HTML string
+ */
+function renderHeuristics(heuristics, final = false) {
+  const score =
+    heuristics.privacy_score === null
+      ? `<p class="text-sm">${escapeHtml(t("heuristics.noMatches"))}</p>`
+      : `<p class="font-semibold">${escapeHtml(t("heuristics.score", { score: heuristics.privacy_score }))}</p>`;
+  const items = (heuristics.flags || [])
+    .map(
+      (f) => `<li class="heuristic-flag heuristic-${f.effect}">
+          <div>${f.effect === "risk" ? "⚠" : "✓"} ${escapeHtml(t(`heuristics.flag_${f.id}`))}</div>
+          <details class="finding-quote">
+            <summary>${escapeHtml(t("summary.showQuote"))}</summary>
+            <blockquote>${escapeHtml(f.quote)}</blockquote>
+          </details>
+        </li>`,
+    )
+    .join("");
+  return `
+    <div class="heuristics">
+      <h3>${escapeHtml(t("heuristics.title"))}</h3>
+      ${score}
+      ${items ? `<ul class="heuristic-flags">${items}</ul>` : ""}
+      <p class="heuristics-note">${escapeHtml(t(final ? "heuristics.noProvider" : "heuristics.provisional"))}</p>
+    </div>
+  `;
+}
+
 /**
  * Displays a summary in the summary element with proper formatting
  * Handles both simple text summaries and summaries with privacy scores
  * @param {string|object} summaryData - The summary data to display
  * @param {boolean} showScore - Whether to show privacy score (default: false)
+ * @param {string} [url] - Policy the summary belongs to (target of "Highlight on page")
  */
-function displaySummary(summaryData, showScore = false) {
+function displaySummary(summaryData, showScore = false, url = currentPolicyUrl) {
   const summaryEl = document.getElementById("summaryText");
 
+  // Rule-based result returned when no AI provider is configured
+  if (summaryData?.source === "heuristics") {
+    summaryEl.innerHTML = renderHeuristics(summaryData, true);
+    summaryEl.className = "summary-content";
+    return;
+  }
+
   // Extract summary text and metadata
   let summaryText;
   let privacyScore;
@@ -154,14 +485,6 @@ function displaySummary(summaryData, showScore = false) {
   
   if (shouldShowScore && privacyScore !== undefined) {
     // Create score display with color coding
-    const getScoreColor = (score) => {
-      if (score <= 2) return 'text-green-600 bg-green-100';
-      if (score <= 4) return 'text-blue-600 bg-blue-100';
-      if (score <= 6) return 'text-yellow-600 bg-yellow-100';
-      if (score <= 8) return 'text-orange-600 bg-orange-100';
-      return 'text-red-600 bg-red-100';
-    };
-    
     const scoreColor = getScoreColor(privacyScore);
     
     summaryEl.innerHTML = `
@@ -171,13 +494,27 @@ function displaySummary(summaryData, showScore = false) {
           <span class="text-sm">${scoreExplanation}</span>
         </div>
         <div class="w-full bg-gray-200 rounded-full h-2">
-          <div class="h-2 rounded-full ${scoreColor.includes('green') ? 'bg-green-600' : scoreColor.includes('blue') ? 'bg-blue-600' : scoreColor.includes('yellow') ? 'bg-yellow-600' : scoreColor.includes('orange') ? 'bg-orange-600' : 'bg-red-600'}" style="width: ${(privacyScore / 10) * 100}%"></div>
+          <div class="h-2 rounded-full ${getScoreBarColor(privacyScore)}" style="width: ${(privacyScore / 10) * 100}%"></div>
         </div>
+        ${summaryData.confidence === "low" ? `<p class="low-confidence">${t("summary.lowConfidence")}</p>` : ""}
+        ${renderConsensus(summaryData.consensus)}
+        ${renderCategoryBreakdown(summaryData.categories)}
       </div>
+      ${renderScope(summaryData.scope)}
       <div class="summary-content">
         ${DOMPurify.sanitize(marked.parse(summaryText))}
       </div>
+      ${renderSources(summaryData.sources)}
+      ${renderFindings(
+        summaryData.findings,
+        summaryData.consensus?.runs?.filter((r) => !r.error).length,
+        summaryData.sources,
+      )}
     `;
+    const highlightBtn = summaryEl.querySelector(".findings-highlight");
+    // Findings of a selection are not stored, so the background has nothing to highlight
+    if (summaryData.scope === "selection") highlightBtn?.remove();
+    else highlightBtn?.addEventListener("click", () => highlightOnPage(url));
   } else {
     // Simple summary display without score
     let html = DOMPurify.sanitize(marked.parse(summaryText));
@@ -192,6 +529,124 @@ function displaySummary(summaryData, showScore = false) {
 }
 
 
+/**
+ * Asks the background to highlight a summary's findings on the policy page
+ * (opened in a new tab when the active tab shows another page)
+ * @param {string} url - Policy URL
+ */
+async function highlightOnPage(url) {
+  const res = await chrome.runtime.sendMessage({ type: "HIGHLIGHT_POLICY", url, tabId: currentTabId });
+  if (!res || res.error) {
+    showNotification(describeErrorCode(res?.error || "HIGHLIGHT_FAILED"), "error");
+  } else if (res.found === 0) {
+    showNotification(t("highlight.noneFound"), "warning");
+  } else {
+    showNotification(t("highlight.found", { found: res.found, total: res.total }), "success");
+  }
+}
+
+/**
+ * Lets the user pick the related policies to summarize along with the main one
+ * @param {HTMLElement} container - Element to render the choice into (emptied afterwards)
+ * @param {Array<Object>} candidates - [{ url, title, kind, included }]
+ * @returns {Promise<string[]|null>} Selected URLs; empty for the main policy only, null to cancel
+ */
+function chooseSubPolicies(container, candidates) {
+  return new Promise((resolve) => {
+    const items = candidates
+      .map(
+        (c, i) => `
+        <li>
+          <label class="subpolicy-option">
+            <input type="checkbox" data-index="${i}" ${c.included ? "checked" : ""} />
+            <span class="subpolicy-kind">${escapeHtml(t(`subpolicies.kind_${c.kind}`))}</span>
+            <span class="subpolicy-title" title="${escapeHtml(c.url)}">${escapeHtml(c.title)}</span>
+          </label>
+        </li>`,
+      )
+      .join("");
+    container.innerHTML = `
+      <div class="subpolicies">
+        <p class="text-sm font-semibold">${escapeHtml(t("subpolicies.title"))}</p>
+        <p class="text-xs text-secondary-500 mb-2">${escapeHtml(t("subpolicies.help"))}</p>
+        <ul class="subpolicy-list">${items}</ul>
+        <div class="flex gap-2 mt-2">
+          <button type="button" class="btn btn-primary btn-sm subpolicies-include">${escapeHtml(t("subpolicies.include"))}</button>
+          <button type="button" class="btn btn-outline btn-sm subpolicies-main-only">${escapeHtml(t("subpolicies.mainOnly"))}</button>
+          <button type="button" class="btn btn-outline btn-sm subpolicies-cancel">${escapeHtml(t("buttons.cancel"))}</button>
+        </div>
+      </div>
+    `;
+    const done = (urls) => {
+      container.innerHTML = "";
+      resolve(urls);
+    };
+    container.querySelector(".subpolicies-include").addEventListener("click", () => {
+      const checked = container.querySelectorAll("input[type=checkbox]:checked");
+      done(Array.from(checked, (input) => candidates[Number(input.dataset.index)].url));
+    });
+    container.querySelector(".subpolicies-main-only").addEventListener("click", () => done([]));
+    container.querySelector(".subpolicies-cancel").addEventListener("click", () => done(null));
+  });
+}
+
+/**
+ * Runs summarization over a long-lived port so partial output can be streamed
+ * @param {string} url - Policy URL
+ * @param {number} tabId - Tab the policy was detected in
+ * @param {Object} handlers - { onProgress(msg), onDelta(markdown), onEstimate(msg),
+ *   onHeuristics(heuristics), onSubPolicies(candidates) }; onEstimate resolves to true/false when
+ *   `msg.needsConfirm` is set, onSubPolicies to the URLs to include (null cancels). `page`
+ *   (see readCurrentPage) is summarized instead of fetching the URL.
+ * @returns {Promise<Object>} Final { summary } or { error }
+ */
+function requestStreamedSummary(url, tabId, { onProgress, onDelta, onEstimate, onHeuristics, onSubPolicies, page }) {
+  return new Promise((resolve) => {
+    const port = chrome.runtime.connect({ name: "summarize" });
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      resolve(result);
+    };
+    port.onMessage.addListener((msg) => {
+      if (msg?.type === "SUMMARY_PROGRESS") onProgress(msg);
+      else if (msg?.type === "SUMMARY_DELTA") onDelta(msg.markdown);
+      else if (msg?.type === "SUMMARY_HEURISTICS") onHeuristics(msg.heuristics);
+      else if (msg?.type === "SUMMARY_ESTIMATE") {
+        Promise.resolve(onEstimate(msg)).then((proceed) => {
+          if (msg.needsConfirm && !settled) port.postMessage({ type: "CONFIRM_COST", proceed: Boolean(proceed) });
+        });
+      }
+      else if (msg?.type === "SUMMARY_SUBPOLICIES") {
+        Promise.resolve(onSubPolicies(msg.candidates)).then((urls) => {
+          if (!settled) port.postMessage({ type: "SELECT_SUBPOLICIES", urls });
+        });
+      }
+      else if (msg?.type === "SUMMARY_RESULT") finish(msg);
+    });
+    // Service worker restarted or crashed before answering
+    port.onDisconnect.addListener(() => finish({ error: "FAILED" }));
+    port.postMessage({ type: "SUMMARIZE_POLICY", url, tabId, page });
+  });
+}
+
+/**
+ * Reads what the tab shows through its content script: the selected text, or the rendered page
+ * @param {number} tabId - Tab to read
+ * @returns {Promise<Object|null>} { url, title, selection } or { url, title, html }; null when
+ *   the content script is not running there (browser pages, tabs opened before installing)
+ */
+async function readCurrentPage(tabId) {
+  try {
+    const page = await chrome.tabs.sendMessage(tabId, { type: "GET_PAGE_CONTENT" });
+    return page?.url ? page : null;
+  } catch (_) {
+    return null;
+  }
+}
+
 /**
   * Renders the history list with natural scroll
   * Displays stored policy summaries with domain, date, and action buttons
@@ -205,6 +660,10 @@ async function renderHistory() {
     ...data,
   }));
   entries.sort((a, b) => (b.date || 0) - (a.date || 0));
+  // Flag AI summaries produced by a different prompt than the active one
+  const { version: currentPromptVersion } = await resolvePromptTemplate();
+  const watchlist = await getWatchlist();
+  const { policyVersions = {} } = await chrome.storage.local.get("policyVersions");
   
   listEl.innerHTML = "";
   
@@ -225,7 +684,7 @@ async function renderHistory() {
   if (clearBtn) clearBtn.classList.remove("hidden");
   
   // Render all entries (natural scroll)
-  entries.forEach(({ url, summary, date }) => {
+  entries.forEach(({ url, summary, date, hash, promptVersion }) => {
     const item = document.createElement("div");
     item.className = "card hover-lift";
     
@@ -254,17 +713,21 @@ async function renderHistory() {
     }
 
     const dateStr = date ? new Date(date).toLocaleDateString() : "";
+    const promptNote =
+      privacyScore !== undefined && promptVersion !== currentPromptVersion
+        ? ` · <span title="${t("history.olderPromptHelp")}">${t("history.olderPrompt", { version: promptVersion || "?" })}</span>`
+        : "";
+
+    // Watched policies whose text changed after this summary was made
+    const watch = watchlist[url];
+    const changedNote =
+      watch?.changedAt && watch.changedAt > (date || 0)
+        ? ` · <span class="watch-changed" title="${t("watch.changedHelp")}">${t("watch.changedBadge")}</span>`
+        : "";
 
     // Create score badge if available
     let scoreBadge = '';
     if (privacyScore !== undefined) {
-      const getScoreColor = (score) => {
-        if (score <= 2) return 'text-green-600 bg-green-100';
-        if (score <= 4) return 'text-blue-600 bg-blue-100';
-        if (score <= 6) return 'text-yellow-600 bg-yellow-100';
-        if (score <= 8) return 'text-orange-600 bg-orange-100';
-        return 'text-red-600 bg-red-100';
-      };
       const scoreColor = getScoreColor(privacyScore);
       scoreBadge = `<span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${scoreColor}">${t("history.scoreBadge", { score: privacyScore })}</span>`;
     }
@@ -285,8 +748,18 @@ async function renderHistory() {
                ${scoreBadge}
              </div>
              <div class="flex items-center justify-between mt-1">
-               <p class="card-subtitle text-xs">${dateStr}</p>
+               <p class="card-subtitle text-xs">${dateStr}${promptNote}${changedNote}</p>
                <div class="flex gap-2">
+                 ${(policyVersions[url]?.length || 0) > 1 ? `<button class="btn-outline btn-sm versions-summary" data-url="${url}" title="${t("versions.buttonHelp", { count: policyVersions[url].length })}">
+                   <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 7v8a2 2 0 002 2h6M8 7V5a2 2 0 012-2h4.586a1 1 0 01.707.293l4.414 4.414a1 1 0 01.293.707V15a2 2 0 01-2 2h-2M8 7H6a2 2 0 00-2 2v10a2 2 0 002 2h8a2 2 0 002-2v-2"/>
+                   </svg>
+                 </button>` : ""}
+                 <button class="btn-outline btn-sm watch-summary${watch ? " watching" : ""}" data-url="${url}" aria-pressed="${Boolean(watch)}" title="${t(watch ? "watch.unwatch" : "watch.watch")}">
+                   <svg class="w-4 h-4" fill="${watch ? "currentColor" : "none"}" stroke="currentColor" viewBox="0 0 24 24">
+                     <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9"/>
+                   </svg>
+                 </button>
                  <button class="btn-outline btn-sm view-summary" data-url="${url}">
                    <svg class="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                      <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"/>
@@ -311,12 +784,27 @@ async function renderHistory() {
     
     // Add event listeners for view and delete actions
     item.querySelector(".view-summary").addEventListener("click", () => {
-      displaySummary(summary, true);
+      displaySummary(summary, true, url);
       showTab("summary");
     });
     
+    item.querySelector(".versions-summary")?.addEventListener("click", () => openVersions(url));
+
+    item.querySelector(".watch-summary").addEventListener("click", async () => {
+      if (watch) {
+        await unwatchPolicy(url);
+        showNotification(t("watch.unwatched"), "success");
+      } else {
+        await watchPolicy(url, hash);
+        showNotification(t("watch.watched"), "success");
+      }
+      await renderHistory();
+    });
+
     item.querySelector(".delete-summary").addEventListener("click", async () => {
       await removeSummary(url);
+      await unwatchPolicy(url);
+      await removePolicyVersions(url);
       await renderHistory();
       showNotification(t("alerts.summaryDeleted"), "success");
     });
@@ -336,6 +824,9 @@ function setupHistory() {
     const confirmed = await showConfirm(t("confirm.clearAll"));
     if (confirmed) {
       await clearSummaries();
+      await clearPolicyVersions();
+      // Watched policies are only listed in the history
+      for (const url of Object.keys(await getWatchlist())) await unwatchPolicy(url);
       renderHistory();
       showNotification(t("alerts.cacheCleared"), "success");
     }
@@ -344,15 +835,176 @@ function setupHistory() {
   renderHistory();
 }
 
+// Policy shown in the versions view and its recorded versions (oldest first)
+let versionsUrl = "";
+let versionsList = [];
+
+/**
+ * Labels a version for the pickers: date plus score when it was summarized
+ * @param {Object} version - { date, summary }
+ * @returns {string} Option label
+ */
+function describeVersion(version) {
+  const date = new Date(version.date).toLocaleString();
+  const score = version.summary?.privacy_score;
+  return score === undefined ? t("versions.notSummarized", { date }) : t("versions.option", { date, score });
+}
+
+/**
+ * Renders the side-by-side diff between the two picked versions, plus a cached AI
+ * comparison if there is one
+ */
+function renderVersionDiff() {
+  const from = versionsList[Number(document.getElementById("versionFrom").value)];
+  const to = versionsList[Number(document.getElementById("versionTo").value)];
+  const diffEl = document.getElementById("versionsDiff");
+  const statsEl = document.getElementById("versionsStats");
+  const comparisonEl = document.getElementById("versionsComparison");
+  if (!from || !to) return;
+
+  const ops = diffTexts(from.text, to.text);
+  const { added, removed } = diffStats(ops);
+  statsEl.textContent = added + removed === 0 ? t("versions.noChanges") : t("versions.stats", { added, removed });
+  document.getElementById("versionsCompare").disabled = from === to || added + removed === 0;
+
+  const rows = toSideBySide(ops)
+    .map((row) =>
+      row.type === "skip"
+        ? `<tr class="diff-skip"><td colspan="2">${escapeHtml(t("versions.skipped", { count: row.count }))}</td></tr>`
+        : `<tr class="diff-${row.type}"><td>${escapeHtml(row.left)}</td><td>${escapeHtml(row.right)}</td></tr>`,
+    )
+    .join("");
+  diffEl.innerHTML = rows
+    ? `<table class="diff-table">
+        <thead><tr><th>${escapeHtml(describeVersion(from))}</th><th>${escapeHtml(describeVersion(to))}</th></tr></thead>
+        <tbody>${rows}</tbody>
+      </table>`
+    : "";
+
+  const cached = to.comparisons?.[from.hash];
+  comparisonEl.classList.toggle("hidden", !cached);
+  if (cached) comparisonEl.innerHTML = renderComparison(cached);
+}
+
+/**
+ * Renders an AI comparison: verdict badge and Markdown explanation
+ * @param {Object} comparison - { verdict, summary }
+ * @returns {string} HTML string
+ */
+function renderComparison({ verdict, summary }) {
+  return `
+    <span class="verdict verdict-${escapeHtml(verdict)}">${escapeHtml(t(`versions.verdict_${verdict}`))}</span>
+    ${DOMPurify.sanitize(marked.parse(summary || ""))}
+  `;
+}
+
+/**
+ * Opens the versions view for a policy, comparing its two most recent versions
+ * @param {string} url - Policy URL
+ */
+async function openVersions(url) {
+  versionsUrl = url;
+  versionsList = await getPolicyVersions(url);
+  let domain = url;
+  try {
+    domain = new URL(url).hostname;
+  } catch (_) {}
+  document.getElementById("versionsTitle").textContent = t("versions.title", { domain });
+
+  const options = versionsList
+    .map((v, i) => `<option value="${i}">${escapeHtml(describeVersion(v))}</option>`)
+    .join("");
+  const fromEl = document.getElementById("versionFrom");
+  const toEl = document.getElementById("versionTo");
+  fromEl.innerHTML = options;
+  toEl.innerHTML = options;
+  fromEl.value = String(Math.max(0, versionsList.length - 2));
+  toEl.value = String(versionsList.length - 1);
+  renderVersionDiff();
+  showTab("versions");
+}
+
+/**
+ * Asks the background to explain the changes between two versions over a streaming port
+ * @param {string} url - Policy URL
+ * @param {string} fromHash - Earlier version
+ * @param {string} toHash - Later version
+ * @param {Function} onDelta - Called with the partial Markdown explanation
+ * @returns {Promise<Object>} Final { comparison } or { error }
+ */
+function requestStreamedComparison(url, fromHash, toHash, onDelta) {
+  return new Promise((resolve) => {
+    const port = chrome.runtime.connect({ name: "compare" });
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      resolve(result);
+    };
+    port.onMessage.addListener((msg) => {
+      if (msg?.type === "COMPARE_DELTA") onDelta(msg.markdown);
+      else if (msg?.type === "COMPARE_RESULT") finish(msg);
+    });
+    port.onDisconnect.addListener(() => finish({ error: "FAILED" }));
+    port.postMessage({ type: "COMPARE_VERSIONS", url, fromHash, toHash });
+  });
+}
+
+/**
+ * Sets up the versions view (opened from the history)
+ */
+function setupVersions() {
+  const compare = document.getElementById("versionsCompare");
+  const comparisonEl = document.getElementById("versionsComparison");
+
+  document.getElementById("versionsBack").addEventListener("click", () => {
+    renderHistory();
+    showTab("history");
+  });
+  document.getElementById("versionFrom").addEventListener("change", renderVersionDiff);
+  document.getElementById("versionTo").addEventListener("change", renderVersionDiff);
+
+  compare.addEventListener("click", async () => {
+    const from = versionsList[Number(document.getElementById("versionFrom").value)];
+    const to = versionsList[Number(document.getElementById("versionTo").value)];
+    if (!from || !to) return;
+    compare.disabled = true;
+    comparisonEl.classList.remove("hidden");
+    comparisonEl.textContent = t("versions.comparing");
+
+    const res = await requestStreamedComparison(versionsUrl, from.hash, to.hash, (markdown) => {
+      comparisonEl.innerHTML = DOMPurify.sanitize(marked.parse(markdown));
+    });
+    if (res.error) {
+      comparisonEl.textContent = describeErrorCode(res.error);
+    } else {
+      // Keep the cached copy in sync so switching versions back shows it
+      to.comparisons = { ...to.comparisons, [from.hash]: res.comparison };
+      comparisonEl.innerHTML = renderComparison(res.comparison);
+    }
+    compare.disabled = false;
+  });
+}
+
 /**
  * Sets up the summary page functionality
  * Handles policy detection, summarization, and display
+ * @param {Object} [options]
+ * @param {Function} [options.onTabLoaded] - Awaited after a tab was loaded or a page summary
+ *   changed the text the Ask tab uses
+ * @returns {Object} { loadTab(tab), showPanelRun(run) }: show the state of a tab (detected
+ *   policy, stored summary, ToS;DR rating) and a context-menu summary of it
  */
-async function setupSummary() {
+function setupSummary({ onTabLoaded } = {}) {
   const summaryEl = document.getElementById("summaryText");
   const btn = document.getElementById("summarize");
+  const pageBtn = document.getElementById("summarizePage");
   let hasCurrentSummary = false;
   const taglineEl = document.getElementById("tagline");
+  const mascotImg = document.getElementById("mascotImg");
+  // Restored when the side panel switches to a tab without a summary
+  const placeholderHtml = summaryEl.innerHTML;
 
   // Get TOSDR button (already exists in HTML)
   const tosdrButton = document.getElementById("tosdrButton");
@@ -360,73 +1012,85 @@ async function setupSummary() {
   // TOSDR functionality
   let tosdrData = null;
 
-  // Get current tab and policy URL
-  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-  currentTabId = tab.id;
-  
-  const { url } = await chrome.runtime.sendMessage({
-    type: "GET_POLICY_LINK",
-    tabId: currentTabId,
-  });
-  currentPolicyUrl = url;
-  // Toggle mascot image based on detection
-  const mascotImg = document.getElementById("mascotImg");
-  if (mascotImg) {
-    mascotImg.src = url ? "../assets/raccoonhello.png" : "../assets/raccoon.png";
-  }
-
   if (taglineEl) taglineEl.textContent = t("app.subtitle");
   
   /**
    * Performs policy summarization
    * Handles both new JSON format with privacy scores and legacy string format
    */
-  const summarize = async () => {
-    if (!currentPolicyUrl) {
+  const summarize = async ({ fromPage = false } = {}) => {
+    // "Summarize this page": what the tab shows, for pages that cannot be refetched
+    // (logins, paywalls, consent walls)
+    let page;
+    if (fromPage) {
+      if (isSidePanel) {
+        // The panel may still show an earlier tab; read the one the user is looking at
+        const [active] = await chrome.tabs.query({ active: true, currentWindow: true });
+        if (active && active.id !== currentTabId) await loadTab(active);
+      }
+      page = await readCurrentPage(currentTabId);
+      if (!page) {
+        showNotification(describeErrorCode("PAGE_UNAVAILABLE"), "warning");
+        return;
+      }
+    } else if (!currentPolicyUrl) {
       showNotification(t("alerts.noPolicy"), "warning");
       return;
     }
+    const targetUrl = page ? page.url.split("#")[0] : currentPolicyUrl;
     
     const previousMode = btn.dataset.mode || (hasCurrentSummary ? "resummarize" : "summarize");
     // If we are in re-summarize mode, clear existing cache so it regenerates
-    if (previousMode === "resummarize") {
+    if (!page && previousMode === "resummarize") {
       await removeSummary(currentPolicyUrl);
     }
 
     // Update UI to show loading state
     setButtonStateLoading();
+    pageBtn.disabled = true;
     
     summaryEl.innerHTML = `
       <div class="text-center py-8">
         <div class="spinner-lg mx-auto mb-4"></div>
-        <p id="summaryProgressText" class="text-secondary-600">${t("summary.collectingPolicy")}</p>
+        <p id="summaryProgressText" class="text-secondary-600">${t(page ? "summary.readingPage" : "summary.collectingPolicy")}</p>
+        <p id="summaryEstimateText" class="text-xs text-secondary-400 mt-1"></p>
       </div>
+      <div id="summarySubPolicies"></div>
+      <div id="summaryHeuristics"></div>
     `;
     summaryEl.className = "summary-placeholder";
     
     let succeeded = false;
     try {
-      // Listen for progress updates from background
-        const progressHandler = (msg) => {
-          if (msg?.type !== "SUMMARY_PROGRESS" || msg.tabId !== currentTabId) {
-            return;
-          }
+      const res = await requestStreamedSummary(targetUrl, currentTabId, {
+        page,
+        onProgress: (msg) => {
           const progressText = document.getElementById("summaryProgressText");
-          if (!progressText) {
-            return;
+          const text = describeProgress(msg);
+          if (progressText && text) progressText.textContent = text;
+        },
+        // Provisional keyword result until the model starts writing
+        onHeuristics: (heuristics) => {
+          const heuristicsEl = document.getElementById("summaryHeuristics");
+          if (heuristicsEl) heuristicsEl.innerHTML = renderHeuristics(heuristics);
+        },
+        onSubPolicies: (candidates) => {
+          const container = document.getElementById("summarySubPolicies");
+          return container ? chooseSubPolicies(container, candidates) : [];
+        },
+        onEstimate: (msg) => {
+          const estimateText = document.getElementById("summaryEstimateText");
+          if (estimateText) estimateText.textContent = describeEstimate(msg.estimate);
+          if (msg.needsConfirm) {
+            return showConfirm(t("confirm.costAboveThreshold", { estimate: describeEstimate(msg.estimate) }));
           }
-          if (msg.step === "fetching_policy") progressText.textContent = t("summary.collectingPolicy");
-          else if (msg.step === "policy_fetched") progressText.textContent = t("summary.sendingRequest");
-          else if (msg.step === "sending_request") progressText.textContent = t("summary.waitingModel");
-          else if (msg.step === "tosdr_found") progressText.textContent = t("summary.usingTosdr");
-        };
-      chrome.runtime.onMessage.addListener(progressHandler);
-      const res = await chrome.runtime.sendMessage({
-        type: "SUMMARIZE_POLICY",
-        url: currentPolicyUrl,
-        tabId: currentTabId,
+        },
+        // Render partial Markdown as the model writes it; sanitize on every update
+        onDelta: (markdown) => {
+          summaryEl.innerHTML = DOMPurify.sanitize(marked.parse(markdown));
+          summaryEl.className = "summary-content";
+        },
       });
-      chrome.runtime.onMessage.removeListener(progressHandler);
       
                            if (res.summary) {
           // Handle new JSON format with privacy score
@@ -444,50 +1108,37 @@ async function setupSummary() {
             summaryContent = res.summary;
           }
           
-          displaySummary(res.summary, true);
-          showNotification(t("alerts.summaryGenerated"), "success");
-          hasCurrentSummary = true;
-          succeeded = true;
+          displaySummary(res.summary, true, targetUrl);
+          if (res.summary.source === "heuristics") showNotification(t("heuristics.noProvider"), "warning");
+          else showNotification(t("alerts.summaryGenerated"), "success");
+          // The main button stays about the detected policy
+          if (!page) hasCurrentSummary = true;
+          if (page && !page.selection) await askAbout(targetUrl);
+          succeeded = !page;
           if (mascotImg) mascotImg.src = "../assets/raccoonhello.png";
-        } else if (res.error) {
+        } else if (res.error === "CANCELLED") {
           summaryEl.innerHTML = `
             <div class="text-center py-8 text-secondary-500">
-              <svg class="w-12 h-12 mx-auto mb-3 text-secondary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/>
-              </svg>
-              <p class="text-sm">${t("error.failedSummaryTitle")}</p>
-              <p class="text-xs text-secondary-400">${t("error.failedSummarySubtitle")}</p>
+              <p class="text-sm">${t("errorCodes.CANCELLED")}</p>
             </div>
           `;
           summaryEl.className = "summary-placeholder";
-          showNotification(t("alerts.failedGenerate"), "error");
+        } else if (res.error) {
+          summaryEl.innerHTML = renderSummaryError(t("error.failedSummaryTitle"), describeErrorCode(res.error));
+          summaryEl.className = "summary-placeholder";
+          showNotification(describeErrorCode(res.error), "error");
         } else {
-          summaryEl.innerHTML = `
-            <div class="text-center py-8 text-secondary-500">
-              <svg class="w-12 h-12 mx-auto mb-3 text-secondary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/>
-              </svg>
-              <p class="text-sm">${t("error.failedSummaryTitle")}</p>
-              <p class="text-xs text-secondary-400">${t("error.failedSummarySubtitle")}</p>
-            </div>
-          `;
+          summaryEl.innerHTML = renderSummaryError(t("error.failedSummaryTitle"), t("error.failedSummarySubtitle"));
           summaryEl.className = "summary-placeholder";
           showNotification(t("alerts.failedGenerate"), "error");
         }
     } catch (error) {
       console.error("Popup: Error during summarization:", error);
-      summaryEl.innerHTML = `
-        <div class="text-center py-8 text-secondary-500">
-          <svg class="w-12 h-12 mx-auto mb-3 text-secondary-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-2.5L13.732 4c-.77-.833-1.964-.833-2.732 0L3.732 16.5c-.77.833.192 2.5 1.732 2.5z"/>
-          </svg>
-          <p class="text-sm">${t("error.title")}</p>
-          <p class="text-xs text-secondary-400">${t("error.checkConnection")}</p>
-        </div>
-      `;
+      summaryEl.innerHTML = renderSummaryError(t("error.title"), t("error.checkConnection"));
       summaryEl.className = "summary-placeholder";
       showNotification(t("alerts.errorOccurred"), "error");
     } finally {
+      pageBtn.disabled = false;
       if (succeeded) {
         setButtonModeResummarize();
       } else {
@@ -501,9 +1152,54 @@ async function setupSummary() {
     }
   };
 
-  // Load existing summary if available
-  if (url) {
-    const stored = await getSummary(url);
+  /**
+   * Shows a context-menu summary run of the side panel's tab (see summarizeInPanel in
+   * background.js): progress, the error or the result
+   * @param {Object} run - { url, scope, status, progress?, summary?, error? }
+   */
+  const showPanelRun = (run) => {
+    if (run.status === "running") {
+      summaryEl.innerHTML = `
+        <div class="text-center py-8">
+          <div class="spinner-lg mx-auto mb-4"></div>
+          <p class="text-secondary-600">${escapeHtml(describeProgress(run.progress) || t("summary.collectingPolicy"))}</p>
+          <p class="text-xs text-secondary-400 mt-1 summary-run-url">${escapeHtml(run.url)}</p>
+        </div>
+      `;
+      summaryEl.className = "summary-placeholder";
+    } else if (run.status === "error") {
+      summaryEl.innerHTML = renderSummaryError(t("error.failedSummaryTitle"), describeErrorCode(run.error));
+      summaryEl.className = "summary-placeholder";
+    } else {
+      displaySummary(run.summary, true, run.url);
+      if (run.scope !== "selection" && run.url !== currentAskUrl) askAbout(run.url);
+    }
+  };
+
+  /**
+   * Loads the state of a tab: its detected policy with the stored summary and the ToS;DR
+   * rating. In the side panel the tab's context-menu summary, if any, is shown instead of the
+   * stored one.
+   * @param {Object} tab - Tab to show
+   */
+  const loadTab = async (tab) => {
+    currentTabId = tab.id;
+    const { url } = await chrome.runtime.sendMessage({
+      type: "GET_POLICY_LINK",
+      tabId: currentTabId,
+    });
+    currentPolicyUrl = url;
+    currentAskUrl = url;
+    // Toggle mascot image based on detection
+    if (mascotImg) {
+      mascotImg.src = url ? "../assets/raccoonhello.png" : "../assets/raccoon.png";
+    }
+
+    // Load existing summary if available
+    hasCurrentSummary = false;
+    summaryEl.innerHTML = placeholderHtml;
+    summaryEl.className = "summary-placeholder";
+    const stored = url ? await getSummary(url) : null;
     if (stored) {
       displaySummary(stored.summary);
       hasCurrentSummary = true;
@@ -513,18 +1209,34 @@ async function setupSummary() {
       // Don't auto-summarize, just show the button
       setButtonModeSummarize();
     }
-  } else {
-    setButtonModeSummarize();
-  }
-  
-  // Always check TOSDR when policy is detected (separate from AI)
-  if (url) {
-    await checkTosdr();
-  } else {
-    showTosdrNoData();
-  }
+    if (isSidePanel) {
+      const { run } = (await chrome.runtime.sendMessage({ type: "GET_PANEL_RUN", tabId: currentTabId })) || {};
+      if (run) showPanelRun(run);
+    }
+
+    // Always check TOSDR when policy is detected (separate from AI)
+    tosdrData = null;
+    hideTosdrDetails();
+    if (url) {
+      await checkTosdr();
+    } else {
+      showTosdrNoData();
+    }
+    if (onTabLoaded) await onTabLoaded();
+  };
+
+  /**
+   * Points the Ask tab at the text cached under a summary's URL
+   * @param {string} url - URL the summary was saved under
+   */
+  const askAbout = async (url) => {
+    currentAskUrl = url;
+    if (onTabLoaded) await onTabLoaded();
+  };
 
-  btn.addEventListener("click", summarize);
+  btn.addEventListener("click", () => summarize());
+  pageBtn.addEventListener("click", () => summarize({ fromPage: true }));
+  tosdrButton.addEventListener("click", showTosdrDetails);
 
   async function checkTosdr() {
     if (!currentPolicyUrl) return;
@@ -580,9 +1292,6 @@ async function setupSummary() {
         <span class="ml-3 px-3 py-1.5 rounded-full text-sm font-bold ${ratingColor} shadow-sm">${tosdrData.rating}</span>
       </div>
     `;
-    
-    // Add click event for TOSDR details
-    tosdrButton.addEventListener('click', showTosdrDetails);
   }
   
   function getRatingColor(rating) {
@@ -719,6 +1428,154 @@ async function setupSummary() {
   // Removed "More options" button and side panel action
 
   // Manual link management moved to options page
+  return { loadTab, showPanelRun };
+}
+
+/**
+ * Asks a question over a long-lived port so the answer can be streamed
+ * @param {string} url - Policy URL
+ * @param {number} tabId - Tab the policy was detected in
+ * @param {string} question - User question
+ * @param {Function} onDelta - Called with the partial Markdown answer
+ * @returns {Promise<Object>} Final { answer } or { error }
+ */
+function requestStreamedAnswer(url, tabId, question, onDelta) {
+  return new Promise((resolve) => {
+    const port = chrome.runtime.connect({ name: "ask" });
+    let settled = false;
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      port.disconnect();
+      resolve(result);
+    };
+    port.onMessage.addListener((msg) => {
+      if (msg?.type === "ANSWER_DELTA") onDelta(msg.markdown);
+      else if (msg?.type === "ANSWER_RESULT") finish(msg);
+    });
+    port.onDisconnect.addListener(() => finish({ error: "FAILED" }));
+    port.postMessage({ type: "ASK_POLICY", url, tabId, question });
+  });
+}
+
+/**
+ * Sets up the Ask tab
+ * Shows the stored conversation about the current policy and sends new questions
+ * @returns {Function} Renders the conversation of the current policy (call when it changes)
+ */
+function setupAsk() {
+  const messagesEl = document.getElementById("askMessages");
+  const form = document.getElementById("askForm");
+  const input = document.getElementById("askInput");
+  const send = document.getElementById("askSend");
+  const clear = document.getElementById("askClear");
+
+  const appendMessage = (role, content) => {
+    const el = document.createElement("div");
+    el.className = `ask-message ask-message-${role}`;
+    if (role === "assistant") el.innerHTML = DOMPurify.sanitize(marked.parse(content));
+    else el.textContent = content;
+    messagesEl.appendChild(el);
+    messagesEl.scrollTop = messagesEl.scrollHeight;
+    return el;
+  };
+
+  const render = async () => {
+    messagesEl.innerHTML = "";
+    if (!currentAskUrl) {
+      messagesEl.innerHTML = `<p class="summary-placeholder text-sm">${t("ask.noPolicy")}</p>`;
+      return;
+    }
+    const messages = await getChat(currentAskUrl);
+    if (!messages.length) {
+      messagesEl.innerHTML = `<p class="summary-placeholder text-sm">${t("ask.empty")}</p>`;
+      return;
+    }
+    messages.forEach((m) => appendMessage(m.role, m.content));
+  };
+
+  const setBusy = (busy) => {
+    send.disabled = busy || !currentAskUrl;
+    input.disabled = busy || !currentAskUrl;
+    clear.disabled = busy || !currentAskUrl;
+  };
+
+  form.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const question = input.value.trim();
+    if (!question || !currentAskUrl) return;
+
+    messagesEl.querySelector(".summary-placeholder")?.remove();
+    appendMessage("user", question);
+    input.value = "";
+    setBusy(true);
+
+    const answerEl = appendMessage("assistant", t("ask.thinking"));
+    const res = await requestStreamedAnswer(currentAskUrl, currentTabId, question, (markdown) => {
+      answerEl.innerHTML = DOMPurify.sanitize(marked.parse(markdown));
+      messagesEl.scrollTop = messagesEl.scrollHeight;
+    });
+    if (res.error) {
+      answerEl.className = "ask-message ask-message-error";
+      answerEl.textContent = describeErrorCode(res.error);
+    } else {
+      answerEl.innerHTML = DOMPurify.sanitize(marked.parse(res.answer));
+    }
+    setBusy(false);
+    input.focus();
+  });
+
+  // Enter sends, Shift+Enter inserts a newline
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      form.requestSubmit();
+    }
+  });
+
+  clear.addEventListener("click", async () => {
+    const confirmed = await showConfirm(t("confirm.clearChat"));
+    if (confirmed) {
+      await clearChat(currentAskUrl);
+      render();
+    }
+  });
+
+  return async () => {
+    setBusy(false);
+    await render();
+  };
+}
+
+/**
+ * Side panel only: switches to the tab the user activates, or that finishes loading, when it has
+ * something to show (a detected policy or a context-menu summary). Other tabs keep the current
+ * view, so a summary stays open next to the policy it was made from.
+ * @param {Object} summaryView - { loadTab, showPanelRun } from setupSummary
+ */
+async function followActiveTab({ loadTab, showPanelRun }) {
+  const { id: windowId } = await chrome.windows.getCurrent();
+  const follow = async (tabId) => {
+    if (tabId === currentTabId) return;
+    const tab = await chrome.tabs.get(tabId).catch(() => null);
+    if (!tab?.active || tab.windowId !== windowId) return;
+    const [{ url }, { run }] = await Promise.all([
+      chrome.runtime.sendMessage({ type: "GET_POLICY_LINK", tabId }),
+      chrome.runtime.sendMessage({ type: "GET_PANEL_RUN", tabId }),
+    ]);
+    if (url || run) await loadTab(tab);
+  };
+  chrome.tabs.onActivated.addListener(({ tabId }) => follow(tabId));
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (changeInfo.status === "complete") follow(tabId);
+  });
+  // Context-menu summaries pushed by the background; one started in another tab of this
+  // window (the menu was used there) takes over the panel
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message?.type !== "PANEL_RUN_UPDATE") return;
+    if (message.tabId === currentTabId) showPanelRun(message.run);
+    else follow(message.tabId);
+  });
 }
 
 /**
@@ -728,7 +1585,11 @@ async function setupSummary() {
 async function init() {
   setupTabs();
   setupHistory();
-  await setupSummary();
+  setupVersions();
+  const summaryView = setupSummary({ onTabLoaded: setupAsk() });
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  await summaryView.loadTab(tab);
+  if (isSidePanel) await followActiveTab(summaryView);
 }
 
 // Initialize i18n then the popup
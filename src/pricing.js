@@ -0,0 +1,65 @@
+/**
+ * Pricing utilities for the Privacy Policy Extension
+ * Converts token counts into an approximate USD cost per provider/model.
+ *
+ * Notes for maintainers:
+ * - Prices are USD per 1M tokens as published by each provider; update them when
+ *   adding models to PROVIDER_MODELS in options.js.
+ * - Local providers (Ollama) cost nothing; custom gateways have unknown pricing (null).
+ */
+
+// USD per 1M tokens: { input, output }
+const MODEL_PRICING = {
+  xai: {
+    "grok-3-mini": { input: 0.3, output: 0.5 },
+    "grok-3": { input: 3, output: 15 },
+  },
+  openai: {
+    "gpt-4o-mini": { input: 0.15, output: 0.6 },
+    "gpt-4o": { input: 2.5, output: 10 },
+    "gpt-4.1-mini": { input: 0.4, output: 1.6 },
+  },
+  anthropic: {
+    "claude-haiku-4-5": { input: 1, output: 5 },
+    "claude-sonnet-4-5": { input: 3, output: 15 },
+    "claude-3-5-haiku-latest": { input: 0.8, output: 4 },
+  },
+};
+
+// Estimated cost (USD) above which the popup asks before sending a policy
+export const DEFAULT_COST_CONFIRM_THRESHOLD = 0.05;
+
+/**
+ * Returns the price of a provider/model pair
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @returns {{input: number, output: number}|null} USD per 1M tokens, null if unknown
+ */
+export function getModelPricing(provider, model) {
+  if (provider === "ollama") return { input: 0, output: 0 };
+  return MODEL_PRICING[provider]?.[model] || null;
+}
+
+/**
+ * Computes the cost of a request or a set of requests
+ * @param {string} provider - Provider id
+ * @param {string} model - Model id
+ * @param {{inputTokens: number, outputTokens: number}} usage - Token counts
+ * @returns {number|null} Cost in USD, null if the model's pricing is unknown
+ */
+export function computeCost(provider, model, { inputTokens = 0, outputTokens = 0 } = {}) {
+  const pricing = getModelPricing(provider, model);
+  if (!pricing) return null;
+  return (inputTokens * pricing.input + outputTokens * pricing.output) / 1e6;
+}
+
+/**
+ * Formats a USD cost for display
+ * @param {number} cost - Cost in USD
+ * @returns {string} e.g. "$0.12" or "<$0.01"
+ */
+export function formatCost(cost) {
+  if (cost === 0) return "$0";
+  if (cost < 0.01) return "<$0.01";
+  return `$${cost.toFixed(2)}`;
+}
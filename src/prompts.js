@@ -0,0 +1,257 @@
+/**
+ * Prompt templates for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Ship the default analysis template and resolve the user's override from storage
+ * - Version templates so saved summaries record which prompt produced them
+ * - Assemble system prompts: editable instructions + fixed output contract
+ * - Fixed prompts for follow-up questions and for comparing two versions of a policy
+ *
+ * Notes for maintainers:
+ * - Only the instructions are editable. The output contract (JSON shape, categories, score
+ *   rules) is appended verbatim so schema validation in ai.js keeps working.
+ * - Bump DEFAULT_PROMPT_VERSION whenever DEFAULT_PROMPT_TEMPLATE or the contract changes.
+ * - Template variables use `{name}`; unknown names are left as typed.
+ * - The revision counter survives resets so a `custom-N` version is never reused.
+ */
+
+import { getPromptTemplate, savePromptTemplate } from "./storage.js";
+
+// Sub-scores requested from the model; the overall score is their weighted mean
+export const PRIVACY_CATEGORIES = [
+  "collection",
+  "sharing",
+  "retention",
+  "user_rights",
+  "security",
+  "children",
+  "tracking",
+  "jurisdiction",
+];
+const CATEGORY_PROMPT = `Category sub-scores (0 = best, 10 = worst; use null if the policy does not address it):
+   - collection: amount and sensitivity of personal data collected
+   - sharing: sharing with or selling to third parties
+   - retention: how long data is kept and whether limits are stated
+   - user_rights: access, deletion, correction, portability and opt-out (10 = no usable rights)
+   - security: safeguards, breach handling, encryption
+   - children: handling of minors' data
+   - tracking: cookies, cross-site tracking, profiling and advertising
+   - jurisdiction: cross-border transfers and governing law`;
+const CATEGORY_JSON = `"categories": {
+${PRIVACY_CATEGORIES.map((c) => `    "${c}": { "score": <number from 0 to 10 or null>, "note": "<max 12 words>" }`).join(",\n")}
+  }`;
+
+// Variables available in templates
+export const PROMPT_VARIABLES = ["lang", "sourceDomain"];
+
+export const DEFAULT_PROMPT_VERSION = "default-2";
+
+export const DEFAULT_PROMPT_TEMPLATE = `You are a privacy and data protection expert. Analyze the following privacy policy published by {sourceDomain} and provide:
+
+1. A privacy abuse score from 0 to 10 where:
+   - 0-2: Excellent privacy practices, minimal data collection, strong user rights
+   - 3-4: Good privacy practices with some concerns
+   - 5-6: Moderate privacy concerns, some problematic practices
+   - 7-8: Significant privacy issues, excessive data collection
+   - 9-10: Highly abusive practices, extensive data collection, weak user rights
+
+2. A clear and concise summary in {lang} highlighting:
+   - What personal data is collected and how
+   - How that data is used
+   - If it is shared with third parties and with whom
+   - Any relevant risks or warnings for the user
+   - What rights the user has over their data and how to exercise them
+   - Any other important or unusual aspects
+
+3. Up to 6 key findings backing the summary. Each finding has a one-sentence "claim" in {lang} and a "quote": a short excerpt (max 200 characters) copied verbatim from the policy text, in its original language, that supports the claim.
+
+The summary should use Markdown formatting with headings, lists, and bold text to emphasize the most relevant information.`;
+
+/**
+ * Replaces `{name}` placeholders with values
+ * @param {string} template - Template text
+ * @param {Object} vars - { lang, sourceDomain }
+ * @returns {string} Rendered text
+ */
+export function renderTemplate(template, vars) {
+  return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+    PROMPT_VARIABLES.includes(name) && vars[name] !== undefined ? String(vars[name]) : match,
+  );
+}
+
+function buildOutputContract(lang, source = "the policy") {
+  return `${CATEGORY_PROMPT}
+
+IMPORTANT: Respond ONLY with a valid JSON object in this exact format:
+{
+  "privacy_score": <number from 0 to 10>,
+  "score_explanation": "<brief explanation of the score>",
+  "summary": "<markdown formatted summary>",
+  ${CATEGORY_JSON},
+  "findings": [
+    { "claim": "<one sentence>", "quote": "<verbatim excerpt from ${source}>", "severity": "high" | "medium" | "low" }
+  ]
+}
+
+The privacy_score must be a number between 0 and 10. Category notes must be in ${lang}. The score_explanation must be an extremely brief, title-style phrase in ${lang} (max 8 words, no trailing period). Never paraphrase inside a quote; omit a finding if no text supports it. A finding's severity is how much the practice harms the user's privacy ("low" for protective or neutral practices).`;
+}
+
+/**
+ * Builds the system prompt for a whole policy
+ * @param {string} template - Instructions template
+ * @param {Object} vars - { lang, sourceDomain }
+ * @returns {string} System prompt
+ */
+export function buildSystemPrompt(template, vars) {
+  return `${renderTemplate(template, vars)}\n\n${buildOutputContract(vars.lang)}`;
+}
+
+/**
+ * Builds the system prompt for one part of a long policy
+ * @param {string} template - Instructions template
+ * @param {Object} vars - { lang, sourceDomain }
+ * @param {number} index - 1-based part number
+ * @param {number} total - Number of parts
+ * @returns {string} System prompt
+ */
+export function buildChunkSystemPrompt(template, vars, index, total) {
+  return `You will receive part ${index} of ${total} of a longer privacy policy. Analyze ONLY this part; other parts are analyzed separately and merged later. Do not speculate about content outside this part.
+
+${renderTemplate(template, vars)}
+
+For this part: score only what it says and use null for categories it does not address; if it has no relevant practices, use 5 as the privacy_score. Write concise notes instead of a full summary and give at most 4 findings quoted from this part.
+
+${buildOutputContract(vars.lang, "this part")}`;
+}
+
+/**
+ * Builds the system prompt that merges partial analyses (not user-editable)
+ * @param {string} lang - Summary language
+ * @returns {string} System prompt
+ */
+export function buildReduceSystemPrompt(lang) {
+  return `You are a privacy and data protection expert. You will receive partial analyses of consecutive parts of ONE privacy policy. Each has its own score and notes. Merge them into a single analysis of the whole policy.
+
+Weigh the most serious practices heavily: one abusive clause matters more than many neutral sections. Remove duplicates and keep the most specific details.
+
+The summary must be written in ${lang} and highlight:
+   - What personal data is collected and how
+   - How that data is used
+   - If it is shared with third parties and with whom
+   - Any relevant risks or warnings for the user
+   - What rights the user has over their data and how to exercise them
+   - Any other important or unusual aspects
+
+IMPORTANT: Respond ONLY with a valid JSON object in this exact format:
+{
+  "privacy_score": <number from 0 to 10>,
+  "score_explanation": "<brief explanation of the score>",
+  "summary": "<markdown formatted summary>"
+}
+
+The privacy_score must be a number between 0 and 10. The score_explanation must be an extremely brief, title-style phrase in ${lang} (max 8 words, no trailing period). The summary should use Markdown formatting with headings, lists, and bold text to emphasize the most relevant information.`;
+}
+
+/**
+ * Builds the system prompt that merges analyses of the same policy by different models
+ * (not user-editable)
+ * @param {string} lang - Summary language
+ * @returns {string} System prompt
+ */
+export function buildConsensusSystemPrompt(lang) {
+  return `You are a privacy and data protection expert. You will receive independent analyses of the SAME privacy policy, each written by a different AI model with its own score. Merge them into a single analysis.
+
+Keep points that several analyses agree on. When they disagree about a practice, mention it with cautious wording rather than picking a side silently. Do not add facts that none of the analyses contain. Remove duplicates and keep the most specific details.
+
+The summary must be written in ${lang} and highlight:
+   - What personal data is collected and how
+   - How that data is used
+   - If it is shared with third parties and with whom
+   - Any relevant risks or warnings for the user
+   - What rights the user has over their data and how to exercise them
+   - Any other important or unusual aspects
+
+IMPORTANT: Respond ONLY with a valid JSON object in this exact format:
+{
+  "privacy_score": <number from 0 to 10>,
+  "score_explanation": "<brief explanation of the score>",
+  "summary": "<markdown formatted summary>"
+}
+
+The privacy_score must be a number between 0 and 10. The score_explanation must be an extremely brief, title-style phrase in ${lang} (max 8 words, no trailing period). The summary should use Markdown formatting with headings, lists, and bold text to emphasize the most relevant information.`;
+}
+
+/**
+ * Builds the system prompt for follow-up questions about one policy (not user-editable)
+ * @param {string} lang - Answer language
+ * @param {string} sourceDomain - Domain the policy belongs to
+ * @param {string} policyText - Policy text, or the sections relevant to the question
+ * @returns {string} System prompt
+ */
+export function buildQuestionSystemPrompt(lang, sourceDomain, policyText) {
+  return `You are a privacy and data protection expert answering questions about ONE privacy policy published by ${sourceDomain}.
+
+Answer in ${lang} using only the policy text below. When a passage supports the answer, quote it verbatim in its original language. If the policy does not address the question, say so plainly instead of guessing. Keep answers short; use Markdown lists or bold text only when they help.
+
+Policy text:
+
+${policyText}`;
+}
+
+/**
+ * Builds the system prompt that explains the changes between two versions of one policy
+ * (not user-editable)
+ * @param {string} lang - Answer language
+ * @param {string} sourceDomain - Domain the policy belongs to
+ * @returns {string} System prompt
+ */
+export function buildChangesSystemPrompt(lang, sourceDomain) {
+  return `You are a privacy and data protection expert. You will receive the changes between an earlier and a later version of the privacy policy published by ${sourceDomain}, as a line diff: lines starting with "-" were removed, lines starting with "+" were added, indented lines are unchanged context.
+
+Explain what changed and whether the later version is worse or better for the user's privacy. Focus on changes of substance (data collected, purposes, sharing, retention, rights, tracking, jurisdiction); mention purely editorial changes in one sentence at most. Base every statement on the diff and do not speculate about unchanged parts.
+
+IMPORTANT: Respond ONLY with a valid JSON object in this exact format:
+{
+  "verdict": "worse" | "better" | "mixed" | "neutral",
+  "summary": "<markdown formatted explanation>"
+}
+
+The summary must be written in ${lang} as a short Markdown list of the relevant changes, each saying how it affects the user.`;
+}
+
+/**
+ * Returns the active instructions template
+ * @returns {Promise<{template: string, version: string, custom: boolean}>}
+ */
+export async function resolvePromptTemplate() {
+  const stored = await getPromptTemplate();
+  if (stored?.template) return { template: stored.template, version: stored.version, custom: true };
+  return { template: DEFAULT_PROMPT_TEMPLATE, version: DEFAULT_PROMPT_VERSION, custom: false };
+}
+
+/**
+ * Stores a user template under a new version; saving the default text resets the override
+ * @param {string} template - Edited template
+ * @returns {Promise<string>} Active version after the update
+ */
+export async function updatePromptTemplate(template) {
+  const stored = await getPromptTemplate();
+  if (template.trim() === DEFAULT_PROMPT_TEMPLATE.trim()) {
+    return resetPromptTemplate();
+  }
+  if (stored?.template === template) return stored.version;
+  const revision = (stored?.revision || 0) + 1;
+  const version = `custom-${revision}`;
+  await savePromptTemplate({ template, version, revision, updatedAt: Date.now() });
+  return version;
+}
+
+/**
+ * Drops the user's template so the shipped default applies again
+ * @returns {Promise<string>} Default version
+ */
+export async function resetPromptTemplate() {
+  const stored = await getPromptTemplate();
+  await savePromptTemplate({ revision: stored?.revision || 0 });
+  return DEFAULT_PROMPT_VERSION;
+}
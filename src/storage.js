@@ -2,14 +2,19 @@
  * Storage module for the Privacy Policy Extension
  * 
  * Responsibilities:
- * - Secure API key storage (AES-GCM)
+ * - Secure API key storage (AES-GCM), including keys of additional consensus providers
  * - Persist summaries with content hash and timestamp
- * - Store user preferences (language, AI options)
+ * - Cache distilled policy texts and per-policy Q&A conversations
+ * - Keep the watchlist of policies re-checked for changes
+ * - Keep a version history per policy (text snapshot, hash, summary) for comparisons
+ * - Store user preferences (language, AI options, cost controls, consensus models, watchlist
+ *   schedule, prompt template) and the token usage log
  * - Manage ignored domains list
  * 
  * Notes for maintainers:
  * - Keys are encrypted with a secret managed by `secret.js`.
- * - Summaries are keyed by URL; cache invalidates when content hash changes.
+ * - Summaries are keyed by URL; cache invalidates when content hash changes. Earlier
+ *   versions live on in `policyVersions` (needs the unlimitedStorage permission).
  */
 
 import {
@@ -27,14 +32,14 @@ async function getCryptoKey() {
 }
 
 /**
- * Encrypts and saves the API key to Chrome storage
- * Uses AES-GCM encryption for security
- * @param {string} key - The API key to encrypt and save
+ * Encrypts a secret value with AES-GCM
+ * @param {string} value - Plain text to encrypt
+ * @returns {Promise<string>} Serialized { iv, data } payload
  */
-export async function saveApiKey(key) {
+async function encryptValue(value) {
   const cryptoKey = await getCryptoKey();
   const iv = crypto.getRandomValues(new Uint8Array(12));
-  const encoded = new TextEncoder().encode(key);
+  const encoded = new TextEncoder().encode(value);
   const cipher = await crypto.subtle.encrypt(
     { name: "AES-GCM", iv },
     cryptoKey,
@@ -44,18 +49,18 @@ export async function saveApiKey(key) {
     iv: Array.from(iv),
     data: Array.from(new Uint8Array(cipher)),
   };
-  await chrome.storage.local.set({ apiKey: JSON.stringify(payload) });
+  return JSON.stringify(payload);
 }
 
 /**
- * Retrieves and decrypts the stored API key
- * @returns {Promise<string>} The decrypted API key or empty string if not found
+ * Decrypts a payload produced by encryptValue
+ * @param {string} payload - Serialized { iv, data } payload
+ * @returns {Promise<string>} Plain text or empty string if missing or unreadable
  */
-export async function getApiKey() {
-  const { apiKey } = await chrome.storage.local.get(["apiKey"]);
-  if (!apiKey) return "";
+async function decryptValue(payload) {
+  if (!payload) return "";
   try {
-    const { iv, data } = JSON.parse(apiKey);
+    const { iv, data } = JSON.parse(payload);
     const cryptoKey = await getCryptoKey();
     const decrypted = await crypto.subtle.decrypt(
       { name: "AES-GCM", iv: new Uint8Array(iv) },
@@ -68,15 +73,66 @@ export async function getApiKey() {
   }
 }
 
+/**
+ * Encrypts and saves the API key to Chrome storage
+ * Uses AES-GCM encryption for security
+ * @param {string} key - The API key to encrypt and save
+ */
+export async function saveApiKey(key) {
+  await chrome.storage.local.set({ apiKey: await encryptValue(key) });
+}
+
+/**
+ * Retrieves and decrypts the stored API key
+ * @returns {Promise<string>} The decrypted API key or empty string if not found
+ */
+export async function getApiKey() {
+  const { apiKey } = await chrome.storage.local.get(["apiKey"]);
+  return decryptValue(apiKey);
+}
+
+/**
+ * Encrypts and saves the API key of an additional provider (used by consensus mode);
+ * the main provider keeps using `saveApiKey`
+ * @param {string} provider - Provider id
+ * @param {string} key - The API key; empty removes it
+ */
+export async function saveProviderKey(provider, key) {
+  const { providerKeys = {} } = await chrome.storage.local.get("providerKeys");
+  if (key) providerKeys[provider] = await encryptValue(key);
+  else delete providerKeys[provider];
+  await chrome.storage.local.set({ providerKeys });
+}
+
+/**
+ * Retrieves and decrypts the API key of an additional provider
+ * @param {string} provider - Provider id
+ * @returns {Promise<string>} The decrypted API key or empty string if not found
+ */
+export async function getProviderKey(provider) {
+  const { providerKeys = {} } = await chrome.storage.local.get("providerKeys");
+  return decryptValue(providerKeys[provider]);
+}
+
 /**
  * Saves a policy summary with metadata to storage
  * @param {string} url - The URL of the policy
- * @param {Object} summary - The summary object containing privacy score and text
+ * @param {Object} summary - The summary object (privacy_score, score_explanation, summary,
+ *   categories and findings as returned by `summarizePolicy`)
  * @param {string} hash - The SHA-256 hash of the policy content for change detection
+ * @param {Object} [meta] - Extra entry fields
+ * @param {Object} [meta.usage] - Actual token usage { provider, model, inputTokens, outputTokens, requests, cost }
+ * @param {string} [meta.promptVersion] - Version of the prompt template that produced the summary
  */
-export async function saveSummary(url, summary, hash) {
+export async function saveSummary(url, summary, hash, { usage, promptVersion } = {}) {
   const { summaries = {} } = await chrome.storage.local.get("summaries");
-  summaries[url] = { summary, hash, date: Date.now() };
+  summaries[url] = {
+    summary,
+    hash,
+    date: Date.now(),
+    ...(usage ? { usage } : {}),
+    ...(promptVersion ? { promptVersion } : {}),
+  };
   await chrome.storage.local.set({ summaries });
 }
 
@@ -91,6 +147,181 @@ export async function getSummary(url) {
   return result;
 }
 
+// Distilled policy texts kept for follow-up questions (least recently saved dropped first)
+const MAX_POLICY_TEXTS = 30;
+
+/**
+ * Caches the distilled text of a policy so questions can be answered without refetching
+ * @param {string} url - The URL of the policy
+ * @param {string} text - Distilled body text
+ */
+export async function savePolicyText(url, text) {
+  const { policyTexts = {} } = await chrome.storage.local.get("policyTexts");
+  policyTexts[url] = { text, date: Date.now() };
+  const urls = Object.keys(policyTexts).sort((a, b) => policyTexts[b].date - policyTexts[a].date);
+  for (const stale of urls.slice(MAX_POLICY_TEXTS)) delete policyTexts[stale];
+  await chrome.storage.local.set({ policyTexts });
+}
+
+/**
+ * Retrieves the cached distilled text of a policy
+ * @param {string} url - The URL of the policy
+ * @returns {Promise<string>} The text or empty string if not cached
+ */
+export async function getPolicyText(url) {
+  const { policyTexts = {} } = await chrome.storage.local.get("policyTexts");
+  return policyTexts[url]?.text || "";
+}
+
+// Versions kept per policy URL (oldest dropped first)
+const MAX_POLICY_VERSIONS = 10;
+
+/**
+ * Records a version of a policy. A version with the same hash is updated in place, so
+ * summarizing a text first seen by the watchlist attaches the summary to it.
+ * @param {string} url - The URL of the policy
+ * @param {Object} version - { hash, text, summary?, date }
+ */
+export async function addPolicyVersion(url, { hash, text, summary = null, date = Date.now() }) {
+  const { policyVersions = {} } = await chrome.storage.local.get("policyVersions");
+  const versions = policyVersions[url] || [];
+  const existing = versions.find((v) => v.hash === hash);
+  if (existing) {
+    if (summary) existing.summary = summary;
+  } else {
+    versions.push({ hash, text, summary, date, comparisons: {} });
+    versions.sort((x, y) => x.date - y.date);
+  }
+  policyVersions[url] = versions.slice(-MAX_POLICY_VERSIONS);
+  await chrome.storage.local.set({ policyVersions });
+}
+
+/**
+ * Retrieves the recorded versions of a policy
+ * @param {string} url - The URL of the policy
+ * @returns {Promise<Array<Object>>} { hash, text, summary, date, comparisons }, oldest first
+ */
+export async function getPolicyVersions(url) {
+  const { policyVersions = {} } = await chrome.storage.local.get("policyVersions");
+  return policyVersions[url] || [];
+}
+
+/**
+ * Caches the AI comparison of two versions on the later one
+ * @param {string} url - The URL of the policy
+ * @param {string} fromHash - Hash of the earlier version
+ * @param {string} toHash - Hash of the later version
+ * @param {Object} comparison - { verdict, summary, date }
+ */
+export async function saveVersionComparison(url, fromHash, toHash, comparison) {
+  const { policyVersions = {} } = await chrome.storage.local.get("policyVersions");
+  const target = (policyVersions[url] || []).find((v) => v.hash === toHash);
+  if (!target) return;
+  target.comparisons = { ...target.comparisons, [fromHash]: comparison };
+  await chrome.storage.local.set({ policyVersions });
+}
+
+/**
+ * Deletes the recorded versions of a policy
+ * @param {string} url - The URL of the policy
+ */
+export async function removePolicyVersions(url) {
+  const { policyVersions = {} } = await chrome.storage.local.get("policyVersions");
+  delete policyVersions[url];
+  await chrome.storage.local.set({ policyVersions });
+}
+
+/**
+ * Deletes the recorded versions of every policy
+ */
+export async function clearPolicyVersions() {
+  await chrome.storage.local.remove("policyVersions");
+}
+
+/**
+ * Saves the question/answer conversation about a policy
+ * @param {string} url - The URL of the policy
+ * @param {Array<Object>} messages - { role: "user"|"assistant", content, date }, oldest first
+ */
+export async function saveChat(url, messages) {
+  const { chats = {} } = await chrome.storage.local.get("chats");
+  chats[url] = messages;
+  await chrome.storage.local.set({ chats });
+}
+
+/**
+ * Retrieves the conversation about a policy
+ * @param {string} url - The URL of the policy
+ * @returns {Promise<Array<Object>>} Messages, oldest first
+ */
+export async function getChat(url) {
+  const { chats = {} } = await chrome.storage.local.get("chats");
+  return chats[url] || [];
+}
+
+/**
+ * Deletes the conversation about a policy
+ * @param {string} url - The URL of the policy
+ */
+export async function clearChat(url) {
+  const { chats = {} } = await chrome.storage.local.get("chats");
+  delete chats[url];
+  await chrome.storage.local.set({ chats });
+}
+
+// Bump when loadPolicyText (background.js) returns different text for unchanged pages; watched
+// policies checked with an older version take the new hash as their baseline without notifying
+export const TEXT_EXTRACTION_VERSION = 2;
+
+/**
+ * Adds a policy to the watchlist checked periodically for changes
+ * @param {string} url - The URL of the policy
+ * @param {string} hash - Content hash the policy is compared against (from its summary)
+ */
+export async function watchPolicy(url, hash) {
+  const { watchlist = {} } = await chrome.storage.local.get("watchlist");
+  watchlist[url] = {
+    hash,
+    addedAt: Date.now(),
+    lastChecked: null,
+    changedAt: null,
+    extraction: TEXT_EXTRACTION_VERSION,
+  };
+  await chrome.storage.local.set({ watchlist });
+}
+
+/**
+ * Removes a policy from the watchlist
+ * @param {string} url - The URL of the policy
+ */
+export async function unwatchPolicy(url) {
+  const { watchlist = {} } = await chrome.storage.local.get("watchlist");
+  delete watchlist[url];
+  await chrome.storage.local.set({ watchlist });
+}
+
+/**
+ * Updates fields of a watched policy; ignored if the policy is no longer watched
+ * @param {string} url - The URL of the policy
+ * @param {Object} fields - Any of { hash, lastChecked, changedAt, extraction }
+ */
+export async function updateWatchedPolicy(url, fields) {
+  const { watchlist = {} } = await chrome.storage.local.get("watchlist");
+  if (!watchlist[url]) return;
+  watchlist[url] = { ...watchlist[url], ...fields };
+  await chrome.storage.local.set({ watchlist });
+}
+
+/**
+ * Retrieves the watchlist
+ * @returns {Promise<Object>} Map of URL to { hash, addedAt, lastChecked, changedAt, extraction }
+ *   (`extraction`: text extraction version the hash was last checked with)
+ */
+export async function getWatchlist() {
+  const { watchlist = {} } = await chrome.storage.local.get("watchlist");
+  return watchlist;
+}
+
 /**
  * Saves the user's preferred language for summaries
  * @param {string} language - The language code (e.g., "en", "es", "fr")
@@ -125,6 +356,102 @@ export async function getAIOptions() {
   return aiOptions;
 }
 
+/**
+ * Saves cost controls (kept apart from aiOptions, which are forwarded to the provider)
+ * @param {Object} settings - { confirmThreshold, budgets } where confirmThreshold is USD and
+ *   budgets maps provider id to monthly caps { maxTokens, maxCost }
+ */
+export async function saveCostSettings(settings) {
+  await chrome.storage.local.set({ costSettings: settings });
+}
+
+/**
+ * Retrieves the stored cost controls
+ * @returns {Promise<Object>} The cost settings object
+ */
+export async function getCostSettings() {
+  const { costSettings = {} } = await chrome.storage.local.get(["costSettings"]);
+  return costSettings;
+}
+
+/**
+ * Saves consensus mode settings (kept apart from aiOptions, which are forwarded to the provider)
+ * @param {Object} settings - { enabled, members } where members lists the models queried
+ *   besides the main one: [{ provider, model }]
+ */
+export async function saveConsensusSettings(settings) {
+  await chrome.storage.local.set({ consensusSettings: settings });
+}
+
+/**
+ * Retrieves the stored consensus mode settings
+ * @returns {Promise<Object>} { enabled, members } with defaults
+ */
+export async function getConsensusSettings() {
+  const { consensusSettings = {} } = await chrome.storage.local.get(["consensusSettings"]);
+  return { enabled: false, members: [], ...consensusSettings };
+}
+
+/**
+ * Saves watchlist settings
+ * @param {Object} settings - { intervalHours, autoResummarize } where intervalHours is the
+ *   time between checks and autoResummarize regenerates the summary of a changed policy
+ */
+export async function saveWatchSettings(settings) {
+  await chrome.storage.local.set({ watchSettings: settings });
+}
+
+/**
+ * Retrieves the stored watchlist settings
+ * @returns {Promise<Object>} { intervalHours, autoResummarize } with defaults
+ */
+export async function getWatchSettings() {
+  const { watchSettings = {} } = await chrome.storage.local.get(["watchSettings"]);
+  return { intervalHours: 24, autoResummarize: false, ...watchSettings };
+}
+
+/**
+ * Saves the user's prompt template override
+ * @param {Object} prompt - { template, version, revision, updatedAt }; without `template`
+ *   the shipped default applies
+ */
+export async function savePromptTemplate(prompt) {
+  await chrome.storage.local.set({ promptTemplate: prompt });
+}
+
+/**
+ * Retrieves the user's prompt template override
+ * @returns {Promise<Object|null>} The stored override or null if never edited
+ */
+export async function getPromptTemplate() {
+  const { promptTemplate = null } = await chrome.storage.local.get(["promptTemplate"]);
+  return promptTemplate;
+}
+
+// Usage entries older than this are dropped when new usage is recorded
+const USAGE_LOG_RETENTION_MS = 92 * 24 * 60 * 60 * 1000;
+
+/**
+ * Appends one summarization's token usage to the usage log
+ * @param {Object} entry - { date, provider, model, domain, inputTokens, outputTokens, requests, cost }
+ */
+export async function recordUsage(entry) {
+  const { usageLog = [] } = await chrome.storage.local.get("usageLog");
+  const cutoff = Date.now() - USAGE_LOG_RETENTION_MS;
+  const kept = usageLog.filter((e) => e.date >= cutoff);
+  kept.push(entry);
+  await chrome.storage.local.set({ usageLog: kept });
+}
+
+/**
+ * Retrieves the usage log (roughly the last three months)
+ * @returns {Promise<Array<Object>>} Usage entries, oldest first
+ */
+export async function getUsageLog() {
+  const { usageLog = [] } = await chrome.storage.local.get("usageLog");
+  return usageLog;
+}
+
 /**
  * Adds a domain to the ignored list
  * Prevents the extension from processing policies from this domain
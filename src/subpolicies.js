@@ -0,0 +1,95 @@
+/**
+ * Sub-policy discovery for the Privacy Policy Extension
+ *
+ * Responsibilities:
+ * - Pick the links of a policy page that lead to related policies on the same site: cookie
+ *   policy, data processing addendum, regional supplements, children's notice
+ * - Combine the selected documents into one text for a single summary
+ *
+ * Notes for maintainers:
+ * - Links are matched on their text and path. "Same site" compares the last two host labels
+ *   (three for country-code second-level domains such as example.co.uk), so policies hosted on
+ *   a subdomain such as legal.example.com are found.
+ */
+
+// Kinds in display order; the first matching pattern decides the kind
+const SUB_POLICY_KINDS = [
+  { kind: "cookies", pattern: /cookie/i },
+  {
+    kind: "processing",
+    pattern:
+      /data[\s_-]*processing|\bdpa\b|addendum|sub-?processors?|auftragsverarbeitung|tratamiento[\s_-]de[\s_-]datos|traitement[\s_-]des[\s_-]donn/i,
+  },
+  {
+    kind: "regional",
+    pattern:
+      /california|\bccpa\b|\bcpra\b|\bgdpr\b|\beea\b|\blgpd\b|\bpipeda\b|your[\s_-]state|state[\s_-]privacy|us[\s_-]privacy|regional|supplement|jurisdiction/i,
+  },
+  { kind: "children", pattern: /child|\bkids\b|\bcoppa\b|menores|enfants|kinder/i },
+];
+// Upper bound on offered links; pages with long legal hubs would otherwise flood the list
+const MAX_SUB_POLICIES = 8;
+
+/**
+ * Reduces a hostname to its site (registrable domain, approximately)
+ * @param {string} hostname - Host name
+ * @returns {string} e.g. "example.com" for "legal.example.com"
+ */
+function siteOf(hostname) {
+  const labels = hostname.toLowerCase().split(".");
+  const countrySecondLevel =
+    labels.length >= 3 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3;
+  return labels.slice(countrySecondLevel ? -3 : -2).join(".");
+}
+
+function withoutHash(url) {
+  return url.split("#")[0];
+}
+
+/**
+ * Finds links to related policies on the same site
+ * @param {Array<{href: string, text: string}>} links - Links of the policy page (href may be relative)
+ * @param {string} policyUrl - URL of the policy page
+ * @returns {Array<{url: string, title: string, kind: string}>} Candidates grouped by kind, at most
+ *   MAX_SUB_POLICIES; kind is "cookies", "processing", "regional" or "children"
+ */
+export function findSubPolicyLinks(links, policyUrl) {
+  const base = new URL(policyUrl);
+  const site = siteOf(base.hostname);
+  const seen = new Set([withoutHash(base.href)]);
+  const found = [];
+  for (const link of Array.isArray(links) ? links : []) {
+    let target;
+    try {
+      target = new URL(link.href, base);
+    } catch (_) {
+      continue;
+    }
+    if (!/^https?:$/.test(target.protocol) || siteOf(target.hostname) !== site) continue;
+    const url = withoutHash(target.href);
+    if (seen.has(url)) continue;
+    const title = String(link.text || "").replace(/\s+/g, " ").trim();
+    let path = target.pathname;
+    try {
+      path = decodeURIComponent(path);
+    } catch (_) {
+      // Malformed escape such as "%zz": match the raw path
+    }
+    const haystack = `${title} ${path}`;
+    const match = SUB_POLICY_KINDS.find(({ pattern }) => pattern.test(haystack));
+    if (!match) continue;
+    seen.add(url);
+    found.push({ url, title: title || target.pathname, kind: match.kind });
+  }
+  const order = SUB_POLICY_KINDS.map(({ kind }) => kind);
+  return found.sort((a, b) => order.indexOf(a.kind) - order.indexOf(b.kind)).slice(0, MAX_SUB_POLICIES);
+}
+
+/**
+ * Joins several policy documents into one text, each under a heading naming its source
+ * @param {Array<{url: string, title: string, text: string}>} documents - Main policy first
+ * @returns {string} Combined text
+ */
+export function combinePolicyDocuments(documents) {
+  return documents.map(({ url, title, text }) => `# ${title}\nSource: ${url}\n${text}`).join("\n\n");
+}
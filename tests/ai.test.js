@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome } from "./helpers/chrome.js";
+
+installChrome({ aiOptions: { provider: "openai", model: "gpt-4o-mini", maxRetries: 0, maxRepairs: 0 } });
+const { saveApiKey, saveProviderKey } = await import("../src/storage.js");
+const { summarizePolicy } = await import("../src/ai.js");
+
+const POLICY = "We collect your email address and share it with advertising partners.";
+const ANSWER = JSON.stringify({
+  summary: "Collects email; shares it with advertisers.",
+  privacy_score: 6,
+  score_explanation: "Sharing with advertisers.",
+  findings: [],
+});
+
+/**
+ * Stubs the provider: records the API key and model of every request
+ * @returns {Array<{model: string, authorization: string}>} Recorded requests
+ */
+function stubProvider() {
+  const requests = [];
+  globalThis.fetch = async (_url, init) => {
+    const body = JSON.parse(init.body);
+    requests.push({ model: body.model, authorization: init.headers.Authorization });
+    return new Response(
+      JSON.stringify({
+        choices: [{ message: { content: ANSWER } }],
+        usage: { prompt_tokens: 10, completion_tokens: 10 },
+      }),
+      { headers: { "content-type": "application/json" } },
+    );
+  };
+  return requests;
+}
+
+test("a consensus member on the configured provider uses its own API key", async () => {
+  await saveApiKey("main-key");
+  await saveProviderKey("openai", "member-key");
+  const requests = stubProvider();
+
+  await summarizePolicy(POLICY, "en", { consensus: [{ provider: "openai", model: "gpt-4o" }] });
+
+  const keyOf = (model) => requests.find((r) => r.model === model)?.authorization;
+  assert.equal(keyOf("gpt-4o-mini"), "Bearer main-key");
+  assert.equal(keyOf("gpt-4o"), "Bearer member-key");
+});
+
+test("consensus runs report each model's own steps", async () => {
+  stubProvider();
+  const steps = [];
+  // Two sections that do not fit one request
+  const longPolicy = ["# Data we collect", POLICY.repeat(4), "# Sharing", POLICY.repeat(4)].join("\n");
+  await summarizePolicy(longPolicy, "en", {
+    consensus: [{ provider: "openai", model: "gpt-4o" }],
+    maxInputTokens: 100,
+    onProgress: (progress) => steps.push(progress),
+  });
+
+  const chunkSteps = steps.filter((p) => p.step === "analyzing_chunk");
+  assert.ok(chunkSteps.length > 0);
+  assert.deepEqual(
+    [...new Set(chunkSteps.map((p) => p.consensusModel.model))],
+    ["gpt-4o-mini", "gpt-4o"],
+  );
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installChrome, connectPort } from "./helpers/chrome.js";
+
+const POLICY_URL = "https://example.com/privacy.txt";
+const POLICY_TEXT = "We collect your email address. We may sell your information to partners.";
+// Summarized as shown in the tab, then watched from the history
+const PAGE_URL = "https://example.com/terms.txt";
+const PAGE_SUMMARY = {
+  summary: { summary: "Page summary", privacy_score: 4, findings: [], scope: "page" },
+  hash: "rendered-page-hash",
+  date: 1700000000000,
+};
+const CACHED = {
+  summary: { summary: "Previous summary", privacy_score: 5, findings: [] },
+  hash: "previous-hash",
+  date: 1700000000000,
+};
+
+const chrome = installChrome({
+  language: "en",
+  // Keyless provider whose estimate (cost 0) is always above a negative threshold
+  aiOptions: { provider: "ollama", model: "llama3" },
+  costSettings: { confirmThreshold: -1 },
+  summaries: { [POLICY_URL]: CACHED, [PAGE_URL]: PAGE_SUMMARY },
+  policyTexts: {
+    [POLICY_URL]: { text: "Previous text", date: CACHED.date },
+    [PAGE_URL]: { text: "Rendered page text", date: PAGE_SUMMARY.date },
+  },
+  watchlist: {
+    [PAGE_URL]: { hash: PAGE_SUMMARY.hash, addedAt: 1, lastChecked: null, changedAt: null, extraction: 2 },
+  },
+});
+const RESPONSES = { [POLICY_URL]: POLICY_TEXT, [PAGE_URL]: "Fetched terms text." };
+globalThis.fetch = async (url) => {
+  if (!(url in RESPONSES)) throw new Error(`Unexpected request to ${url}`);
+  return new Response(RESPONSES[url], { headers: { "content-type": "text/plain" } });
+};
+await import("../src/background.js");
+
+test("declining the cost estimate keeps the cached summary and text", async () => {
+  const { next, send } = connectPort("summarize");
+  send({ type: "SUMMARIZE_POLICY", url: POLICY_URL, tabId: 0 });
+  const estimate = await next("SUMMARY_ESTIMATE");
+  assert.equal(estimate.needsConfirm, true);
+  send({ type: "CONFIRM_COST", proceed: false });
+
+  assert.equal((await next("SUMMARY_RESULT")).error, "CANCELLED");
+  const { summaries, policyTexts, policyVersions = {} } = chrome.storage.local.data;
+  assert.deepEqual(summaries[POLICY_URL], CACHED);
+  assert.equal(policyTexts[POLICY_URL].text, "Previous text");
+  assert.equal(policyVersions[POLICY_URL], undefined);
+});
+
+test("a policy watched from a summary of the tab takes the fetched text as its baseline", async () => {
+  chrome.alarms.onAlarm.listeners.forEach((listener) => listener({ name: "policy-watch" }));
+  // The alarm listener does not wait for the check
+  for (let i = 0; i < 100 && !chrome.storage.local.data.watchlist[PAGE_URL].lastChecked; i += 1) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+
+  const entry = chrome.storage.local.data.watchlist[PAGE_URL];
+  assert.equal(entry.changedAt, null);
+  assert.notEqual(entry.hash, PAGE_SUMMARY.hash);
+  assert.equal(chrome.storage.local.data.policyTexts[PAGE_URL].text, "Rendered page text");
+  assert.equal(chrome.storage.local.data.policyVersions?.[PAGE_URL], undefined);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { DOMParser } from "linkedom";
+import { extractLinks, extractMainContent } from "../src/extractor.js";
+
+/**
+ * Parses a fixture page like the offscreen document does
+ * @param {string} name - File name in tests/fixtures, without extension
+ * @returns {Document} Parsed page
+ */
+function loadFixture(name) {
+  const html = readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), "utf8");
+  return new DOMParser().parseFromString(html, "text/html");
+}
+
+test("removes navigation, cookie banners, footers and scripts", () => {
+  const text = extractMainContent(loadFixture("landmark"));
+  assert.doesNotMatch(text, /Products|About/);
+  assert.doesNotMatch(text, /cookies to improve|Accept all/);
+  assert.doesNotMatch(text, /All rights reserved/);
+  assert.doesNotMatch(text, /should never be read/);
+});
+
+test("uses the main landmark when the page has one", () => {
+  const text = extractMainContent(loadFixture("landmark"));
+  assert.match(text, /^# Privacy Policy\n/);
+});
+
+test("scores containers when the page has no landmark", () => {
+  const text = extractMainContent(loadFixture("scored"));
+  assert.match(text, /^## 1\. Data we collect\n/);
+  assert.match(text, /## 2\. Retention\n/);
+  assert.doesNotMatch(text, /blog post/);
+  assert.doesNotMatch(text, /Hidden experiment/);
+  assert.doesNotMatch(text, /Careers|Press and media/);
+});
+
+test("writes lists and tables as Markdown", () => {
+  const lines = extractMainContent(loadFixture("landmark")).split("\n");
+  assert.ok(lines.includes("- With processors, under contract."));
+  assert.ok(lines.includes("- when required by law"));
+  // Ordered lists keep their start number; a nested paragraph does not split the item
+  assert.ok(lines.includes("3. Third item"));
+  assert.ok(lines.includes("4. Fourth item"));
+  assert.ok(lines.includes("Cookie | Purpose"));
+  assert.ok(lines.includes("_ga | Analytics"));
+});
+
+test("lists footer links before they are removed", () => {
+  const links = extractLinks(loadFixture("scored"));
+  assert.deepEqual(links.at(-1), { href: "/press", text: "Press and media resources" });
+});
+
+test("returns an empty string for a document without body", () => {
+  assert.equal(extractMainContent(null), "");
+});
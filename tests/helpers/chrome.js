@@ -0,0 +1,99 @@
+/**
+ * Minimal in-memory stand-in for the extension APIs, enough to load the background script
+ * in Node. Events record their listeners; API calls not listed here resolve to undefined.
+ */
+
+/**
+ * Creates an event object like chrome.runtime.onMessage
+ * @returns {{listeners: Array<Function>, addListener: Function, removeListener: Function}}
+ */
+export function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener: (fn) => listeners.push(fn),
+    removeListener: (fn) => listeners.splice(listeners.indexOf(fn) >>> 0, 1),
+    hasListener: (fn) => listeners.includes(fn),
+  };
+}
+
+/**
+ * Wraps a namespace so unknown events and methods exist
+ * @param {Object} [members] - Members with real behavior
+ * @returns {Object} Namespace proxy
+ */
+function createNamespace(members = {}) {
+  return new Proxy(members, {
+    get(target, key) {
+      if (typeof key !== "string" || key in target) return target[key];
+      target[key] = /^on[A-Z]/.test(key) ? createEvent() : async () => undefined;
+      return target[key];
+    },
+  });
+}
+
+/**
+ * Installs `globalThis.chrome` with an in-memory chrome.storage.local
+ * @param {Object} [initialStorage] - Initial chrome.storage.local contents
+ * @returns {Object} The fake; `storage.local.data` holds the stored values
+ */
+export function installChrome(initialStorage = {}) {
+  const data = structuredClone(initialStorage);
+  const local = {
+    data,
+    async get(keys) {
+      const list = keys == null ? Object.keys(data) : [].concat(keys);
+      return Object.fromEntries(list.filter((k) => k in data).map((k) => [k, structuredClone(data[k])]));
+    },
+    async set(items) {
+      Object.assign(data, structuredClone(items));
+    },
+    async remove(keys) {
+      [].concat(keys).forEach((k) => delete data[k]);
+    },
+  };
+  const namespaces = {
+    storage: createNamespace({ local, onChanged: createEvent() }),
+    runtime: createNamespace({ getURL: (path) => `chrome-extension://test/${path}` }),
+  };
+  // Service workers have navigator; Node only since version 21
+  globalThis.navigator ??= { language: "en-US" };
+  globalThis.chrome = new Proxy(namespaces, {
+    get(target, key) {
+      if (typeof key !== "string") return undefined;
+      if (!(key in target)) target[key] = createNamespace();
+      return target[key];
+    },
+  });
+  return globalThis.chrome;
+}
+
+/**
+ * Connects a port to the listeners registered on chrome.runtime.onConnect
+ * @param {string} name - Port name
+ * @returns {{port: Object, messages: Array<Object>, next: Function, send: Function}}
+ *   `next(type)` resolves with the first message of that type posted by the background;
+ *   `send(message)` posts a message to it
+ */
+export function connectPort(name) {
+  const messages = [];
+  const waiting = [];
+  const port = {
+    name,
+    onMessage: createEvent(),
+    onDisconnect: createEvent(),
+    postMessage(message) {
+      messages.push(message);
+      waiting.filter((w) => w.type === message.type).forEach((w) => w.resolve(message));
+    },
+  };
+  const next = (type) =>
+    new Promise((resolve) => {
+      const found = messages.find((m) => m.type === type);
+      if (found) resolve(found);
+      else waiting.push({ type, resolve });
+    });
+  chrome.runtime.onConnect.listeners.forEach((listener) => listener(port));
+  const send = (message) => port.onMessage.listeners.forEach((listener) => listener(message));
+  return { port, messages, next, send };
+}
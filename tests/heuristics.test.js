@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyzePolicyText } from "../src/heuristics.js";
+
+/**
+ * Ids of the flags raised for a text
+ * @param {string} text - Policy text
+ * @returns {Array<string>} Flag ids
+ */
+function flagIds(text) {
+  return analyzePolicyText(text).flags.map((flag) => flag.id);
+}
+
+test("counts a negated sale as a protection", () => {
+  assert.deepEqual(flagIds("We never sell your personal data."), ["no_sale"]);
+});
+
+test("reports a sale when a later match of the same pattern is not negated", () => {
+  const { flags } = analyzePolicyText(
+    "We never sell your data. However we may sell your information to partners.",
+  );
+  assert.deepEqual(flags, [
+    {
+      id: "sale_of_data",
+      category: "sharing",
+      effect: "risk",
+      quote: "However we may sell your information to partners.",
+    },
+  ]);
+});
+
+test("matches German transfers despite the umlaut", () => {
+  assert.deepEqual(flagIds("Wir übermitteln Ihre Daten in Drittländer wie die USA."), ["cross_border"]);
+});
+
+test("matches French transfers to the United States without a preceding article", () => {
+  assert.deepEqual(flagIds("Nous pouvons transférer vos données vers les États-Unis."), ["cross_border"]);
+});
+
+test("does not read the French month mai as a negation", () => {
+  assert.deepEqual(flagIds("Depuis le 25 mai 2018, nous vendons vos données à des partenaires."), ["sale_of_data"]);
+});
+
+test("still reads Italian mai as a negation", () => {
+  assert.deepEqual(flagIds("Mai vendiamo i tuoi dati a terzi."), ["no_sale"]);
+});
+
+test("returns no score when nothing matched", () => {
+  assert.deepEqual(analyzePolicyText("Hello world."), { privacy_score: null, flags: [] });
+});
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { deflateSync } from "node:zlib";
+import { extractPdfText } from "../src/pdf.js";
+
+/**
+ * Builds a one-page PDF around a content stream
+ * @param {string} content - Page content stream
+ * @param {Object} [options]
+ * @param {boolean} [options.compress] - Store the stream with /FlateDecode
+ * @returns {Uint8Array} File contents
+ */
+function buildPdf(content, { compress = false } = {}) {
+  const data = compress ? deflateSync(Buffer.from(content, "latin1")) : Buffer.from(content, "latin1");
+  const filter = compress ? " /Filter /FlateDecode" : "";
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /Contents 5 0 R /Resources << /Font << /F1 4 0 R >> >> >>",
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>",
+  ];
+  const parts = [Buffer.from("%PDF-1.4\n", "latin1")];
+  objects.forEach((body, i) => parts.push(Buffer.from(`${i + 1} 0 obj\n${body}\nendobj\n`, "latin1")));
+  parts.push(
+    Buffer.from(`5 0 obj\n<< /Length ${data.length}${filter} >>\nstream\n`, "latin1"),
+    data,
+    Buffer.from("\nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n", "latin1"),
+  );
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+test("reads text from an uncompressed content stream", async () => {
+  const pdf = buildPdf("BT /F1 12 Tf 72 720 Td (Privacy Policy) Tj 0 -14 Td (We collect your email.) Tj ET");
+  assert.equal(await extractPdfText(pdf), "Privacy Policy\nWe collect your email.");
+});
+
+test("inflates FlateDecode content streams", async () => {
+  const pdf = buildPdf("BT /F1 12 Tf 72 720 Td (Compressed policy text) Tj ET", { compress: true });
+  assert.equal(await extractPdfText(pdf), "Compressed policy text");
+});
+
+test("turns wide TJ offsets into spaces and ignores kerning", async () => {
+  const pdf = buildPdf("BT /F1 12 Tf 72 720 Td [(We coll) 20 (ect) -300 (data.)] TJ ET");
+  assert.equal(await extractPdfText(pdf), "We collect data.");
+});
+
+test("decodes string escapes with the font encoding", async () => {
+  const pdf = buildPdf("BT /F1 12 Tf 72 720 Td (Caf\\351 \\(ok\\)) Tj ET");
+  assert.equal(await extractPdfText(pdf), "Café (ok)");
+});
+
+test("returns an empty string for files that are not PDFs", async () => {
+  assert.equal(await extractPdfText(new TextEncoder().encode("<html></html>")), "");
+});
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { findSubPolicyLinks } from "../src/subpolicies.js";
+
+const POLICY_URL = "https://www.example.com/legal/privacy";
+
+test("finds related policies on the same site by link text and path", () => {
+  const links = [
+    { href: "/legal/cookies", text: "Cookie Policy" },
+    { href: "https://legal.example.com/dpa", text: "Data Processing Addendum" },
+    { href: "https://other.org/cookies", text: "Cookie Policy" },
+    { href: "/about", text: "About us" },
+  ];
+  assert.deepEqual(findSubPolicyLinks(links, POLICY_URL), [
+    { url: "https://www.example.com/legal/cookies", title: "Cookie Policy", kind: "cookies" },
+    { url: "https://legal.example.com/dpa", title: "Data Processing Addendum", kind: "processing" },
+  ]);
+});
+
+test("matches the raw path when it has a malformed escape", () => {
+  const links = [{ href: "/legal/children%zz", text: "" }];
+  assert.deepEqual(findSubPolicyLinks(links, POLICY_URL), [
+    { url: "https://www.example.com/legal/children%zz", title: "/legal/children%zz", kind: "children" },
+  ]);
+});
@@ -8,10 +8,14 @@ export default defineConfig({
         index: "index.html",
         "content-script": "src/content-script.js",
         detector: "src/detector.js",
+        highlighter: "src/highlighter.js",
+        // Registered at runtime by path (background.js), so it keeps its source location
+        "src/frame-extractor": "src/frame-extractor.js",
         background: "src/background.js",
         options: "pages/options.html",
         popup: "pages/popup.html",
         panel: "pages/panel.html",
+        offscreen: "pages/offscreen.html",
       },
       output: {
         entryFileNames: "[name].js",
@@ -63,7 +67,9 @@ export default defineConfig({
                   ? "content-script.js"
                   : p.endsWith("detector.js")
                     ? "detector.js"
-                    : p
+                    : p.endsWith("highlighter.js")
+                      ? "highlighter.js"
+                      : p
               ),
               matches: ["http://*/*", "https://*/*"],
             }));